@@ -0,0 +1,192 @@
+import { encode } from 'html-entities';
+import { scrapeNewsroom, buildConfiguredParser } from '../newsroomScraper.js';
+import { getPipelineState, setPipelineState } from '../db.js';
+
+const DEFAULT_MAX_JOBS = 500;
+// Roles listed by name in a summary; the rest are counted
+const LIST_LIMIT = 25;
+// A board that loses most of its roles in one run has almost always changed its
+// markup, not its hiring plan. Such runs fail instead of reporting mass removals.
+const SHRINK_CHECK_MIN_JOBS = 10;
+const MAX_REMOVED_SHARE = 0.8;
+
+const snapshotKey = (source) => `careers:${source.name}`;
+
+/**
+ * Normalize a scraped listing to a snapshot entry. The link identifies a role;
+ * boards without per-role links fall back to title + location.
+ */
+export function toJob(listing) {
+  const location = listing.fields?.location || '';
+  const team = listing.fields?.team || '';
+  return {
+    id: listing.link || `${listing.title}|${location}`,
+    title: listing.title,
+    link: listing.link || '',
+    location,
+    team,
+  };
+}
+
+/**
+ * Cheerio parser for a `careers` spec. Job titles are short and often repeat
+ * across locations, so titles down to 3 characters count and only links dedupe.
+ */
+export function buildCareersParser(spec) {
+  return buildConfiguredParser({ minTitleLength: 3, dedupeBy: 'link', ...spec });
+}
+
+/**
+ * Roles added and removed between two snapshots
+ * @param {Array<Object>} previous - Jobs from the last snapshot
+ * @param {Array<Object>} current - Jobs from this run
+ * @returns {{added: Array<Object>, removed: Array<Object>}}
+ */
+export function diffJobs(previous, current) {
+  const previousIds = new Set(previous.map(j => j.id));
+  const currentIds = new Set(current.map(j => j.id));
+  return {
+    added: current.filter(j => !previousIds.has(j.id)),
+    removed: previous.filter(j => !currentIds.has(j.id)),
+  };
+}
+
+/**
+ * Teams with the most roles, as [team, count] pairs (roles without a team are skipped)
+ */
+function countByTeam(jobs) {
+  const counts = new Map();
+  for (const job of jobs) {
+    if (job.team) counts.set(job.team, (counts.get(job.team) || 0) + 1);
+  }
+  return [...counts.entries()].sort((a, b) => b[1] - a[1]);
+}
+
+const describeJob = (job) => {
+  const details = [job.team, job.location].filter(Boolean).join('; ');
+  return details ? `${job.title} (${details})` : job.title;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function listText(jobs) {
+  const named = jobs.slice(0, LIST_LIMIT).map(describeJob).join('; ');
+  return jobs.length > LIST_LIMIT ? `${named}; and ${jobs.length - LIST_LIMIT} more` : named;
+}
+
+function listHtml(jobs) {
+  const items = jobs.slice(0, LIST_LIMIT).map(job => {
+    const title = job.link ? `<a href="${encode(job.link)}">${encode(job.title)}</a>` : encode(job.title);
+    const details = [job.team, job.location].filter(Boolean).map(d => encode(d)).join(' &middot; ');
+    return `<li>${title}${details ? ` &mdash; ${details}` : ''}</li>`;
+  });
+  if (jobs.length > LIST_LIMIT) items.push(`<li>and ${jobs.length - LIST_LIMIT} more</li>`);
+  return `<ul>${items.join('')}</ul>`;
+}
+
+/**
+ * Build the "new roles / removed roles" summary article for one snapshot diff
+ * @param {Object} source - Careers source config
+ * @param {Object} diff - { added, removed } from diffJobs()
+ * @param {Object} snapshot - { takenAt, total, previousTakenAt, previousTotal }
+ */
+export function buildCareersArticle(source, diff, snapshot) {
+  const company = source.company || source.name;
+  const { added, removed } = diff;
+  const addedTeams = countByTeam(added);
+  const date = snapshot.takenAt.slice(0, 10);
+
+  let title = `${company} careers: ${plural(added.length, 'new role')}, ${removed.length} removed`;
+  if (addedTeams.length > 0 && addedTeams[0][1] > 1) {
+    title += ` (${addedTeams[0][1]} in ${addedTeams[0][0]})`;
+  }
+
+  const overview = `${company} listed ${plural(snapshot.total, 'open role')} on ${date}, ${snapshot.total >= snapshot.previousTotal ? 'up' : 'down'} from ${snapshot.previousTotal} at the previous snapshot (${snapshot.previousTakenAt.slice(0, 10)}).`;
+  const text = [
+    overview,
+    added.length > 0 ? `New roles (${added.length}): ${listText(added)}.` : '',
+    addedTeams.length > 0 ? `New roles by team: ${addedTeams.map(([team, count]) => `${team} ${count}`).join(', ')}.` : '',
+    removed.length > 0 ? `Removed roles (${removed.length}): ${listText(removed)}.` : '',
+  ].filter(Boolean).join(' ');
+
+  const html = [
+    `<p>${encode(overview)}</p>`,
+    added.length > 0 ? `<h3>New roles (${added.length})</h3>${listHtml(added)}` : '',
+    removed.length > 0 ? `<h3>Removed roles (${removed.length})</h3>${listHtml(removed)}` : '',
+  ].join('');
+
+  // Fragment keeps each run's summary a distinct article (links are unique)
+  const link = `${source.url}#careers-${snapshot.takenAt.replace(/[-:]/g, '').slice(0, 13)}`;
+
+  return {
+    guid: link,
+    title,
+    link,
+    pubDate: snapshot.takenAt,
+    source: source.name,
+    category: source.category || 'competitor-intel',
+    type: 'careers',
+    summary: text.substring(0, 300),
+    originalContent: text,
+    imageUrl: null,
+    contentHtml: html,
+    hasFullContent: true,
+    contentSource: 'careers',
+    tags: addedTeams.map(([team]) => team),
+  };
+}
+
+/**
+ * Competitor careers pages as a hiring signal. Scrapes `source.url` with the
+ * `source.careers` spec (the `scrape` spec, plus `fields: { location, team }`
+ * and `maxJobs`, default 500), compares the listings with the snapshot kept in
+ * pipeline_state and emits one summary article when roles were added or
+ * removed. The first run only records a baseline. The snapshot is replaced
+ * through context.result.commit, once the runner has saved the article.
+ */
+export default {
+  type: 'careers',
+
+  async fetch(source, context) {
+    const spec = source.careers || {};
+    if (!spec.item) throw new Error('careers source needs careers.item');
+
+    const listings = await scrapeNewsroom(source.url, buildCareersParser(spec), source.name, spec.maxJobs || DEFAULT_MAX_JOBS, context);
+    const jobs = listings.map(toJob);
+    if (jobs.length === 0) throw new Error('No job listings found (selector or markup change?)');
+    context.result.itemCount = jobs.length;
+
+    let previous = null;
+    try {
+      previous = JSON.parse(await getPipelineState(snapshotKey(source)) || 'null');
+    } catch (error) {
+      console.error(`[Careers] ${source.name}: unreadable snapshot, starting over: ${error.message}`);
+    }
+
+    const takenAt = new Date().toISOString();
+    const diff = previous ? diffJobs(previous.jobs, jobs) : null;
+
+    if (diff && previous.jobs.length >= SHRINK_CHECK_MIN_JOBS && diff.removed.length / previous.jobs.length > MAX_REMOVED_SHARE) {
+      const error = new Error(`${diff.removed.length} of ${previous.jobs.length} roles disappeared; keeping the previous snapshot (markup change?)`);
+      error.retryable = false;
+      throw error;
+    }
+
+    // The runner stores the new snapshot only after the summary article is saved, so a failed save is retried against the same baseline
+    context.result.commit = () => setPipelineState(snapshotKey(source), JSON.stringify({ takenAt, jobs }));
+
+    if (!previous) {
+      console.log(`[Careers] ${source.name}: baseline snapshot of ${jobs.length} roles`);
+      return [];
+    }
+    if (diff.added.length === 0 && diff.removed.length === 0) return [];
+
+    console.log(`[Careers] ${source.name}: ${diff.added.length} new, ${diff.removed.length} removed`);
+    return [buildCareersArticle(source, diff, {
+      takenAt,
+      total: jobs.length,
+      previousTakenAt: previous.takenAt,
+      previousTotal: previous.jobs.length,
+    })];
+  }
+};
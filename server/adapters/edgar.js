@@ -0,0 +1,169 @@
+import { getSourceUrl, toIsoDate } from './http.js';
+
+const SUBMISSIONS_URL = 'https://data.sec.gov/submissions';
+const ARCHIVES_URL = 'https://www.sec.gov/Archives/edgar/data';
+const DEFAULT_FORMS = ['8-K', '10-Q', '10-K'];
+
+// 8-K item numbers → short descriptions (Form 8-K General Instructions B)
+export const FORM_8K_ITEMS = {
+  '1.01': 'Entry into a Material Definitive Agreement',
+  '1.02': 'Termination of a Material Definitive Agreement',
+  '1.03': 'Bankruptcy or Receivership',
+  '1.05': 'Material Cybersecurity Incident',
+  '2.01': 'Completion of Acquisition or Disposition of Assets',
+  '2.02': 'Results of Operations and Financial Condition',
+  '2.03': 'Creation of a Direct Financial Obligation',
+  '2.04': 'Triggering Events That Accelerate a Financial Obligation',
+  '2.05': 'Costs Associated with Exit or Disposal Activities',
+  '2.06': 'Material Impairments',
+  '3.01': 'Notice of Delisting or Failure to Satisfy a Listing Rule',
+  '3.02': 'Unregistered Sales of Equity Securities',
+  '3.03': 'Material Modification to Rights of Security Holders',
+  '4.01': "Changes in Registrant's Certifying Accountant",
+  '4.02': 'Non-Reliance on Previously Issued Financial Statements',
+  '5.01': 'Changes in Control of Registrant',
+  '5.02': 'Departure or Appointment of Directors or Officers',
+  '5.03': 'Amendments to Articles of Incorporation or Bylaws',
+  '5.07': 'Submission of Matters to a Vote of Security Holders',
+  '7.01': 'Regulation FD Disclosure',
+  '8.01': 'Other Events',
+  '9.01': 'Financial Statements and Exhibits',
+};
+
+const FORM_DESCRIPTIONS = {
+  '10-Q': 'quarterly report',
+  '10-K': 'annual report',
+};
+
+const padCik = (cik) => String(cik).replace(/\D/g, '').padStart(10, '0');
+
+/**
+ * Build an article from one filing in the submissions index
+ * @param {Object} company - { name, cik }
+ * @param {Object} filing - One column-aligned row of filings.recent
+ */
+export function buildFilingArticle(company, filing, source) {
+  const cik = String(parseInt(padCik(company.cik), 10));
+  const accessionPath = filing.accessionNumber.replace(/-/g, '');
+  const link = filing.primaryDocument
+    ? `${ARCHIVES_URL}/${cik}/${accessionPath}/${filing.primaryDocument}`
+    : `${ARCHIVES_URL}/${cik}/${accessionPath}/`;
+
+  const items = (filing.items || '').split(',').map(i => i.trim()).filter(Boolean);
+  const itemLines = items.map(i => `${i} ${FORM_8K_ITEMS[i] || 'Unlisted item'}`);
+  // Exhibits-only item is noise in a headline
+  const headlineItems = items.filter(i => i !== '9.01').map(i => FORM_8K_ITEMS[i] || `Item ${i}`);
+
+  let title = `${company.name}: ${filing.form}`;
+  if (headlineItems.length > 0) {
+    title += ` — ${headlineItems.join('; ')}`;
+  } else if (FORM_DESCRIPTIONS[filing.form.replace(/\/A$/, '')]) {
+    title += ` ${FORM_DESCRIPTIONS[filing.form.replace(/\/A$/, '')]}${filing.reportDate ? ` for the period ended ${filing.reportDate}` : ''}`;
+  } else if (filing.primaryDocDescription) {
+    title += ` — ${filing.primaryDocDescription}`;
+  }
+
+  const details = [
+    `Form ${filing.form} filed with the SEC on ${filing.filingDate} by ${company.name} (CIK ${cik}).`,
+    filing.reportDate ? `Report date: ${filing.reportDate}.` : '',
+    itemLines.length > 0 ? `Items: ${itemLines.join('; ')}.` : '',
+    filing.primaryDocDescription ? `Primary document: ${filing.primaryDocDescription}.` : '',
+  ].filter(Boolean).join(' ');
+
+  return {
+    guid: filing.accessionNumber,
+    title,
+    link,
+    pubDate: toIsoDate(filing.acceptanceDateTime) || toIsoDate(filing.filingDate) || new Date().toISOString(),
+    source: source.name,
+    category: source.category || 'competitor-intel',
+    type: 'filing',
+    summary: details.substring(0, 300),
+    originalContent: details,
+    imageUrl: null,
+    contentHtml: null,
+    hasFullContent: false,
+    contentSource: 'filing',
+    tags: [filing.form, ...items],
+  };
+}
+
+/**
+ * Rows of a submissions JSON `filings.recent` block (stored column-wise) whose
+ * form is in `forms`, newest first
+ */
+export function getRecentFilings(submissions, forms = DEFAULT_FORMS) {
+  const recent = submissions?.filings?.recent;
+  if (!recent || !Array.isArray(recent.accessionNumber)) {
+    throw new Error('Unexpected EDGAR submissions response (no filings.recent)');
+  }
+  const wanted = new Set(forms.map(f => f.toUpperCase()));
+
+  return recent.accessionNumber
+    .map((accessionNumber, i) => ({
+      accessionNumber,
+      form: recent.form[i],
+      filingDate: recent.filingDate[i],
+      reportDate: recent.reportDate?.[i] || '',
+      acceptanceDateTime: recent.acceptanceDateTime?.[i] || '',
+      items: recent.items?.[i] || '',
+      primaryDocument: recent.primaryDocument?.[i] || '',
+      primaryDocDescription: recent.primaryDocDescription?.[i] || '',
+    }))
+    .filter(f => wanted.has(String(f.form).toUpperCase()))
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate));
+}
+
+/**
+ * SEC EDGAR filings for a list of companies, via the JSON submissions index
+ * (data.sec.gov/submissions/CIK##########.json). Reads `source.edgar`:
+ *
+ *   companies - [{ name, cik }]
+ *   forms     - form types to keep (default 8-K, 10-Q, 10-K)
+ *
+ * `maxItems` applies per company. One failing company doesn't sink the rest.
+ * SEC answers 403 to a User-Agent without a contact address, so the source
+ * fails up front when HTTP_CONTACT_EMAIL is unset.
+ */
+export default {
+  type: 'edgar',
+
+  async fetch(source, context) {
+    const spec = source.edgar || {};
+    const companies = spec.companies || [];
+    if (companies.length === 0) throw new Error('edgar source needs edgar.companies');
+    if (!process.env.HTTP_CONTACT_EMAIL) {
+      const error = new Error('SEC EDGAR requires a contact address in the User-Agent; set HTTP_CONTACT_EMAIL');
+      error.retryable = false;
+      throw error;
+    }
+
+    const articles = [];
+    let lastError = null;
+    let failures = 0;
+
+    for (const company of companies) {
+      try {
+        const response = await getSourceUrl(`${SUBMISSIONS_URL}/CIK${padCik(company.cik)}.json`, context, {
+          accept: 'application/json',
+          robots: false,
+        });
+        const submissions = await response.json();
+        const named = { ...company, name: company.name || submissions.name };
+        const filings = getRecentFilings(submissions, spec.forms || DEFAULT_FORMS).slice(0, context.maxItems);
+        articles.push(...filings.map(f => buildFilingArticle(named, f, source)));
+      } catch (error) {
+        console.error(`[EDGAR] ${company.name || company.cik}: ${error.message}`);
+        lastError = error;
+        failures++;
+      }
+    }
+
+    if (failures === companies.length) throw lastError;
+
+    context.result.httpStatus = 200;
+    context.result.itemCount = articles.length;
+    context.result.parseErrors = failures;
+    return articles;
+  }
+};
@@ -0,0 +1,59 @@
+import { politeFetch } from '../httpClient.js';
+
+/**
+ * Error for a non-2xx response; `status` is recorded in source health
+ */
+export function httpError(status) {
+  const error = new Error(`HTTP ${status}`);
+  error.status = status;
+  return error;
+}
+
+/**
+ * GET a source URL for an adapter through the shared polite client.
+ * With `conditional`, sends If-None-Match / If-Modified-Since from the persisted
+ * fetch state and returns null on 304 (context.result.notModified is set).
+ * The response status and validators are written to context.result for the runner.
+ * @param {string} url
+ * @param {Object} context - Adapter context ({ state, result })
+ * @param {Object} options - { accept, conditional, headers, robots } robots is passed to
+ *   politeFetch(): feed and API adapters pass false, scrapers keep the default
+ * @returns {Promise<Response|null>}
+ */
+export async function getSourceUrl(url, context, { accept = '*/*', conditional = false, headers: extraHeaders = {}, robots = true } = {}) {
+  const headers = {
+    'Accept': accept,
+    ...extraHeaders,
+  };
+  if (conditional && context.state?.etag) headers['If-None-Match'] = context.state.etag;
+  if (conditional && context.state?.lastModified) headers['If-Modified-Since'] = context.state.lastModified;
+
+  const response = await politeFetch(url, { headers, robots });
+  context.result.httpStatus = response.status;
+
+  if (response.status === 304) {
+    context.result.notModified = true;
+    return null;
+  }
+
+  if (!response.ok) {
+    throw httpError(response.status);
+  }
+
+  if (conditional) {
+    context.result.etag = response.headers.get('etag');
+    context.result.lastModified = response.headers.get('last-modified');
+  }
+  return response;
+}
+
+/**
+ * Normalize a date from a feed/API (ISO string, RFC 822 string or epoch) to ISO, or null
+ */
+export function toIsoDate(value) {
+  if (value == null || value === '') return null;
+  const date = typeof value === 'number'
+    ? new Date(value < 1e12 ? value * 1000 : value)
+    : new Date(value);
+  return isNaN(date) ? null : date.toISOString();
+}
@@ -0,0 +1,38 @@
+import rss from './rss.js';
+import scrape from './scrape.js';
+import jsonFeed from './jsonFeed.js';
+import sitemap from './sitemap.js';
+import jsonApi from './jsonApi.js';
+import edgar from './edgar.js';
+import careers from './careers.js';
+
+/**
+ * Source adapters keyed by the `type` field in sources.json.
+ *
+ * Contract: `fetch(source, context) → Promise<Array<article>>`
+ *   context.state     - persisted fetch state for the source (or null)
+ *   context.maxItems  - item limit for this run
+ *   context.result    - adapter fills { httpStatus, notModified, etag, lastModified,
+ *                       itemCount, parseErrors, itemGuids, commit } for the runner;
+ *                       commit() is called once every returned article is saved
+ * Adapters throw on fetch/parse failure; retries, saving, GUID skipping and
+ * health tracking live in sourceRunner.js.
+ */
+const adapters = {
+  rss,
+  atom: rss,
+  scrape,
+  jsonfeed: jsonFeed,
+  sitemap,
+  json: jsonApi,
+  edgar,
+  careers
+};
+
+export function getAdapter(type = 'rss') {
+  return adapters[type] || null;
+}
+
+export function getAdapterTypes() {
+  return Object.keys(adapters);
+}
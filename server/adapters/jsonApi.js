@@ -0,0 +1,80 @@
+import { decode } from 'html-entities';
+import { getSourceUrl, toIsoDate } from './http.js';
+import { sanitizeArticleHtml } from '../contentExtractor.js';
+
+/**
+ * Read a dotted path ("data.items", "image.0.url") from an object
+ */
+export function getPath(obj, path) {
+  if (!path) return obj;
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), obj);
+}
+
+/**
+ * Generic JSON APIs with field mappings. Reads `source.url` and `source.json`:
+ *
+ *   itemsPath - path to the array of items (omit when the response is the array)
+ *   fields    - { title, link, pubDate, summary, content, contentHtml, image, id } paths within each item
+ *   linkBase  - base URL for relative links
+ *   headers   - extra request headers (e.g. an API version header)
+ */
+export default {
+  type: 'json',
+
+  async fetch(source, context) {
+    const spec = source.json || {};
+    const fields = spec.fields || {};
+    if (!fields.title || !fields.link) {
+      throw new Error('json source needs fields.title and fields.link');
+    }
+
+    const response = await getSourceUrl(source.url, context, {
+      accept: 'application/json',
+      conditional: true,
+      headers: spec.headers,
+      robots: false,
+    });
+    if (!response) return [];
+
+    const items = getPath(await response.json(), spec.itemsPath);
+    if (!Array.isArray(items)) {
+      throw new Error(`No array at itemsPath "${spec.itemsPath || ''}"`);
+    }
+
+    const limited = items.slice(0, context.maxItems);
+    context.result.itemCount = limited.length;
+
+    const articles = [];
+    for (const item of limited) {
+      const title = getPath(item, fields.title);
+      let link = getPath(item, fields.link);
+      if (!title || !link) {
+        context.result.parseErrors = (context.result.parseErrors || 0) + 1;
+        continue;
+      }
+      if (spec.linkBase) link = new URL(link, spec.linkBase).toString();
+
+      const rawHtml = fields.contentHtml ? getPath(item, fields.contentHtml) || '' : '';
+      const text = (fields.content && getPath(item, fields.content)) || decode(rawHtml.replace(/<[^>]*>/g, ''));
+      const summary = (fields.summary && getPath(item, fields.summary)) || text;
+      const hasFullContent = text.length > 500;
+
+      articles.push({
+        guid: fields.id ? String(getPath(item, fields.id)) : link,
+        title: decode(String(title)),
+        link,
+        pubDate: toIsoDate(fields.pubDate && getPath(item, fields.pubDate)) || new Date().toISOString(),
+        source: source.name,
+        category: source.category || '',
+        type: 'article',
+        summary: summary ? String(summary).substring(0, 300).trim() + '...' : '',
+        originalContent: text,
+        imageUrl: (fields.image && getPath(item, fields.image)) || null,
+        contentHtml: hasFullContent && rawHtml ? sanitizeArticleHtml(rawHtml) : null,
+        hasFullContent,
+        contentSource: text ? 'feed' : null
+      });
+    }
+    return articles;
+  }
+};
@@ -0,0 +1,53 @@
+import { decode } from 'html-entities';
+import { getSourceUrl } from './http.js';
+import { sanitizeArticleHtml } from '../contentExtractor.js';
+
+/**
+ * JSON Feed 1.0/1.1 (https://jsonfeed.org). Reads `source.url`.
+ */
+export default {
+  type: 'jsonfeed',
+
+  async fetch(source, context) {
+    const response = await getSourceUrl(source.url, context, {
+      accept: 'application/feed+json, application/json;q=0.9',
+      conditional: true,
+      robots: false,
+    });
+    if (!response) return [];
+
+    const feed = await response.json();
+    if (!Array.isArray(feed.items)) {
+      throw new Error('Not a JSON Feed (no items array)');
+    }
+
+    const items = feed.items.slice(0, context.maxItems);
+    context.result.itemCount = items.length;
+
+    return items
+      .filter(item => item.url || item.external_url)
+      .map(item => {
+        const rawHtml = item.content_html || '';
+        const text = item.content_text || decode(rawHtml.replace(/<[^>]*>/g, ''));
+        const hasFullContent = text.length > 500;
+
+        return {
+          guid: item.id || item.url,
+          title: decode(item.title || text.substring(0, 100)),
+          link: item.url || item.external_url,
+          pubDate: item.date_published || item.date_modified || new Date().toISOString(),
+          source: source.name,
+          category: source.category || '',
+          type: 'article',
+          summary: (item.summary || text).substring(0, 300).trim() + '...',
+          originalContent: text,
+          imageUrl: item.image || item.banner_image || null,
+          contentHtml: hasFullContent && rawHtml ? sanitizeArticleHtml(rawHtml) : null,
+          hasFullContent,
+          contentSource: 'feed',
+          author: (item.authors?.[0] || item.author)?.name || null,
+          tags: Array.isArray(item.tags) ? item.tags : []
+        };
+      });
+  }
+};
@@ -0,0 +1,34 @@
+import { getSourceUrl } from './http.js';
+import { parseFeed, buildArticleFromItem, getItemGuid } from '../feedParser.js';
+
+/**
+ * RSS / Atom feeds via rss-parser. Reads `source.rss`.
+ */
+export default {
+  type: 'rss',
+
+  async fetch(source, context) {
+    const response = await getSourceUrl(source.rss, context, {
+      accept: 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8',
+      conditional: true,
+      // A subscribed feed, not a crawl
+      robots: false,
+    });
+    if (!response) return [];
+
+    const feed = await parseFeed(await response.text());
+    const items = feed.items.slice(0, context.maxItems);
+    context.result.itemCount = items.length;
+
+    const articles = [];
+    for (const item of items) {
+      try {
+        articles.push({ ...buildArticleFromItem(item, source), guid: getItemGuid(item) });
+      } catch (error) {
+        console.error(`Error processing article "${item.title}":`, error.message);
+        context.result.parseErrors = (context.result.parseErrors || 0) + 1;
+      }
+    }
+    return articles;
+  }
+};
@@ -0,0 +1,12 @@
+import { scrapeConfiguredSource } from '../newsroomScraper.js';
+
+/**
+ * Declarative Cheerio scrapers. Reads `source.url` and the `source.scrape` spec.
+ */
+export default {
+  type: 'scrape',
+
+  async fetch(source, context) {
+    return scrapeConfiguredSource(source, context.maxItems, context);
+  }
+};
@@ -0,0 +1,97 @@
+import * as cheerio from 'cheerio';
+import { getSourceUrl, toIsoDate } from './http.js';
+
+// Cap on remembered URLs so fetch state stays small for very large sitemaps
+const MAX_REMEMBERED_URLS = 5000;
+
+/**
+ * Turn a URL slug into a readable title ("rocket-launches-bridge-loans" → "Rocket launches bridge loans")
+ */
+function titleFromUrl(url) {
+  const slug = new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+  const words = decodeURIComponent(slug).replace(/\.[a-z]+$/i, '').replace(/[-_]+/g, ' ').trim();
+  return words ? words.charAt(0).toUpperCase() + words.slice(1) : url;
+}
+
+/**
+ * Parse <url> entries (and Google News extensions) from a sitemap document
+ */
+function parseUrlset($) {
+  return $('url').map((i, el) => {
+    const $el = $(el);
+    return {
+      loc: $el.children('loc').text().trim(),
+      lastmod: toIsoDate($el.find('news\\:publication_date').text().trim() || $el.children('lastmod').text().trim()),
+      title: $el.find('news\\:title').text().trim()
+    };
+  }).get().filter(entry => entry.loc);
+}
+
+/**
+ * XML sitemaps: emits URLs that were not in the sitemap on the previous run.
+ * Reads `source.url` and optional `source.sitemap` { include, exclude } URL regexes.
+ * A sitemap index is followed to its most recently modified child sitemap.
+ * The first run only takes the newest `maxItems` URLs and remembers the rest.
+ * Later runs remember only what they emit, so new URLs past `maxItems` come next run.
+ */
+export default {
+  type: 'sitemap',
+
+  async fetch(source, context) {
+    const spec = source.sitemap || {};
+    const response = await getSourceUrl(source.url, context, {
+      accept: 'application/xml, text/xml;q=0.9',
+      conditional: true,
+      // Sitemaps are published for crawlers: honor robots.txt, but a flaky one shouldn't stop the source
+      robots: 'if-reachable',
+    });
+    if (!response) return [];
+
+    let $ = cheerio.load(await response.text(), { xmlMode: true });
+
+    if ($('sitemapindex').length) {
+      const children = $('sitemap').map((i, el) => ({
+        loc: $(el).children('loc').text().trim(),
+        lastmod: toIsoDate($(el).children('lastmod').text().trim()) || ''
+      })).get().filter(c => c.loc);
+      if (children.length === 0) return [];
+
+      children.sort((a, b) => b.lastmod.localeCompare(a.lastmod));
+      // Child sitemaps are fetched unconditionally; the validators belong to the index
+      const child = await getSourceUrl(children[0].loc, { state: null, result: {} }, { accept: 'application/xml, text/xml;q=0.9', robots: 'if-reachable' });
+      $ = cheerio.load(await child.text(), { xmlMode: true });
+    }
+
+    const include = spec.include ? new RegExp(spec.include, 'i') : null;
+    const exclude = spec.exclude ? new RegExp(spec.exclude, 'i') : null;
+    const entries = parseUrlset($)
+      .filter(e => (!include || include.test(e.loc)) && (!exclude || !exclude.test(e.loc)))
+      .sort((a, b) => (b.lastmod || '').localeCompare(a.lastmod || ''));
+
+    const previous = new Set(context.state?.itemGuids || []);
+    const firstRun = previous.size === 0;
+    const emitted = (firstRun ? entries : entries.filter(e => !previous.has(e.loc))).slice(0, context.maxItems);
+    const emittedUrls = new Set(emitted.map(e => e.loc));
+
+    context.result.itemCount = entries.length;
+    context.result.itemGuids = entries
+      .filter(e => firstRun || previous.has(e.loc) || emittedUrls.has(e.loc))
+      .slice(0, MAX_REMEMBERED_URLS)
+      .map(e => e.loc);
+
+    return emitted.map(entry => ({
+      guid: entry.loc,
+      title: entry.title || titleFromUrl(entry.loc),
+      link: entry.loc,
+      pubDate: entry.lastmod || new Date().toISOString(),
+      source: source.name,
+      category: source.category || '',
+      type: 'article',
+      summary: '',
+      originalContent: '',
+      imageUrl: null,
+      contentHtml: null,
+      hasFullContent: false
+    }));
+  }
+};
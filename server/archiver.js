@@ -29,14 +29,17 @@ export async function appendDigest(digestObj) {
 /**
  * Read the last N digest entries from the archive file (newest first)
  * @param {number} count - Number of recent entries to return
+ * @param {Object} options - { profile } only digests built with this reader profile;
+ *   { includeUnstamped } also digests archived before profiles were recorded
  * @returns {Promise<Array>} Parsed digest objects, newest first
  */
-export async function readRecentDigests(count = 5) {
+export async function readRecentDigests(count = 5, { profile = null, includeUnstamped = false } = {}) {
   try {
     const content = await readFile(ARCHIVE_PATH, 'utf8');
     const lines = content.trim().split('\n').filter(line => line.trim());
-    const recent = lines.slice(-count).reverse();
-    return recent.map(line => JSON.parse(line));
+    const digests = lines.map(line => JSON.parse(line))
+      .filter(d => !profile || (d.profile ? d.profile.name === profile : includeUnstamped));
+    return digests.slice(-count).reverse();
   } catch (error) {
     if (error.code === 'ENOENT') {
       console.log('[Archiver] No archive file found, returning empty array');
@@ -0,0 +1,128 @@
+import { appendFile, readFile, readdir, mkdir } from 'fs/promises';
+import { gzip, gunzip } from 'zlib';
+import { promisify } from 'util';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const gzipAsync = promisify(gzip);
+const gunzipAsync = promisify(gunzip);
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const ARTICLE_ARCHIVE_DIR = path.join(__dirname, 'data', 'article-archive');
+
+const DEFAULT_TRIM_AFTER_DAYS = 90;
+const DEFAULT_ARCHIVE_AFTER_DAYS = 365;
+
+/**
+ * Retention tiers from the environment:
+ *
+ *   RETENTION_TRIM_DAYS    - after this many days (by pub_date) the article's
+ *                            full text is dropped; metadata, summary and entity
+ *                            tags stay (default 90)
+ *   RETENTION_ARCHIVE_DAYS - after this many days the row is written to the
+ *                            archive files and deleted (default 365)
+ *   ARTICLE_ARCHIVE_DIR    - where archive files go (default server/data/article-archive)
+ *
+ * Throws when a value isn't a positive number or archiving would come before trimming.
+ * @returns {{trimAfterDays: number, archiveAfterDays: number, archiveDir: string}}
+ */
+export function getRetentionPolicy(env = process.env) {
+  const days = (name, fallback) => {
+    if (!env[name]) return fallback;
+    const value = parseInt(env[name], 10);
+    if (!(value > 0)) throw new Error(`${name} must be a positive number of days, got "${env[name]}"`);
+    return value;
+  };
+  const trimAfterDays = days('RETENTION_TRIM_DAYS', DEFAULT_TRIM_AFTER_DAYS);
+  const archiveAfterDays = days('RETENTION_ARCHIVE_DAYS', DEFAULT_ARCHIVE_AFTER_DAYS);
+  if (archiveAfterDays < trimAfterDays) {
+    throw new Error(`RETENTION_ARCHIVE_DAYS (${archiveAfterDays}) must not be less than RETENTION_TRIM_DAYS (${trimAfterDays})`);
+  }
+  return { trimAfterDays, archiveAfterDays, archiveDir: env.ARTICLE_ARCHIVE_DIR || ARTICLE_ARCHIVE_DIR };
+}
+
+/**
+ * The cutoff `days` before `now`: articles published before it fall in the tier
+ */
+export function retentionCutoff(days, now = new Date()) {
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - days);
+  return cutoff;
+}
+
+/**
+ * Archive file for an article, by publication month: articles-2026-01.jsonl.gz
+ */
+export function archiveFileName(pubDate) {
+  return `articles-${new Date(pubDate).toISOString().slice(0, 7)}.jsonl.gz`;
+}
+
+/**
+ * Ids already in an archive file; empty when the file doesn't exist yet
+ */
+async function archivedIds(file, dir) {
+  try {
+    return new Set((await readArticleArchive(file, dir)).map(article => article.id));
+  } catch (error) {
+    if (error.code === 'ENOENT') return new Set();
+    throw error;
+  }
+}
+
+/**
+ * Append articles to the gzip archive files in `dir`, one JSON line each,
+ * grouped by publication month. Each call adds a gzip member to the end of
+ * the file, so existing content is never rewritten. Articles already in their
+ * file are skipped, so a run that failed after writing (before its rows were
+ * deleted) can be repeated without duplicating them. Throws on failure,
+ * before the caller deletes anything.
+ * @param {Array<Object>} articles - Article objects (with pubDate)
+ * @param {string} dir
+ * @returns {Promise<Map<number, string>>} Article id → archive file name
+ */
+export async function appendArticleArchive(articles, dir = ARTICLE_ARCHIVE_DIR) {
+  const files = new Map();
+  const groups = new Map();
+  for (const article of articles) {
+    const file = archiveFileName(article.pubDate);
+    if (!groups.has(file)) groups.set(file, []);
+    groups.get(file).push(article);
+    files.set(article.id, file);
+  }
+  if (groups.size === 0) return files;
+
+  await mkdir(dir, { recursive: true });
+  for (const [file, group] of groups) {
+    const existing = await archivedIds(file, dir);
+    const pending = group.filter(article => !existing.has(article.id));
+    if (pending.length < group.length) {
+      console.log(`[ArticleArchive] ${group.length - pending.length} articles already in ${file}, not appended again`);
+    }
+    if (pending.length === 0) continue;
+    const lines = pending.map(article => JSON.stringify(article) + '\n').join('');
+    await appendFile(path.join(dir, file), await gzipAsync(lines));
+    console.log(`[ArticleArchive] Appended ${pending.length} articles to ${file}`);
+  }
+  return files;
+}
+
+/**
+ * Read every article from one archive file
+ * @returns {Promise<Array<Object>>}
+ */
+export async function readArticleArchive(file, dir = ARTICLE_ARCHIVE_DIR) {
+  const content = (await gunzipAsync(await readFile(path.join(dir, file)))).toString('utf8');
+  return content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+}
+
+/**
+ * Archive file names in `dir`, oldest month first
+ */
+export async function listArticleArchives(dir = ARTICLE_ARCHIVE_DIR) {
+  try {
+    return (await readdir(dir)).filter(file => /^articles-\d{4}-\d{2}\.jsonl\.gz$/.test(file)).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
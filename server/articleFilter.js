@@ -0,0 +1,83 @@
+/**
+ * Rule-based article filters from sources.json. A filter set (the top-level
+ * `filters` block applies to every source, a source's own `filters` block to
+ * that source) looks like:
+ *
+ *   include / exclude - { keywords, title, body, authors, categories }
+ *     keywords   - words or phrases matched case-insensitively on title + body
+ *     title/body - regex (case-insensitive)
+ *     authors    - feed item authors (dc:creator / author), exact, case-insensitive
+ *     categories - feed item <category> tags, exact, case-insensitive
+ *   minContentLength - minimum characters of body text
+ *
+ * An item must match at least one `include` rule when any are set, and must
+ * not match any `exclude` rule. Filtered items are still stored, with the
+ * reason in `filtered_reason`, and never reach the insights prompt.
+ */
+
+const regexCache = new Map();
+
+function toRegex(pattern) {
+  if (!regexCache.has(pattern)) regexCache.set(pattern, new RegExp(pattern, 'i'));
+  return regexCache.get(pattern);
+}
+
+function keywordRegex(keyword) {
+  const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  return toRegex(`(^|\\W)${escaped}($|\\W)`);
+}
+
+const lower = (values) => [].concat(values || []).map(v => String(v).toLowerCase());
+
+/**
+ * First rule in `rules` the article matches, as a short label for counting
+ * ("keyword:webinar", "title:^Webinar", "author:jane doe", "category:real estate")
+ * @returns {string|null}
+ */
+function firstMatch(article, rules) {
+  if (!rules) return null;
+  const title = article.title || '';
+  const body = article.originalContent || article.summary || '';
+
+  for (const keyword of [].concat(rules.keywords || [])) {
+    if (keywordRegex(keyword).test(title) || keywordRegex(keyword).test(body)) return `keyword:${keyword.toLowerCase()}`;
+  }
+  if (rules.title && toRegex(rules.title).test(title)) return `title:${rules.title}`;
+  if (rules.body && toRegex(rules.body).test(body)) return `body:${rules.body}`;
+
+  const author = (article.author || '').toLowerCase();
+  if (author && lower(rules.authors).includes(author)) return `author:${author}`;
+
+  const tags = lower(article.tags);
+  const tag = lower(rules.categories).find(c => tags.includes(c));
+  if (tag) return `category:${tag}`;
+
+  return null;
+}
+
+const hasRules = (rules) => Boolean(rules && (
+  (rules.keywords && [].concat(rules.keywords).length) || rules.title || rules.body ||
+  (rules.authors && [].concat(rules.authors).length) || (rules.categories && [].concat(rules.categories).length)
+));
+
+/**
+ * Why an article is filtered out, or null when it passes
+ * @param {Object} article - Article object (title, originalContent/summary, author, tags)
+ * @param {Array<Object>} filterSets - e.g. [config.filters, source.filters]; empty entries are ignored
+ * @param {Object} options - { skipLength } to defer minContentLength until after full-text extraction
+ * @returns {string|null} Reason such as "exclude keyword:webinar", "no include match", "too short"
+ */
+export function getFilterReason(article, filterSets, { skipLength = false } = {}) {
+  for (const filters of filterSets.filter(Boolean)) {
+    const excluded = firstMatch(article, filters.exclude);
+    if (excluded) return `exclude ${excluded}`;
+
+    if (hasRules(filters.include) && !firstMatch(article, filters.include)) return 'no include match';
+
+    const length = (article.originalContent || article.summary || '').replace(/\.\.\.$/, '').trim().length;
+    if (!skipLength && filters.minContentLength && article.type !== 'youtube' && length < filters.minContentLength) {
+      return 'too short';
+    }
+  }
+  return null;
+}
@@ -0,0 +1,71 @@
+/**
+ * Backfill script: pull a source's history page by page without running a digest
+ *
+ * Usage: cd server && node backfill.js "<source name>" [--since YYYY-MM-DD] [--max-pages N] [--no-enrich]
+ *
+ * 1. Pages through the source (WordPress `?paged=N` for feeds, or the
+ *    source's `pagination` config) until it runs out or passes --since
+ * 2. Saves every item, updating ones already stored
+ * 3. Runs the usual YouTube / full-text enrichment unless --no-enrich
+ */
+
+import dotenv from 'dotenv';
+import { getSources, getFilters, enrichArticles } from './rssFetcher.js';
+import { backfillSource } from './sourceRunner.js';
+import { runMigrations } from './migrator.js';
+import { getStorageBackend } from './db.js';
+import { getEntityMatcher } from './entities.js';
+
+dotenv.config();
+
+function parseArgs(argv) {
+  const args = { name: null, since: null, maxPages: 50, enrich: true };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--since') args.since = new Date(argv[++i]);
+    else if (arg === '--max-pages') args.maxPages = parseInt(argv[++i], 10);
+    else if (arg === '--no-enrich') args.enrich = false;
+    else args.name = arg;
+  }
+  return args;
+}
+
+async function backfill() {
+  const args = parseArgs(process.argv.slice(2));
+  const sources = await getSources();
+
+  if (!args.name) {
+    console.log('Usage: node backfill.js "<source name>" [--since YYYY-MM-DD] [--max-pages N] [--no-enrich]');
+    console.log(`Sources: ${sources.map(s => s.name).join(', ')}`);
+    process.exit(1);
+  }
+  if (args.since && isNaN(args.since)) {
+    console.error('[Backfill] --since must be a date like 2025-01-01');
+    process.exit(1);
+  }
+
+  const source = sources.find(s => s.name.toLowerCase() === args.name.toLowerCase());
+  if (!source) {
+    console.error(`[Backfill] No source named "${args.name}"`);
+    process.exit(1);
+  }
+
+  console.log(`[Backfill] ${source.name}: up to ${args.maxPages} pages${args.since ? `, back to ${args.since.toISOString().split('T')[0]}` : ''}`);
+  try {
+    if (getStorageBackend() === 'postgres') await runMigrations();
+    const { pages, articles } = await backfillSource(source, {
+      since: args.since,
+      maxPages: args.maxPages,
+      filters: await getFilters(),
+      entities: await getEntityMatcher()
+    });
+    if (args.enrich) await enrichArticles(articles);
+    console.log(`[Backfill] Done — ${articles.length} articles saved from ${pages} page(s)`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`[Backfill] Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+backfill();
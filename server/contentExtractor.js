@@ -0,0 +1,166 @@
+import * as cheerio from 'cheerio';
+import sanitizeHtml from 'sanitize-html';
+import { decode } from 'html-entities';
+import { politeFetch } from './httpClient.js';
+
+const MIN_CONTENT_LENGTH = 500;
+const MAX_CONTENT_LENGTH = 50000;
+
+// Common containers for the main article body, checked before falling back to scoring
+const CONTENT_SELECTORS = [
+  '[itemprop="articleBody"]',
+  'article .entry-content',
+  'article .post-content',
+  '.entry-content',
+  '.post-content',
+  '.article-body',
+  '.article-content',
+  '.story-body',
+  'article',
+  'main',
+  '[role="main"]'
+];
+
+// Page chrome that never belongs in the article body
+const NOISE_SELECTORS = [
+  'script', 'style', 'noscript', 'iframe', 'form', 'button', 'svg',
+  'nav', 'header', 'footer', 'aside',
+  '[role="navigation"]', '[role="banner"]', '[role="complementary"]',
+  '[class*="share"]', '[class*="social"]', '[class*="related"]', '[class*="newsletter"]',
+  '[class*="subscribe"]', '[class*="comment"]', '[class*="advert"]', '[class*="promo"]',
+  '[id*="comment"]', '[id*="sidebar"]', '[class*="sidebar"]'
+];
+
+/**
+ * Sanitize article HTML for safe reader rendering
+ */
+export function sanitizeArticleHtml(html) {
+  return sanitizeHtml(html, {
+    allowedTags: [
+      'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
+      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+      'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
+      'img', 'figure', 'figcaption', 'div', 'span', 'hr'
+    ],
+    allowedAttributes: {
+      'a': ['href', 'title'],
+      'img': ['src', 'alt', 'width', 'height'],
+    },
+    allowedSchemes: ['http', 'https'],
+  });
+}
+
+/**
+ * Plain text of a cheerio node with whitespace collapsed
+ */
+function nodeText($node) {
+  return decode($node.text()).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Score paragraph containers readability-style: each substantial <p> credits
+ * its parent fully and its grandparent by half. Highest score wins.
+ */
+function findBestCandidate($) {
+  const scores = new Map();
+
+  $('p').each((i, el) => {
+    const text = nodeText($(el));
+    if (text.length < 40) return;
+
+    const score = 1 + Math.min(Math.floor(text.length / 100), 3) + (text.match(/,/g) || []).length;
+    const parent = el.parent;
+    const grandparent = parent?.parent;
+
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  for (const [node, score] of scores) {
+    if (score > bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  }
+  return best ? $(best) : null;
+}
+
+/**
+ * Make relative links and image sources absolute against the article URL
+ */
+function absolutizeUrls($, $root, baseUrl) {
+  $root.find('a[href], img[src]').each((i, el) => {
+    const attr = el.tagName === 'img' ? 'src' : 'href';
+    const value = $(el).attr(attr);
+    try {
+      $(el).attr(attr, new URL(value, baseUrl).toString());
+    } catch {
+      $(el).removeAttr(attr);
+    }
+  });
+}
+
+/**
+ * Extract the main content of an article page
+ * @param {string} html - Raw page HTML
+ * @param {string} url - Page URL, used to resolve relative links
+ * @returns {{html: string, text: string}|{error: string}} Sanitized content, or the reason extraction failed
+ */
+export function extractMainContent(html, url) {
+  const $ = cheerio.load(html);
+  $(NOISE_SELECTORS.join(', ')).remove();
+
+  let $content = null;
+  for (const selector of CONTENT_SELECTORS) {
+    const $match = $(selector).first();
+    if ($match.length && nodeText($match).length >= MIN_CONTENT_LENGTH) {
+      $content = $match;
+      break;
+    }
+  }
+
+  if (!$content) $content = findBestCandidate($);
+  if (!$content) return { error: 'no article body found' };
+
+  const text = nodeText($content);
+  if (text.length < MIN_CONTENT_LENGTH) {
+    return { error: `extracted text too short (${text.length} chars)` };
+  }
+
+  absolutizeUrls($, $content, url);
+
+  return {
+    html: sanitizeArticleHtml($content.html() || ''),
+    text: text.substring(0, MAX_CONTENT_LENGTH)
+  };
+}
+
+/**
+ * Fetch an article page and extract its main content
+ * @param {string} url - Article URL
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<{html: string, text: string}|{error: string}>}
+ */
+export async function extractFullText(url, timeoutMs = 15000) {
+  if (!url || !/^https?:\/\//.test(url)) return { error: 'invalid URL' };
+
+  try {
+    const response = await politeFetch(url, {
+      headers: { 'Accept': 'text/html,application/xhtml+xml' },
+      timeoutMs,
+      // A page a feed linked us to: follow robots.txt, but don't lose it to an unreachable one
+      robots: 'if-reachable',
+    });
+
+    if (!response.ok) return { error: `HTTP ${response.status}` };
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.includes('html')) return { error: `unsupported content type: ${contentType || 'unknown'}` };
+
+    return extractMainContent(await response.text(), response.url || url);
+  } catch (error) {
+    return { error: error.name === 'TimeoutError' ? `timed out after ${timeoutMs / 1000}s` : error.message };
+  }
+}
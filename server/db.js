@@ -1,240 +1,344 @@
 import pkg from 'pg';
+import { createStore } from './storage/index.js';
+import { saveArticleEntities as saveEntityLinks } from './storage/postgres.js';
 const { Pool } = pkg;
 
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  max: 10,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 5000
-});
+let pool = null;
+let store = null;
 
-async function initDB() {
-  try {
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS articles (
-        id SERIAL PRIMARY KEY,
-        link VARCHAR(2048) UNIQUE NOT NULL,
-        title TEXT NOT NULL,
-        source VARCHAR(255),
-        category VARCHAR(255),
-        type VARCHAR(50) DEFAULT 'article',
-        summary TEXT,
-        original_content TEXT,
-        image_url TEXT,
-        pub_date TIMESTAMP,
-        saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Add missing columns to existing table
-    try {
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS category VARCHAR(255)`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS image_url TEXT`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS type VARCHAR(50) DEFAULT 'article'`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_html TEXT`);
-      await pool.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS has_full_content BOOLEAN DEFAULT false`);
-    } catch (alterError) {
-      // Columns might already exist
-    }
+/**
+ * Backend for the storage functions below: STORAGE_BACKEND=postgres (default)
+ * or local. Read on first use, after index.js has loaded .env.
+ */
+export function getStorageBackend() {
+  return process.env.STORAGE_BACKEND || 'postgres';
+}
+
+/**
+ * The pg Pool, opened on first use, so the local backend never creates one.
+ * Schema lives in server/migrations/ and is applied by migrator.js before the server starts.
+ */
+export function getPool() {
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      max: 10,
+      idleTimeoutMillis: 30000,
+      connectionTimeoutMillis: 5000
+    });
+  }
+  return pool;
+}
 
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_source ON articles(source);
-      CREATE INDEX IF NOT EXISTS idx_category ON articles(category);
-      CREATE INDEX IF NOT EXISTS idx_pub_date ON articles(pub_date);
-      CREATE INDEX IF NOT EXISTS idx_saved_at ON articles(saved_at);
-    `);
+// Search and re-tagging query Postgres directly; the local store has no equivalent
+function postgresOnly(feature) {
+  if (getStorageBackend() !== 'postgres') {
+    throw new Error(`${feature} needs Postgres (STORAGE_BACKEND=${getStorageBackend()})`);
+  }
+  return getPool();
+}
 
-    console.log('[DB] Database initialized');
-  } catch (error) {
-    console.error('[DB] Error initializing database:', error.message);
+function getStore() {
+  if (!store) {
+    const backend = getStorageBackend();
+    store = createStore({ backend, pool: backend === 'postgres' ? getPool() : null, file: process.env.LOCAL_STORE_PATH || undefined });
   }
+  return store;
 }
 
 /**
- * Store an article in the database
+ * Store an article. Sets `article.id`, and replaces the article's entity links
+ * when `article.entities` is set. Throws on failure.
  */
-export async function saveArticle(article) {
-  try {
-    const { title, link, pubDate, source, category, summary, originalContent, imageUrl, type, contentHtml, hasFullContent } = article;
-
-    await pool.query(
-      `INSERT INTO articles (title, link, pub_date, source, category, type, summary, original_content, image_url, content_html, has_full_content)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       ON CONFLICT (link) DO UPDATE SET
-         title = EXCLUDED.title,
-         category = EXCLUDED.category,
-         type = EXCLUDED.type,
-         summary = EXCLUDED.summary,
-         original_content = EXCLUDED.original_content,
-         image_url = EXCLUDED.image_url,
-         content_html = EXCLUDED.content_html,
-         has_full_content = EXCLUDED.has_full_content
-       `,
-      [
-        title || '',
-        link || '',
-        pubDate || new Date().toISOString(),
-        source || '',
-        category || '',
-        type || 'article',
-        summary || '',
-        originalContent || '',
-        imageUrl || null,
-        contentHtml || null,
-        hasFullContent || false
-      ]
-    );
+export const saveArticle = (article) => getStore().saveArticle(article);
 
-    console.log(`[DB] Article saved: ${title.substring(0, 50)}`);
-    return article;
-  } catch (error) {
-    console.error('[DB] Error saving article:', error.message);
-    throw error;
-  }
+/**
+ * Articles matching `filters` (source, category, startDate, endDate, savedAfter,
+ * savedBefore, notInDigest, excludeFiltered, keyword, entityIds), newest first
+ * (first seen first with `order: 'saved'`), at most `filters.limit` (default 100)
+ */
+export const getArticles = (filters) => getStore().getArticles(filters);
+
+/**
+ * Get a single article by ID, or null
+ */
+export const getArticleById = (id) => getStore().getArticleById(id);
+
+/**
+ * The record kept for an article moved to the archive files, or null
+ */
+export const getArchivedArticle = (id) => getStore().getArchivedArticle(id);
+
+/**
+ * Get unique sources
+ */
+export const getSources = () => getStore().getSources();
+
+/**
+ * Apply the retention tiers from getRetentionPolicy() (articleArchive.js)
+ */
+export const cleanOldArticles = (policy) => getStore().cleanOldArticles(policy);
+
+/**
+ * Replace the entity links of one article (Postgres only; see storage/postgres.js)
+ */
+export const saveArticleEntities = (articleId, entities) => saveEntityLinks(postgresOnly('Re-tagging'), articleId, entities);
+
+/**
+ * Stored articles after `afterId` in id order, for re-tagging in batches.
+ * Throws on failure, so retag.js stops instead of reporting an empty corpus.
+ * @returns {Promise<Array<Object>>} { id, title, summary, originalContent }
+ */
+export async function getArticlesForTagging(afterId = 0, limit = 500) {
+  const result = await postgresOnly('Re-tagging').query(
+    'SELECT id, title, summary, original_content FROM articles WHERE id > $1 ORDER BY id LIMIT $2',
+    [afterId, limit]
+  );
+  return result.rows.map(row => ({ id: row.id, title: row.title, summary: row.summary, originalContent: row.original_content }));
 }
 
 /**
- * Retrieve all articles with optional filters
+ * Get persisted fetch state for a source (conditional GET validators + last seen item GUIDs)
  */
-export async function getArticles(filters = {}) {
-  try {
-    let query = 'SELECT * FROM articles WHERE 1=1';
-    const params = [];
-    let paramIndex = 1;
+export const getFetchState = (sourceName) => getStore().getFetchState(sourceName);
 
-    if (filters.source) {
-      query += ` AND source = $${paramIndex}`;
-      params.push(filters.source);
-      paramIndex++;
-    }
+/**
+ * Upsert fetch state for a source after a successful (200 or 304) fetch
+ */
+export const saveFetchState = (sourceName, state) => getStore().saveFetchState(sourceName, state);
 
-    if (filters.category) {
-      query += ` AND category = $${paramIndex}`;
-      params.push(filters.category);
-      paramIndex++;
-    }
+/**
+ * Get recent articles for story clustering (lightweight columns, oldest first)
+ */
+export const getClusterCandidates = (since) => getStore().getClusterCandidates(since);
 
-    if (filters.startDate) {
-      query += ` AND pub_date >= $${paramIndex}`;
-      params.push(new Date(filters.startDate).toISOString());
-      paramIndex++;
-    }
+/**
+ * Create or update a story and link its member articles to it
+ * @param {number|null} storyId - Existing story to update, or null to create one
+ * @param {number} canonicalArticleId - Article shown as the story's primary entry
+ * @param {Array<number>} articleIds - All member article IDs (including canonical)
+ * @returns {Promise<number|null>} The story ID
+ */
+export const saveStory = (storyId, canonicalArticleId, articleIds) => getStore().saveStory(storyId, canonicalArticleId, articleIds);
 
-    if (filters.endDate) {
-      const endDate = new Date(filters.endDate);
-      endDate.setHours(23, 59, 59, 999);
-      query += ` AND pub_date <= $${paramIndex}`;
-      params.push(endDate.toISOString());
-      paramIndex++;
-    }
+/**
+ * Get all articles in a story (for the reader's "also covered by" list)
+ */
+export const getStoryArticles = (storyId) => getStore().getStoryArticles(storyId);
 
-    if (filters.keyword) {
-      const keyword = `%${filters.keyword}%`;
-      query += ` AND (title ILIKE $${paramIndex} OR summary ILIKE $${paramIndex})`;
-      params.push(keyword);
-      params.push(keyword);
-      paramIndex += 2;
-    }
+/**
+ * Get the rolling health record for one source
+ */
+export const getSourceHealth = (sourceName) => getStore().getSourceHealth(sourceName);
 
-    query += ' ORDER BY pub_date DESC LIMIT 100';
-
-    const result = await pool.query(query, params);
-
-    const articles = result.rows.map(row => ({
-      id: row.id,
-      title: row.title,
-      link: row.link,
-      pubDate: row.pub_date,
-      source: row.source,
-      category: row.category,
-      type: row.type || 'article',
-      summary: row.summary,
-      originalContent: row.original_content,
-      imageUrl: row.image_url,
-      contentHtml: row.content_html,
-      hasFullContent: row.has_full_content || false
-    }));
-
-    console.log(`[DB] Retrieved ${articles.length} articles`);
-    return articles;
-  } catch (error) {
-    console.error('[DB] Error retrieving articles:', error.message);
-    return [];
-  }
-}
+/**
+ * Get health records for all sources that have run at least once
+ */
+export const getAllSourceHealth = () => getStore().getAllSourceHealth();
 
 /**
- * Get unique sources
+ * Record one fetch/scrape result and upsert the source's rolling health
+ * @param {Object} run - { source, ok, httpStatus, itemCount, parseErrors, latencyMs, error }
+ * @param {Object} health - { consecutiveFailures, status, quarantinedUntil }
  */
-export async function getSources() {
-  try {
-    const result = await pool.query(
-      'SELECT DISTINCT source FROM articles WHERE source IS NOT NULL ORDER BY source'
-    );
-    return result.rows.map(row => row.source);
-  } catch (error) {
-    console.error('[DB] Error getting sources:', error.message);
-    return [];
-  }
-}
+export const recordSourceRun = (run, health) => getStore().recordSourceRun(run, health);
 
 /**
- * Clear old articles (older than 90 days)
+ * Delete per-run source history older than the given number of days
  */
-export async function cleanOldArticles() {
-  try {
-    const ninetyDaysAgo = new Date();
-    ninetyDaysAgo.setDate(ninetyDaysAgo.getDate() - 90);
+export const pruneSourceRuns = (days) => getStore().pruneSourceRuns(days);
 
-    const result = await pool.query(
-      'DELETE FROM articles WHERE pub_date < $1',
-      [ninetyDaysAgo.toISOString()]
-    );
+/**
+ * Mark articles as covered by a sent digest
+ */
+export const markArticlesInDigest = (articleIds, includedAt) => getStore().markArticlesInDigest(articleIds, includedAt);
 
-    console.log(`[DB] Cleaned ${result.rowCount} old articles`);
-    return { removed: result.rowCount };
-  } catch (error) {
-    console.error('[DB] Error cleaning old articles:', error.message);
-    return { removed: 0 };
-  }
+/**
+ * Read a persisted pipeline value (e.g. the digest watermark)
+ */
+export const getPipelineState = (key) => getStore().getPipelineState(key);
+
+/**
+ * Persist a pipeline value
+ */
+export const setPipelineState = (key, value) => getStore().setPipelineState(key, value);
+
+/**
+ * Latest stored observation date for a market series (YYYY-MM-DD), or null
+ */
+export const getLatestSeriesDate = (seriesId) => getStore().getLatestSeriesDate(seriesId);
+
+/**
+ * Upsert market series observations
+ * @param {string} seriesId
+ * @param {Array<{date: string, value: number}>} observations - date as YYYY-MM-DD
+ * @returns {Promise<{saved: number}>}
+ */
+export const saveSeriesObservations = (seriesId, observations) => getStore().saveSeriesObservations(seriesId, observations);
+
+/**
+ * Most recent observations for a market series, newest first
+ * @returns {Promise<Array<{date: string, value: number}>>}
+ */
+export const getSeriesHistory = (seriesId, limit) => getStore().getSeriesHistory(seriesId, limit);
+
+/**
+ * Filtered article counts per source and reason, for /health
+ * @param {Date|string} since - Only articles saved after this
+ * @returns {Promise<Array<{source: string, reason: string, count: number}>>}
+ */
+export const getFilterCounts = (since) => getStore().getFilterCounts(since);
+
+// ts_headline markers, swapped for <mark> after the snippet is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_STOP = '\u0003';
+
+function snippetToHtml(snippet) {
+  return (snippet || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replaceAll(HIGHLIGHT_START, '<mark>')
+    .replaceAll(HIGHLIGHT_STOP, '</mark>');
 }
 
 /**
- * Get a single article by ID (for reader endpoint)
+ * Ranked full-text search over title, summary and body (`search_vector`),
+ * optionally narrowed to articles mentioning given entities
+ * @param {Object} options
+ * @param {string} options.query - Web-search syntax: words, "quoted phrases", OR, -excluded. Optional with entityIds
+ * @param {Array<string>} options.entityIds - Articles mentioning any of these entity ids
+ * @param {string} options.source - Exact source name
+ * @param {string} options.category - Exact category
+ * @param {Date|string} options.startDate - Earliest pub_date
+ * @param {Date|string} options.endDate - Latest pub_date (inclusive through end of day)
+ * @param {boolean} options.includeFiltered - Also match articles dropped by sources.json filters
+ * @param {string} options.sort - "relevance" (default) or "date"; always date without a query
+ * @param {number} options.page - 1-based page
+ * @param {number} options.pageSize - Results per page
+ * @returns {Promise<{total: number, results: Array<Object>}|null>} null when the query fails
+ *   (always on the local backend: search is Postgres only)
  */
-export async function getArticleById(id) {
+export async function searchArticles({ query, entityIds = [], source, category, startDate, endDate, includeFiltered = false, sort = 'relevance', page = 1, pageSize = 20 }) {
   try {
-    const result = await pool.query('SELECT * FROM articles WHERE id = $1', [id]);
-    if (result.rows.length === 0) return null;
-    const row = result.rows[0];
+    const db = postgresOnly('Search');
+    const params = [];
+    const conditions = [];
+    let tsquery = null;
+
+    if (query) {
+      params.push(query);
+      tsquery = `websearch_to_tsquery('english', $${params.length})`;
+      conditions.push(`search_vector @@ ${tsquery}`);
+    }
+    if (entityIds.length > 0) {
+      params.push(entityIds);
+      conditions.push(`id IN (SELECT article_id FROM article_entities WHERE entity_id = ANY($${params.length}::text[]))`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`source = $${params.length}`);
+    }
+    if (category) {
+      params.push(category);
+      conditions.push(`category = $${params.length}`);
+    }
+    if (startDate) {
+      params.push(new Date(startDate).toISOString());
+      conditions.push(`pub_date >= $${params.length}`);
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+      params.push(end.toISOString());
+      conditions.push(`pub_date <= $${params.length}`);
+    }
+    if (!includeFiltered) {
+      conditions.push('filtered_reason IS NULL');
+    }
+
+    const rank = tsquery ? `ts_rank_cd(search_vector, ${tsquery})` : '0';
+    const snippet = tsquery
+      ? `ts_headline('english', coalesce(nullif(hits.original_content, ''), hits.summary, hits.title), ${tsquery},
+           'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MaxFragments=2, MinWords=10, MaxWords=30, FragmentDelimiter=" … "')`
+      : `left(coalesce(nullif(hits.summary, ''), hits.original_content, ''), 300)`;
+    const order = sort === 'date' || !tsquery ? 'pub_date DESC, rank DESC' : 'rank DESC, pub_date DESC';
+    const where = conditions.join(' AND ') || 'TRUE';
+    const filterParams = [...params];
+    params.push(pageSize, (page - 1) * pageSize);
+
+    // Rank and count in the inner query; the snippet is only built for the returned page
+    const result = await db.query(
+      `SELECT hits.*, ${snippet} AS snippet
+       FROM (
+         SELECT id, title, link, source, category, type, pub_date, summary, original_content, has_full_content, story_id,
+           ${rank} AS rank,
+           (SELECT array_agg(entity_id ORDER BY mentions DESC) FROM article_entities WHERE article_id = articles.id) AS entity_ids,
+           COUNT(*) OVER () AS total
+         FROM articles
+         WHERE ${where}
+         ORDER BY ${order}
+         LIMIT $${params.length - 1} OFFSET $${params.length}
+       ) hits
+       ORDER BY ${order}`,
+      params
+    );
+
+    // The window count only exists on returned rows; a page past the end counts separately
+    let total = result.rows.length > 0 ? Number(result.rows[0].total) : 0;
+    if (result.rows.length === 0 && page > 1) {
+      const count = await db.query(`SELECT COUNT(*) AS total FROM articles WHERE ${where}`, filterParams);
+      total = Number(count.rows[0].total);
+    }
+
     return {
-      id: row.id,
-      title: row.title,
-      link: row.link,
-      pubDate: row.pub_date,
-      source: row.source,
-      category: row.category,
-      type: row.type || 'article',
-      summary: row.summary,
-      originalContent: row.original_content,
-      imageUrl: row.image_url,
-      contentHtml: row.content_html,
-      hasFullContent: row.has_full_content || false
+      total,
+      results: result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        link: row.link,
+        source: row.source,
+        category: row.category,
+        type: row.type || 'article',
+        pubDate: row.pub_date,
+        hasFullContent: row.has_full_content || false,
+        storyId: row.story_id || null,
+        entityIds: row.entity_ids || [],
+        rank: Number(row.rank),
+        snippet: snippetToHtml(row.snippet)
+      }))
     };
   } catch (error) {
-    console.error('[DB] Error getting article by ID:', error.message);
+    console.error('[DB] Error searching articles:', error.message);
     return null;
   }
 }
 
-// Initialize database when module loads
-initDB();
-
 export default {
   saveArticle,
   getArticles,
   getArticleById,
+  getArchivedArticle,
   getSources,
-  cleanOldArticles
+  cleanOldArticles,
+  getFetchState,
+  saveFetchState,
+  getClusterCandidates,
+  saveStory,
+  getStoryArticles,
+  getSourceHealth,
+  getAllSourceHealth,
+  recordSourceRun,
+  pruneSourceRuns,
+  markArticlesInDigest,
+  getPipelineState,
+  setPipelineState,
+  getLatestSeriesDate,
+  saveSeriesObservations,
+  getSeriesHistory,
+  getFilterCounts,
+  searchArticles,
+  saveArticleEntities,
+  getArticlesForTagging
 };
@@ -0,0 +1,148 @@
+/**
+ * The digest's shape, as a tool Claude must call (submit_digest) and as the
+ * checks its answer has to pass before it reaches an email. validateDigest()
+ * keeps every item that passes and lists what was wrong with the rest, so
+ * generateInsights() can ask for one targeted repair instead of failing the day.
+ */
+
+export const DIGEST_TOOL_NAME = 'submit_digest';
+
+const SECTIONS = {
+  top_insights: {
+    limit: 'topInsights',
+    fields: {
+      headline: 'One-line insight headline',
+      explanation: '2-3 sentences: what happened and why it matters',
+      connection: 'How this connects to the reader\'s priorities',
+      source: 'Source name',
+      url: 'Article URL, exactly as given'
+    },
+    required: ['headline', 'explanation', 'connection', 'source', 'url']
+  },
+  competitive_signals: {
+    limit: 'competitiveSignals',
+    fields: {
+      competitor: 'Company name',
+      signal: 'What they did',
+      implication: 'What it means for the reader\'s product strategy',
+      url: 'Article URL the signal comes from, exactly as given'
+    },
+    required: ['competitor', 'signal', 'implication']
+  },
+  worth_reading: {
+    limit: 'worthReading',
+    fields: {
+      title: 'Article title',
+      reason: 'Why it\'s worth 5 minutes',
+      url: 'Article URL, exactly as given'
+    },
+    required: ['title', 'reason', 'url']
+  }
+};
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Tool definition for the digest, with section sizes from the reader profile
+ * @param {Object} profile - Reader profile from loadProfile()
+ * @returns {Object} { name, description, input_schema }
+ */
+export function buildDigestTool(profile) {
+  const properties = {};
+  for (const [key, section] of Object.entries(SECTIONS)) {
+    properties[key] = {
+      type: 'array',
+      maxItems: profile.sections[section.limit].max,
+      items: {
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(section.fields).map(([field, description]) => [
+          field, field === 'url' ? { type: 'string', format: 'uri', description } : { type: 'string', description }
+        ])),
+        required: section.required,
+        additionalProperties: false
+      }
+    };
+  }
+
+  return {
+    name: DIGEST_TOOL_NAME,
+    description: 'Submit today\'s digest. Call exactly once, with every section (empty arrays are fine).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        ...properties,
+        nothing_notable: { type: 'boolean', description: 'true only when nothing today is worth the reader\'s time' }
+      },
+      required: [...Object.keys(SECTIONS), 'nothing_notable']
+    }
+  };
+}
+
+/**
+ * Check a digest against the schema. Invalid items are left out of the
+ * returned digest; a section that is missing or not a list becomes empty.
+ * Sections over the profile's size are reported but not trimmed (capSections does that).
+ * @param {*} candidate - Parsed tool input or JSON from Claude
+ * @param {Object} options - { profile, isArticleUrl } isArticleUrl(url) tells whether a URL
+ *   points at one of the articles Claude was given (see createArticleResolver in grounding.js)
+ * @returns {{digest: Object|null, errors: Array<string>}} digest is null when the candidate
+ *   isn't an object; errors name the exact field, e.g. "top_insights[1].url ..."
+ */
+export function validateDigest(candidate, { profile, isArticleUrl }) {
+  if (!candidate || typeof candidate !== 'object' || Array.isArray(candidate)) {
+    return { digest: null, errors: ['the digest must be a JSON object'] };
+  }
+
+  const errors = [];
+  const digest = {};
+
+  for (const [key, section] of Object.entries(SECTIONS)) {
+    const items = candidate[key];
+    digest[key] = [];
+    if (!Array.isArray(items)) {
+      errors.push(items === undefined ? `${key} is required (use [] when empty)` : `${key} must be a list`);
+      continue;
+    }
+
+    const max = profile.sections[section.limit].max;
+    if (items.length > max) errors.push(`${key} has ${items.length} items; at most ${max} allowed`);
+
+    items.forEach((item, i) => {
+      const label = `${key}[${i}]`;
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        errors.push(`${label} must be an object`);
+        return;
+      }
+      const problems = [];
+      for (const field of section.required) {
+        if (!isText(item[field])) problems.push(`${label}.${field} is required`);
+      }
+      if (isText(item.url)) {
+        if (!isHttpUrl(item.url)) problems.push(`${label}.url "${item.url}" is not an http(s) URL`);
+        else if (!isArticleUrl(item.url)) problems.push(`${label}.url "${item.url}" is not one of the article URLs provided`);
+      }
+      if (problems.length > 0) {
+        errors.push(...problems);
+        return;
+      }
+      digest[key].push(Object.fromEntries(Object.keys(section.fields).filter(field => isText(item[field])).map(field => [field, item[field].trim()])));
+    });
+  }
+
+  if (typeof candidate.nothing_notable !== 'boolean') {
+    errors.push('nothing_notable must be true or false');
+  }
+  digest.nothing_notable = candidate.nothing_notable === true;
+  if (isText(candidate.date)) digest.date = candidate.date;
+
+  return { digest, errors };
+}
+
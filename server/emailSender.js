@@ -8,6 +8,68 @@ function getResend() {
 const FROM_ADDRESS = 'onboarding@resend.dev';
 const APP_URL = process.env.APP_URL || 'https://mortgage-intel-hub.replit.app';
 
+/**
+ * Small footer listing sources that are failing or quarantined
+ * @param {Array|undefined} problems - digestData.source_problems
+ * @returns {string} HTML snippet (empty when all sources are healthy)
+ */
+function buildSourceProblemsFooter(problems) {
+  if (!problems || problems.length === 0) return '';
+  const items = problems.map(p => {
+    const label = p.status === 'quarantined' ? 'quarantined' : `failing ${p.consecutiveFailures} runs`;
+    return `<li>${escapeHtml(p.source)} &mdash; ${label}${p.lastError ? `: ${escapeHtml(p.lastError)}` : ''}</li>`;
+  }).join('');
+  return `
+    <div style="margin-top:20px;padding-top:12px;border-top:1px solid #eee;">
+      <p style="font-size:12px;color:#b45309;font-weight:600;margin:0 0 4px;">Source problems</p>
+      <ul style="margin:0;padding:0 0 0 18px;font-size:12px;color:#999;line-height:1.6;">${items}</ul>
+    </div>`;
+}
+
+/**
+ * Note shown under the date when a digest covers more than one day
+ * (missed runs, Monday after a weekend) or stopped at DIGEST_MAX_ARTICLES
+ * @param {Object|undefined} window - digestData.window { start, end, days, capped, truncated }
+ * @returns {string} HTML snippet (empty for a normal one-day window)
+ */
+function buildWindowNote(window) {
+  if (!window || (window.days < 1.5 && !window.truncated)) return '';
+  const since = new Date(window.start).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+  const span = window.days < 1.5 ? `Covers articles since ${since}` : `Covers ${Math.round(window.days)} days since ${since}`;
+  return `<p style="font-size:13px;color:#b45309;margin:-12px 0 20px;">${span}${window.capped ? ' (older items were skipped)' : ''}.${window.truncated ? ' More arrived than one digest covers; the rest follow in the next one.' : ''}</p>`;
+}
+
+/**
+ * Compact "Market snapshot" table: latest value and week-over-week change per series
+ * @param {Array|undefined} market - digestData.market rows from getMarketSnapshot()
+ * @returns {string} HTML snippet (empty when no series are configured or fresh)
+ */
+function buildMarketSnapshot(market) {
+  if (!market || market.length === 0) return '';
+  const rows = market.map(m => {
+    const value = m.unit === '%' ? `${m.value.toFixed(2)}%` : m.value.toLocaleString('en-US');
+    let change = '<span style="color:#999;">&mdash;</span>';
+    if (m.change !== null) {
+      const arrow = m.change > 0 ? '&#9650;' : m.change < 0 ? '&#9660;' : '';
+      const amount = m.unit === '%' ? Math.abs(m.change).toFixed(2) : `${Math.abs(m.changePct ?? 0)}%`;
+      change = `<span style="color:${m.notable ? '#b45309' : '#666'};${m.notable ? 'font-weight:600;' : ''}">${arrow} ${m.change === 0 ? 'unch' : amount}</span>`;
+    }
+    return `
+        <tr>
+          <td style="padding:3px 0;color:#333;">${escapeHtml(m.name)}</td>
+          <td style="padding:3px 8px;color:#111;font-weight:600;text-align:right;">${value}</td>
+          <td style="padding:3px 0;text-align:right;">${change}</td>
+          <td style="padding:3px 0 3px 8px;color:#999;font-size:11px;text-align:right;">${new Date(m.date + 'T00:00:00Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' })}</td>
+        </tr>`;
+  }).join('');
+  return `
+    <div style="margin-bottom:24px;padding:12px 16px;background:#f8fafc;border-radius:6px;border:1px solid #e2e8f0;">
+      <p style="font-size:12px;color:#64748b;font-weight:600;margin:0 0 6px;letter-spacing:0.5px;">MARKET SNAPSHOT <span style="font-weight:400;">&middot; week over week</span></p>
+      <table style="width:100%;border-collapse:collapse;font-size:13px;">${rows}
+      </table>
+    </div>`;
+}
+
 /**
  * Build the HTML email body for a daily digest
  * @param {Object} digestData - The digest object from insightsGenerator
@@ -21,6 +83,9 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     month: 'long',
     day: 'numeric',
   });
+  const sourceProblems = buildSourceProblemsFooter(digestData.source_problems);
+  const windowNote = buildWindowNote(digestData.window);
+  const marketSnapshot = buildMarketSnapshot(digestData.market);
 
   // Error state — Claude API failed, clearly indicate pipeline failure
   if (digestData.error) {
@@ -46,6 +111,7 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     <p style="color:#666;font-size:13px;line-height:1.5;margin:0;">
       Re-trigger the digest by visiting /run-digest, or check server logs for details.
     </p>
+    ${sourceProblems}
   </div>
 </div>
 </body>
@@ -64,9 +130,12 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     <p style="font-size:26px;font-weight:700;color:#1e293b;margin:0;letter-spacing:-0.5px;font-family:Georgia,'Times New Roman',serif;">Signal</p>
     <hr style="border:none;border-top:1.5px solid #1e293b;margin:14px 0 16px;">
     <p style="font-size:14px;color:#64748b;margin:0 0 20px;">${dateStr}</p>
+    ${windowNote}
+    ${marketSnapshot}
     <p style="color:#666;font-size:15px;line-height:1.6;margin:0;">
       Scanned ${digestData.article_count || 0} articles from ${digestData.source_count || 0} sources. Nothing notable today.
     </p>
+    ${sourceProblems}
   </div>
 </div>
 </body>
@@ -160,10 +229,13 @@ export function buildDigestHtml(digestData, weeklyBullets = null) {
     <p style="font-size:26px;font-weight:700;color:#1e293b;margin:0;letter-spacing:-0.5px;font-family:Georgia,'Times New Roman',serif;">Signal</p>
     <hr style="border:none;border-top:1.5px solid #1e293b;margin:14px 0 16px;">
     <p style="font-size:14px;color:#64748b;margin:0 0 24px;">${weeklyBullets ? 'Weekly Review &mdash; ' : ''}${dateStr}</p>
+    ${windowNote}
+    ${marketSnapshot}
     ${sections}
     <p style="font-size:13px;color:#999;margin:24px 0 0;padding-top:16px;border-top:1px solid #eee;text-align:center;">
       That's it. Nothing else happened worth your time today.
     </p>
+    ${sourceProblems}
   </div>
 </div>
 </body>
@@ -186,13 +258,13 @@ function escapeHtml(str) {
  * Send the digest email via Resend
  * @param {Object} digestData - The digest object
  * @param {Array|null} weeklyBullets - Optional weekly summary (Fridays)
+ * @param {string} to - Recipient address (see recipients.js)
  * @returns {Promise<{status: string, id?: string, error?: any}>}
  */
-export async function sendDigestEmail(digestData, weeklyBullets = null) {
-  const to = process.env.DIGEST_EMAIL;
+export async function sendDigestEmail(digestData, weeklyBullets = null, to = process.env.DIGEST_EMAIL) {
   if (!to) {
-    console.error('[Email] DIGEST_EMAIL not set, skipping send');
-    return { status: 'failed', error: 'DIGEST_EMAIL not configured' };
+    console.error('[Email] No recipient address, skipping send');
+    return { status: 'failed', error: 'No recipient configured' };
   }
 
   if (!process.env.RESEND_API_KEY) {
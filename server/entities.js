@@ -0,0 +1,118 @@
+import { readFile } from 'fs/promises';
+
+/**
+ * Entity dictionary from entities.json: companies, products, people and
+ * agencies we track, each with the aliases it appears under and an optional
+ * parent (a subsidiary's owner, a product's maker, a person's employer):
+ *
+ *   { "id": "mr-cooper", "name": "Mr. Cooper", "type": "company",
+ *     "aliases": ["Mr. Cooper", "Mr Cooper", "COOP"], "parent": "rocket-companies" }
+ *
+ * Aliases match whole words, case-sensitively unless `ignoreCase` is set, so
+ * "Rocket" the lender doesn't match "rocketed". Where aliases overlap, the
+ * longest wins: "Rocket Mortgage" is not also counted as "Rocket".
+ */
+
+let cachedDictionary = null;
+let cachedMatcher = null;
+
+/**
+ * Load entities.json (cached after first load)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function loadEntityDictionary() {
+  if (cachedDictionary) return cachedDictionary;
+  try {
+    const data = JSON.parse(await readFile(new URL('./entities.json', import.meta.url), 'utf8'));
+    cachedDictionary = data.entities || [];
+    console.log(`[Entities] Loaded ${cachedDictionary.length} entities`);
+    return cachedDictionary;
+  } catch (error) {
+    console.error('[Entities] Error loading entities.json:', error.message);
+    return [];
+  }
+}
+
+/**
+ * Matcher for the entities.json dictionary (built once)
+ * @returns {Promise<Function>} See buildEntityMatcher()
+ */
+export async function getEntityMatcher() {
+  if (!cachedMatcher) cachedMatcher = buildEntityMatcher(await loadEntityDictionary());
+  return cachedMatcher;
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+
+/**
+ * Build a matcher for a dictionary
+ * @param {Array<Object>} entities - Dictionary entries
+ * @returns {Function} (article) → [{ id, mentions, inTitle }], most mentioned first, then by id
+ */
+export function buildEntityMatcher(entities) {
+  const patterns = entities
+    .flatMap(entity => [...new Set([entity.name, ...(entity.aliases || [])])].map(alias => ({
+      id: entity.id,
+      length: alias.length,
+      regex: new RegExp(`(?<![\\w&])${escapeRegex(alias)}(?![\\w&])`, entity.ignoreCase ? 'gi' : 'g'),
+    })))
+    .sort((a, b) => b.length - a.length);
+
+  const scan = (text, counts) => {
+    const claimed = [];
+    for (const { id, regex } of patterns) {
+      for (const match of text.matchAll(regex)) {
+        const start = match.index;
+        const end = start + match[0].length;
+        if (claimed.some(([s, e]) => start < e && end > s)) continue;
+        claimed.push([start, end]);
+        counts.set(id, (counts.get(id) || 0) + 1);
+      }
+    }
+  };
+
+  return (article) => {
+    const inTitle = new Map();
+    const mentions = new Map();
+    scan(article.title || '', inTitle);
+    scan(article.originalContent || article.summary || '', mentions);
+
+    return [...new Set([...inTitle.keys(), ...mentions.keys()])]
+      .map(id => ({ id, mentions: (inTitle.get(id) || 0) + (mentions.get(id) || 0), inTitle: inTitle.has(id) }))
+      .sort((a, b) => b.mentions - a.mentions || a.id.localeCompare(b.id));
+  };
+}
+
+/**
+ * An entity id plus the ids of everything under it (subsidiaries, products,
+ * people), for queries like "all articles mentioning Rocket"
+ */
+export function getEntityFamily(entities, id) {
+  const family = new Set([id]);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    for (const entity of entities) {
+      if (entity.parent && family.has(entity.parent) && !family.has(entity.id)) {
+        family.add(entity.id);
+        grew = true;
+      }
+    }
+  }
+  return [...family];
+}
+
+/**
+ * Display names for entity ids, with the parent for context:
+ * "Mr. Cooper (Rocket Companies)". Unknown ids are dropped.
+ */
+export function describeEntities(entities, ids) {
+  const byId = new Map(entities.map(e => [e.id, e]));
+  return ids
+    .filter(id => byId.has(id))
+    .map(id => {
+      const entity = byId.get(id);
+      const parent = entity.parent && byId.get(entity.parent);
+      return parent ? `${entity.name} (${parent.name})` : entity.name;
+    });
+}
@@ -0,0 +1,151 @@
+import Parser from 'rss-parser';
+import { decode } from 'html-entities';
+import { sanitizeArticleHtml } from './contentExtractor.js';
+
+const parser = new Parser({
+  customFields: {
+    item: [
+      'description',
+      'content:encoded',
+      'summary',
+      'media:thumbnail',
+      'media:content',
+      'media:group',
+      'itunes:image'
+    ]
+  }
+});
+
+/**
+ * Extract YouTube video ID from URL
+ */
+export function extractYouTubeVideoId(url) {
+  if (!url) return null;
+  const patterns = [
+    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
+    /youtube\.com\/v\/([a-zA-Z0-9_-]{11})/
+  ];
+  for (const pattern of patterns) {
+    const match = url.match(pattern);
+    if (match && match[1]) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Normalize YouTube thumbnail URL
+ */
+export function normalizeYouTubeThumbnailUrl(url) {
+  if (!url) return url;
+  const match = url.match(/https?:\/\/i[1-4]\.ytimg\.com\/vi\/([a-zA-Z0-9_-]+)\/([^\/]+\.jpg)/);
+  if (match) {
+    return `https://img.youtube.com/vi/${match[1]}/${match[2]}`;
+  }
+  return url;
+}
+
+/**
+ * Extract image URL from RSS item with fallbacks
+ */
+export function extractImageUrl(item) {
+  let imageUrl = null;
+
+  if (item['media:group'] && item['media:group']['media:thumbnail']) {
+    const thumbnail = item['media:group']['media:thumbnail'];
+    if (Array.isArray(thumbnail) && thumbnail[0] && thumbnail[0].$) {
+      imageUrl = thumbnail[0].$.url;
+    } else if (thumbnail && thumbnail.$) {
+      imageUrl = thumbnail.$.url;
+    }
+  }
+
+  if (!imageUrl && item['media:thumbnail'] && item['media:thumbnail'].$) {
+    imageUrl = item['media:thumbnail'].$.url;
+  }
+
+  if (!imageUrl && item['media:content'] && item['media:content'].$) {
+    imageUrl = item['media:content'].$.url;
+  }
+
+  if (!imageUrl && item.enclosure && item.enclosure.url) {
+    imageUrl = item.enclosure.url;
+  }
+
+  if (!imageUrl && item['itunes:image']) {
+    if (typeof item['itunes:image'] === 'string') {
+      imageUrl = item['itunes:image'];
+    } else if (item['itunes:image'].$ && item['itunes:image'].$.href) {
+      imageUrl = item['itunes:image'].$.href;
+    }
+  }
+
+  if (!imageUrl && item.link) {
+    const videoId = extractYouTubeVideoId(item.link);
+    if (videoId) {
+      imageUrl = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
+    }
+  }
+
+  if (imageUrl) {
+    imageUrl = normalizeYouTubeThumbnailUrl(imageUrl);
+  }
+
+  return imageUrl;
+}
+
+/**
+ * Stable identifier for an RSS item (guid, falling back to Atom id, then link)
+ */
+export function getItemGuid(item) {
+  const guid = item.guid || item.id || item.link || '';
+  return typeof guid === 'string' ? guid : String(guid._ || guid);
+}
+
+/**
+ * <category> tags of an RSS item as plain strings (rss-parser yields objects
+ * for tags with attributes, e.g. { _: 'Mortgage', $: { domain } })
+ */
+export function getItemTags(item) {
+  return (item.categories || [])
+    .map(tag => (typeof tag === 'string' ? tag : tag?._ || ''))
+    .map(tag => decode(tag).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Map a parsed RSS/Atom item to an article object
+ * @param {Object} item - Item from rss-parser
+ * @param {Object} source - Source config from sources.json
+ * @returns {Object} Article ready for saveArticle()
+ */
+export function buildArticleFromItem(item, source) {
+  const isYouTube = source.rss?.includes('youtube.com/feeds/');
+  const rawHtml = item['content:encoded'] || item.description || item.summary || '';
+  const cleanContent = decode(rawHtml.replace(/<[^>]*>/g, ''));
+  const quickSummary = isYouTube ? '' : cleanContent.substring(0, 300).trim() + '...';
+  const hasFullContent = !isYouTube && cleanContent.length > 500;
+
+  return {
+    title: decode(item.title || ''),
+    link: item.link,
+    pubDate: item.pubDate || item.isoDate || new Date().toISOString(),
+    source: source.name,
+    category: source.category || '',
+    type: isYouTube ? 'youtube' : 'article',
+    summary: quickSummary,
+    originalContent: isYouTube ? '' : cleanContent,
+    imageUrl: extractImageUrl(item),
+    contentHtml: hasFullContent ? sanitizeArticleHtml(rawHtml) : null,
+    hasFullContent,
+    contentSource: isYouTube ? null : 'feed',
+    author: decode(item.creator || item.author || '') || null,
+    tags: getItemTags(item)
+  };
+}
+
+/**
+ * Parse raw feed XML with the shared rss-parser configuration
+ */
+export function parseFeed(xml) {
+  return parser.parseString(xml);
+}
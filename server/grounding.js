@@ -0,0 +1,221 @@
+import { buildEntityMatcher, getEntityFamily } from './entities.js';
+
+/**
+ * Citation grounding: every digest item has to resolve to an article that was
+ * in the prompt. URLs are matched exactly, then after normalization (scheme,
+ * www., trailing slash, tracking parameters, and the fragment unless it is all
+ * that tells two article links apart), then by a near-miss edit distance
+ * on the same host. Items that still resolve to nothing are dropped, as are
+ * competitive signals whose competitor isn't in the cited article. Items whose
+ * wording shares too little with their article are kept but flagged.
+ */
+
+const TRACKING_PARAM = /^(utm_\w+|fbclid|gclid|mc_cid|mc_eid|cmpid)$/i;
+const FUZZY_DISTANCE_RATIO = 0.1;
+const MIN_FUZZY_DISTANCE = 2;
+const MIN_SHARED_WORDS = 2;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'its', 'into', 'over', 'after',
+  'about', 'amid', 'new', 'says', 'said', 'will', 'are', 'has', 'have', 'was', 'were',
+  'what', 'why', 'how', 'their', 'they', 'more', 'than', 'which', 'could', 'would'
+]);
+
+/**
+ * Comparable form of a URL: host without www., path without trailing slash,
+ * no tracking parameters, remaining query sorted. The fragment is dropped
+ * unless `keepFragment` is set. Null when it isn't a URL.
+ */
+export function normalizeUrl(url, { keepFragment = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+  const params = [...parsed.searchParams].filter(([key]) => !TRACKING_PARAM.test(key)).sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '') || '/';
+  const fragment = keepFragment ? parsed.hash : '';
+  return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${path}${query}${fragment}`;
+}
+
+/**
+ * Edit distance, giving up (returning max + 1) once it must exceed `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Resolver from a cited URL to one of `articles`
+ * @param {Array<Object>} articles - The articles the digest was generated from
+ * @returns {Function} (url) → { article, match: 'exact'|'normalized'|'fuzzy' } or null.
+ *   A fuzzy match needs a single closest article on the same host.
+ */
+export function createArticleResolver(articles) {
+  const byLink = new Map(articles.map(a => [a.link, a]));
+
+  // Links that differ only in their fragment (careers summaries: `<board>#careers-<time>`) keep it in their key
+  const linkCounts = new Map();
+  for (const article of articles) {
+    const key = normalizeUrl(article.link);
+    if (key) linkCounts.set(key, (linkCounts.get(key) || 0) + 1);
+  }
+  const keyFor = (url) => {
+    const key = normalizeUrl(url);
+    return key && linkCounts.get(key) > 1 ? normalizeUrl(url, { keepFragment: true }) : key;
+  };
+
+  const byNormalized = new Map();
+  for (const article of articles) {
+    const key = keyFor(article.link);
+    if (key && !byNormalized.has(key)) byNormalized.set(key, article);
+  }
+
+  return (url) => {
+    if (typeof url !== 'string' || !url) return null;
+    if (byLink.has(url)) return { article: byLink.get(url), match: 'exact' };
+    const key = keyFor(url);
+    if (!key) return null;
+    if (byNormalized.has(key)) return { article: byNormalized.get(key), match: 'normalized' };
+
+    const host = key.split('/')[0];
+    const max = Math.max(MIN_FUZZY_DISTANCE, Math.floor(key.length * FUZZY_DISTANCE_RATIO));
+    let best = null;
+    let bestDistance = max + 1;
+    let tied = false;
+    for (const [candidate, article] of byNormalized) {
+      if (candidate.split('/')[0] !== host) continue;
+      const distance = editDistance(key, candidate, max);
+      if (distance < bestDistance) {
+        best = article;
+        bestDistance = distance;
+        tied = false;
+      } else if (distance === bestDistance && distance <= max) {
+        tied = true;
+      }
+    }
+    return best && !tied ? { article: best, match: 'fuzzy' } : null;
+  };
+}
+
+/**
+ * Significant lowercase words in some text
+ */
+function words(text) {
+  return new Set((text || '').toLowerCase().replace(/[^a-z0-9$%\s]/g, ' ').split(/\s+/).filter(w => w.length > 2 && !STOPWORDS.has(w)));
+}
+
+function sharedWords(a, b) {
+  let shared = 0;
+  for (const word of a) if (b.has(word)) shared++;
+  return shared;
+}
+
+const articleText = (article) => [article.title, article.summary, article.originalContent].filter(Boolean).join('\n');
+
+const SECTIONS = {
+  top_insights: { claim: (item) => `${item.headline} ${item.explanation}`, label: (item) => item.headline },
+  competitive_signals: { claim: (item) => item.signal, label: (item) => `${item.competitor}: ${item.signal}` },
+  worth_reading: { claim: (item) => `${item.title} ${item.reason}`, label: (item) => item.title }
+};
+
+/**
+ * Check every digest item against the articles it was generated from and keep
+ * only the grounded ones. Resolved items get the article's canonical `url`,
+ * `article_id` and `has_full_content`; a signal without a URL is tied to the
+ * article that mentions its competitor and best matches its wording.
+ * @param {Object} digest - From generateInsights(); changed in place
+ * @param {Array<Object>} articles - The articles passed to generateInsights()
+ * @param {Array<Object>} entities - Entity dictionary, for competitor names and aliases
+ * @returns {Object} Report, also stored as `digest.grounding`:
+ *   { checked, grounded, corrected, flagged: [...], dropped: [...] } each flagged or dropped entry is
+ *   { section, item, url, reason }
+ */
+export function groundDigest(digest, articles, entities = []) {
+  const resolve = createArticleResolver(articles);
+  const matchEntities = buildEntityMatcher(entities);
+  const mentionsCache = new Map();
+  const mentionedIds = (article) => {
+    if (!mentionsCache.has(article)) {
+      mentionsCache.set(article, new Set(matchEntities({ title: article.title, originalContent: articleText(article) }).map(m => m.id)));
+    }
+    return mentionsCache.get(article);
+  };
+
+  // Whether the article names the competitor: a tracked entity (or one of its subsidiaries), else the name itself
+  const namesCompetitor = (article, competitor) => {
+    const ids = matchEntities({ title: competitor }).map(m => m.id);
+    if (ids.length > 0) {
+      const mentioned = mentionedIds(article);
+      return ids.some(id => getEntityFamily(entities, id).some(member => mentioned.has(member)));
+    }
+    return articleText(article).toLowerCase().includes(competitor.toLowerCase().trim());
+  };
+
+  const report = { checked: 0, grounded: 0, corrected: 0, flagged: [], dropped: [] };
+
+  for (const [section, { claim, label }] of Object.entries(SECTIONS)) {
+    if (!Array.isArray(digest[section])) continue;
+    digest[section] = digest[section].filter(item => {
+      report.checked++;
+      const entry = (reason) => ({ section, item: label(item), url: item.url || null, reason });
+      const claimWords = words(claim(item));
+
+      let resolved = resolve(item.url);
+      if (!resolved && !item.url && section === 'competitive_signals') {
+        const candidates = articles
+          .filter(article => namesCompetitor(article, item.competitor))
+          .map(article => ({ article, shared: sharedWords(claimWords, words(articleText(article))) }))
+          .sort((a, b) => b.shared - a.shared);
+        if (candidates.length > 0) resolved = { article: candidates[0].article, match: 'competitor' };
+      }
+
+      if (!resolved) {
+        report.dropped.push(entry(item.url ? 'URL does not match any article' : 'no article mentions this competitor'));
+        return false;
+      }
+
+      const { article, match } = resolved;
+      if (section === 'competitive_signals' && !namesCompetitor(article, item.competitor)) {
+        report.dropped.push(entry(`${item.competitor} is not named in the cited article`));
+        return false;
+      }
+
+      if (match !== 'exact') {
+        report.corrected++;
+        console.log(`[Grounding] ${section}: ${item.url || '(no URL)'} → ${article.link} (${match})`);
+      }
+      item.url = article.link;
+      item.article_id = article.id;
+      item.has_full_content = article.hasFullContent || false;
+
+      const shared = sharedWords(claimWords, words(articleText(article)));
+      if (shared < MIN_SHARED_WORDS) {
+        report.flagged.push({ ...entry(`shares ${shared} significant word${shared === 1 ? '' : 's'} with the cited article`), url: article.link });
+      }
+      report.grounded++;
+      return true;
+    });
+  }
+
+  if (report.dropped.length > 0) {
+    console.warn(`[Grounding] Dropped ${report.dropped.length} ungrounded item(s): ${report.dropped.map(d => `${d.item} (${d.reason})`).join('; ')}`);
+  }
+  console.log(`[Grounding] ${report.grounded}/${report.checked} items grounded, ${report.corrected} URL(s) corrected, ${report.flagged.length} flagged`);
+  digest.grounding = report;
+  return report;
+}
@@ -0,0 +1,303 @@
+const APP_URL = process.env.APP_URL || 'https://mortgage-intel-hub.replit.app';
+
+// Product token matched against robots.txt User-agent lines
+const ROBOTS_AGENT = 'MortgageIntelBot';
+
+/**
+ * User-Agent for every request. Built per request so HTTP_CONTACT_EMAIL from
+ * .env counts; SEC EDGAR (and other fair-access policies) want a contact address in it.
+ */
+function userAgent() {
+  const contact = process.env.HTTP_CONTACT_EMAIL ? `; ${process.env.HTTP_CONTACT_EMAIL}` : '';
+  return `Mozilla/5.0 (compatible; ${ROBOTS_AGENT}/1.0; +${APP_URL}${contact})`;
+}
+
+const DEFAULTS = {
+  concurrency: parseInt(process.env.HTTP_HOST_CONCURRENCY || '2', 10),
+  minDelayMs: parseInt(process.env.HTTP_HOST_DELAY_MS || '1000', 10),
+  // Longest we will queue behind a Retry-After / Crawl-delay before failing the request
+  maxWaitMs: 60 * 1000,
+  maxCrawlDelayMs: 30 * 1000,
+  defaultRetryAfterMs: 30 * 1000,
+  maxRetryAfterMs: 30 * 60 * 1000,
+  // Failures (network, 5xx, 429) allowed per host inside the window before it is paused
+  errorBudget: parseInt(process.env.HTTP_HOST_ERROR_BUDGET || '5', 10),
+  errorWindowMs: 10 * 60 * 1000,
+  robotsTtlMs: 24 * 60 * 60 * 1000,
+  // Unreachable robots.txt means "disallow everything" (RFC 9309), re-checked sooner
+  robotsErrorTtlMs: 10 * 60 * 1000,
+  timeoutMs: 15000,
+};
+
+/**
+ * Error for a request the client refused to send. `retryable: false` tells
+ * the source runner not to spend its retries on it.
+ */
+function refusal(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  error.retryable = false;
+  return error;
+}
+
+function patternToRegex(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Parse robots.txt into the rules that apply to `agent`: the groups naming
+ * the agent, or the `*` groups when none do
+ * @param {string} text - robots.txt body
+ * @param {string} agent - Product token, e.g. "MortgageIntelBot"
+ * @returns {{rules: Array<{allow: boolean, pattern: string}>, crawlDelayMs: number}}
+ */
+export function parseRobots(text, agent = ROBOTS_AGENT) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of (text || '').split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const match = line.match(/^([A-Za-z-]+)\s*:\s*(.*)$/);
+    if (!match) continue;
+    const key = match[1].toLowerCase();
+    const value = match[2].trim();
+
+    if (key === 'user-agent') {
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelayMs: 0 };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+    lastWasAgent = false;
+    if (!current) continue;
+
+    if ((key === 'allow' || key === 'disallow') && value) {
+      current.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay' && !isNaN(parseFloat(value))) {
+      current.crawlDelayMs = parseFloat(value) * 1000;
+    }
+  }
+
+  const token = agent.toLowerCase();
+  let matching = groups.filter(g => g.agents.some(a => a !== '*' && token.includes(a)));
+  if (matching.length === 0) matching = groups.filter(g => g.agents.includes('*'));
+
+  return {
+    rules: matching.flatMap(g => g.rules),
+    crawlDelayMs: Math.max(0, ...matching.map(g => g.crawlDelayMs)),
+  };
+}
+
+/**
+ * Whether a path (with query string) may be fetched: the longest matching
+ * rule wins, and Allow wins a tie
+ */
+export function isPathAllowed(robots, path) {
+  let best = null;
+  for (const rule of robots.rules) {
+    if (!patternToRegex(rule.pattern).test(path)) continue;
+    if (!best || rule.pattern.length > best.pattern.length ||
+      (rule.pattern.length === best.pattern.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * Milliseconds to wait from a Retry-After header (delta-seconds or HTTP date)
+ * @returns {number|null} null when the header is missing or unparseable
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Create a polite HTTP client: one shared User-Agent, cached robots.txt,
+ * per-host concurrency and minimum delay between requests, Retry-After on
+ * 429/503, and a per-host error budget
+ * @param {Object} options - Overrides for DEFAULTS
+ * @returns {{fetch: Function, getStats: Function}}
+ */
+export function createHttpClient(options = {}) {
+  const config = { ...DEFAULTS, ...options };
+  const hosts = new Map();
+
+  const getHost = (hostname) => {
+    if (!hosts.has(hostname)) {
+      hosts.set(hostname, {
+        active: 0,
+        queue: [],
+        timer: null,
+        nextStartAt: 0,
+        blockedUntil: 0,
+        errors: [],
+        robots: null,
+        robotsExpiresAt: 0,
+        robotsLoading: null,
+        requests: 0,
+        failures: 0,
+        refused: 0,
+      });
+    }
+    return hosts.get(hostname);
+  };
+
+  const hostDelay = (host) => Math.max(config.minDelayMs, Math.min(host.robots?.crawlDelayMs || 0, config.maxCrawlDelayMs));
+
+  // Start queued requests while the host has a free slot and its delay has passed
+  const pump = (host) => {
+    if (host.timer || host.queue.length === 0 || host.active >= config.concurrency) return;
+    const wait = Math.max(host.nextStartAt, host.blockedUntil) - Date.now();
+    if (wait > 0) {
+      host.timer = setTimeout(() => {
+        host.timer = null;
+        pump(host);
+      }, wait);
+      return;
+    }
+    host.active++;
+    host.nextStartAt = Date.now() + hostDelay(host);
+    host.queue.shift()();
+    pump(host);
+  };
+
+  const acquire = (host) => new Promise(resolve => {
+    host.queue.push(resolve);
+    pump(host);
+  });
+
+  const release = (host) => {
+    host.active--;
+    pump(host);
+  };
+
+  const recordFailure = (host) => {
+    host.failures++;
+    host.errors.push(Date.now());
+  };
+
+  // robots.txt is a request to the host like any other: it waits for a slot and the host's delay
+  const loadRobots = async (host, origin) => {
+    if (host.robots && Date.now() < host.robotsExpiresAt) return host.robots;
+    if (!host.robotsLoading) {
+      host.robotsLoading = (async () => {
+        await acquire(host);
+        host.requests++;
+        try {
+          const response = await fetch(`${origin}/robots.txt`, {
+            headers: { 'User-Agent': userAgent() },
+            signal: AbortSignal.timeout(config.timeoutMs),
+          });
+          if (response.ok) {
+            host.robots = parseRobots(await response.text());
+          } else if (response.status >= 500) {
+            host.robots = { rules: [{ allow: false, pattern: '/' }], crawlDelayMs: 0, unreachable: true };
+          } else {
+            // 4xx: no robots.txt, everything allowed
+            host.robots = { rules: [], crawlDelayMs: 0 };
+          }
+        } catch (error) {
+          console.warn(`[HTTP] robots.txt unreachable for ${origin}: ${error.message}`);
+          host.robots = { rules: [{ allow: false, pattern: '/' }], crawlDelayMs: 0, unreachable: true };
+        } finally {
+          release(host);
+        }
+        host.robotsExpiresAt = Date.now() + (host.robots.unreachable ? config.robotsErrorTtlMs : config.robotsTtlMs);
+        host.robotsLoading = null;
+        return host.robots;
+      })();
+    }
+    return host.robotsLoading;
+  };
+
+  /**
+   * fetch() through the politeness layer
+   * @param {string} url
+   * @param {Object} init - { headers, timeoutMs, robots } robots: `true` (default) follows
+   *   robots.txt and treats an unreachable one as "disallow all", for crawling pages
+   *   (scrapers); `'if-reachable'` follows it only when it could be read, for pages we
+   *   were linked to; `false` skips it, for feeds and APIs a source explicitly subscribes to
+   * @returns {Promise<Response>}
+   */
+  async function politeFetch(url, { headers = {}, timeoutMs = config.timeoutMs, robots = true } = {}) {
+    const { hostname, origin, pathname, search } = new URL(url);
+    const host = getHost(hostname);
+
+    const now = Date.now();
+    host.errors = host.errors.filter(t => t > now - config.errorWindowMs);
+    if (host.errors.length >= config.errorBudget) {
+      host.refused++;
+      throw refusal(`${hostname} error budget exhausted (${host.errors.length} failures in ${config.errorWindowMs / 60000} min)`, 'HOST_ERROR_BUDGET');
+    }
+    if (host.blockedUntil - now > config.maxWaitMs) {
+      host.refused++;
+      throw refusal(`${hostname} asked us to back off until ${new Date(host.blockedUntil).toISOString()}`, 'HOST_BACKOFF');
+    }
+
+    if (robots) {
+      const rules = await loadRobots(host, origin);
+      if (!(rules.unreachable && robots === 'if-reachable') && !isPathAllowed(rules, pathname + search)) {
+        host.refused++;
+        throw refusal(rules.unreachable ? `robots.txt unreachable for ${hostname}` : `Disallowed by robots.txt: ${pathname}`, 'ROBOTS_DISALLOWED');
+      }
+    }
+
+    await acquire(host);
+    host.requests++;
+    try {
+      const response = await fetch(url, {
+        headers: { ...headers, 'User-Agent': userAgent() },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      if (response.status === 429 || response.status === 503) {
+        const waitMs = parseRetryAfter(response.headers.get('retry-after')) ?? config.defaultRetryAfterMs;
+        host.blockedUntil = Date.now() + Math.min(waitMs, config.maxRetryAfterMs);
+        console.warn(`[HTTP] ${hostname} returned ${response.status}, backing off ${Math.round(waitMs / 1000)}s`);
+      }
+      if (response.status === 429 || response.status >= 500) recordFailure(host);
+      return response;
+    } catch (error) {
+      recordFailure(host);
+      throw error;
+    } finally {
+      release(host);
+    }
+  }
+
+  /**
+   * Per-host request counts and current state, for /health
+   */
+  function getStats() {
+    const now = Date.now();
+    return [...hosts.entries()].map(([hostname, host]) => ({
+      host: hostname,
+      requests: host.requests,
+      failures: host.failures,
+      refused: host.refused,
+      recentErrors: host.errors.filter(t => t > now - config.errorWindowMs).length,
+      backingOffUntil: host.blockedUntil > now ? new Date(host.blockedUntil).toISOString() : null,
+      crawlDelayMs: host.robots?.crawlDelayMs || 0,
+    }));
+  }
+
+  return { fetch: politeFetch, getStats };
+}
+
+const client = createHttpClient();
+
+/** Shared client used for every outbound request */
+export const politeFetch = client.fetch;
+export const getHttpStats = client.getStats;
@@ -1,7 +1,11 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { initScheduler, digestState, runDailyDigest } from './scheduler.js';
-import { getArticleById } from './db.js';
+import { getArticleById, getArchivedArticle, getStoryArticles, getStorageBackend } from './db.js';
+import { getSourceHealthReport } from './sourceHealth.js';
+import { getHttpStats } from './httpClient.js';
+import { runMigrations } from './migrator.js';
+import { handleSearch } from './searchApi.js';
 
 dotenv.config();
 
@@ -36,13 +40,17 @@ app.get('/run-digest', (req, res) => {
     });
 });
 
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
   res.json({
     status: 'ok',
-    ...digestState
+    ...digestState,
+    sources: await getSourceHealthReport(),
+    hosts: getHttpStats()
   });
 });
 
+app.get('/api/search', handleSearch);
+
 function escapeHtml(str) {
   if (!str) return '';
   return String(str)
@@ -52,12 +60,54 @@ function escapeHtml(str) {
     .replace(/"/g, '&quot;');
 }
 
+/**
+ * Page for an article that retention has moved to the archive files: what it
+ * was, and a link to the original
+ */
+function renderArchivedPage(archived) {
+  const dateStr = archived.pubDate
+    ? new Date(archived.pubDate).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })
+    : '';
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Archived: ${escapeHtml(archived.title)} — Signal</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { background: #f7f7f7; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1e293b; line-height: 1.6; }
+    .card { max-width: 560px; margin: 80px auto; padding: 32px; background: #fff; border: 1px solid #e5e5e5; border-radius: 8px; }
+    .label { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; color: #64748b; margin-bottom: 12px; }
+    h1 { font-family: Georgia, 'Times New Roman', serif; font-size: 22px; line-height: 1.3; margin-bottom: 8px; }
+    .meta { font-size: 13px; color: #64748b; margin-bottom: 20px; }
+    p { font-size: 15px; color: #475569; margin-bottom: 20px; }
+    a { color: #2563eb; text-decoration: none; font-weight: 500; }
+  </style>
+</head>
+<body>
+  <div class="card">
+    <div class="label">This article has been archived</div>
+    <h1>${escapeHtml(archived.title)}</h1>
+    <div class="meta">${escapeHtml(archived.source)}${dateStr ? ' &mdash; ' + escapeHtml(dateStr) : ''}</div>
+    <p>Signal no longer keeps a readable copy of this article. The original may still be available from the publisher.</p>
+    <a href="${escapeHtml(archived.link)}" target="_blank" rel="noopener">Read on ${escapeHtml(archived.source)} &rarr;</a>
+  </div>
+</body>
+</html>`;
+}
+
 app.get('/read/:id', async (req, res) => {
   const id = parseInt(req.params.id, 10);
   if (isNaN(id)) return res.status(400).send('Invalid article ID');
 
   const article = await getArticleById(id);
-  if (!article) return res.status(404).send('Article not found');
+  if (!article) {
+    // Old digest emails still link here after the article has been archived
+    const archived = await getArchivedArticle(id);
+    if (archived) return res.status(410).send(renderArchivedPage(archived));
+    return res.status(404).send('Article not found');
+  }
 
   const dateStr = article.pubDate
     ? new Date(article.pubDate).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })
@@ -65,6 +115,25 @@ app.get('/read/:id', async (req, res) => {
 
   const bodyContent = article.contentHtml
     || `<p>${escapeHtml(article.originalContent || article.summary || '')}</p>`;
+  const trimmedNote = article.contentTrimmedAt
+    ? `<p class="notice">The full text of this older article is no longer stored. <a href="${escapeHtml(article.link)}" target="_blank" rel="noopener">Read it on ${escapeHtml(article.source)} &rarr;</a></p>`
+    : '';
+
+  // Other outlets that covered the same story
+  const alternates = article.storyId
+    ? (await getStoryArticles(article.storyId)).filter(a => a.id !== article.id)
+    : [];
+  const alsoCoveredBy = alternates.length > 0
+    ? `<div class="also">
+    <div class="also-label">Also covered by</div>
+    <ul>
+      ${alternates.map(a => {
+        const href = a.hasFullContent ? `/read/${a.id}` : a.link;
+        return `<li><a href="${escapeHtml(href)}"${a.hasFullContent ? '' : ' target="_blank" rel="noopener"'}>${escapeHtml(a.source)}</a> &mdash; ${escapeHtml(a.title)}</li>`;
+      }).join('\n      ')}
+    </ul>
+  </div>`
+    : '';
 
   res.send(`<!DOCTYPE html>
 <html lang="en">
@@ -87,6 +156,13 @@ app.get('/read/:id', async (req, res) => {
     .body img { max-width: 100%; height: auto; border-radius: 6px; margin: 16px 0; }
     .body a { color: #2563eb; }
     .body blockquote { border-left: 3px solid #e5e5e5; padding-left: 16px; color: #64748b; margin: 16px 0; }
+    .notice { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; color: #64748b; background: #fff; border: 1px solid #e5e5e5; border-radius: 6px; padding: 12px 16px; margin-top: 24px; }
+    .notice a { color: #2563eb; text-decoration: none; }
+    .also { max-width: 680px; margin: 0 auto 24px; padding: 16px 24px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 14px; }
+    .also-label { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.5px; color: #64748b; margin-bottom: 8px; }
+    .also ul { list-style: none; }
+    .also li { margin-bottom: 6px; color: #475569; }
+    .also a { color: #2563eb; text-decoration: none; font-weight: 500; }
     .footer { max-width: 680px; margin: 0 auto; padding: 24px; border-top: 1px solid #e5e5e5; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 13px; color: #94a3b8; text-align: center; }
     .footer a { color: #2563eb; text-decoration: none; }
   </style>
@@ -97,10 +173,12 @@ app.get('/read/:id', async (req, res) => {
     <a class="header-link" href="${escapeHtml(article.link)}" target="_blank" rel="noopener">View original &rarr;</a>
   </div>
   <article class="article">
-    <div class="meta">${escapeHtml(article.source)}${dateStr ? ' &mdash; ' + escapeHtml(dateStr) : ''}</div>
+    <div class="meta">${escapeHtml(article.source)}${dateStr ? ' &mdash; ' + escapeHtml(dateStr) : ''}${article.contentSource === 'transcript' ? ' &mdash; Video transcript' : ''}</div>
     <h1>${escapeHtml(article.title)}</h1>
     <div class="body">${bodyContent}</div>
+    ${trimmedNote}
   </article>
+  ${alsoCoveredBy}
   <div class="footer">
     <a href="${escapeHtml(article.link)}" target="_blank" rel="noopener">Read on ${escapeHtml(article.source)} &rarr;</a>
   </div>
@@ -108,6 +186,18 @@ app.get('/read/:id', async (req, res) => {
 </html>`);
 });
 
+// Don't take requests or schedule jobs until the schema is current
+if (getStorageBackend() === 'postgres') {
+  try {
+    await runMigrations();
+  } catch (error) {
+    console.error(`[Startup] ${error.message}`);
+    process.exit(1);
+  }
+} else {
+  console.log(`[Startup] Articles stored with the ${getStorageBackend()} backend; skipping migrations`);
+}
+
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`\nSignal server running on port ${PORT}`);
   console.log(`  GET /health — check digest state\n`);
@@ -1,10 +1,21 @@
 import Anthropic from '@anthropic-ai/sdk';
+import { collapseStories } from './storyClusterer.js';
+import { loadEntityDictionary, describeEntities } from './entities.js';
+import { buildReaderContext, buildFilteringCriteria, buildSectionRules, capSections } from './profile.js';
+import { buildDigestTool, validateDigest, DIGEST_TOOL_NAME } from './digestSchema.js';
+import { createArticleResolver } from './grounding.js';
 
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY
 });
 
 const API_TIMEOUT_MS = 180000;
+const MODELS = ['claude-sonnet-4-6', 'claude-sonnet-4-5'];
+
+// Estimated prompt tokens above which generateInsights() switches to map-reduce, and the size of each map batch
+const DEFAULT_TOKEN_BUDGET = 60000;
+const DEFAULT_BATCH_TOKENS = 20000;
+const CANDIDATES_PER_BATCH = 8;
 
 function createTimeout(ms) {
   return new Promise((_, reject) => {
@@ -13,104 +24,238 @@ function createTimeout(ms) {
 }
 
 /**
- * Generate a unified daily digest from all articles (no category split)
- * @param {Array} articles - All articles from the last 24 hours
- * @returns {Promise<Object>} Digest object matching the email template format
+ * Prompt block for market series that moved past their threshold this week
+ * @param {Array} marketMoves - Notable rows from getMarketSnapshot()
  */
-export async function generateInsights(articles) {
-  if (!articles || articles.length === 0) {
-    return {
-      date: new Date().toISOString().split('T')[0],
-      top_insights: [],
-      competitive_signals: [],
-      worth_reading: [],
-      nothing_notable: true,
-      article_count: 0,
-      source_count: 0
-    };
-  }
+function buildMarketContext(marketMoves) {
+  if (!marketMoves || marketMoves.length === 0) return '';
+  const lines = marketMoves.map(m => {
+    const sign = m.change > 0 ? '+' : '';
+    const unit = m.unit === '%' ? ' pts' : (m.unit ? ` ${m.unit}` : '');
+    return `- ${m.name}${m.source ? ` (${m.source})` : ''}: ${m.value}${m.unit === '%' ? '%' : ''} as of ${m.date}, ${sign}${m.change}${unit} week over week (was ${m.previousValue} on ${m.previousDate})`;
+  });
+  return `\nMARKET MOVES THIS WEEK (structured data, context only — not articles):\n${lines.join('\n')}\n`;
+}
 
-  if (!process.env.ANTHROPIC_API_KEY) {
-    console.log('[Insights] No API key configured, returning nothing-notable');
-    return {
-      date: new Date().toISOString().split('T')[0],
-      top_insights: [],
-      competitive_signals: [],
-      worth_reading: [],
-      nothing_notable: true,
-      article_count: articles.length,
-      source_count: new Set(articles.map(a => a.source)).size
-    };
+/**
+ * Rough token count for prompt text (about 4 characters per token for English)
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Send one prompt, retrying once per model and falling back to the next
+ * @param {string|Array<Object>} prompt - A user prompt, or the full message list (repair requests)
+ * @param {Object} options - { maxTokens, label, tool } label tags the log lines; with a
+ *   tool definition, Claude is made to answer by calling it
+ * @returns {Promise<{text: string, input: *, toolUseId: string, model: string}>} `input`
+ *   and `toolUseId` come from the tool call, if any. Throws when every model fails
+ */
+async function callClaude(prompt, { maxTokens = 8000, label = 'digest', tool = null } = {}) {
+  for (const model of MODELS) {
+    for (let attempt = 1; attempt <= 2; attempt++) {
+      try {
+        const apiRequest = anthropic.messages.create({
+          model,
+          max_tokens: maxTokens,
+          temperature: 0.25,
+          messages: typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt,
+          ...(tool && { tools: [tool], tool_choice: { type: 'tool', name: tool.name } })
+        });
+
+        const message = await Promise.race([apiRequest, createTimeout(API_TIMEOUT_MS)]);
+        console.log(`[Insights] ${label}: using model ${model}`);
+        const toolUse = message.content.find(block => block.type === 'tool_use');
+        const text = message.content.filter(block => block.type === 'text').map(block => block.text).join('').trim();
+        return { text, input: toolUse?.input, toolUseId: toolUse?.id, model };
+      } catch (apiError) {
+        console.error(`[Insights] ${label}: ${model} attempt ${attempt}/2 failed: ${apiError.message}`);
+        if (attempt === 1) {
+          console.log(`[Insights] Retrying ${model} in 15 seconds...`);
+          await new Promise(r => setTimeout(r, 15000));
+        }
+      }
+    }
+    if (model !== MODELS[MODELS.length - 1]) {
+      console.log(`[Insights] ${model} unavailable, falling back to next model...`);
+    }
   }
+  throw new Error(`All models failed (tried: ${MODELS.join(', ')})`);
+}
 
-  // Separate enriched YouTube videos (with descriptions) from title-only ones
-  const enrichedYouTube = articles.filter(a => a.type === 'youtube' && a.originalContent);
-  const titleOnlyYouTube = articles.filter(a => a.type === 'youtube' && !a.originalContent);
-  const contentArticles = [...articles.filter(a => a.type !== 'youtube'), ...enrichedYouTube];
+/**
+ * Prompt-ready items for content articles (one per story)
+ */
+function toPromptItems(contentArticles, entityDictionary) {
+  return contentArticles.map(article => ({
+    id: article.id,
+    title: article.title,
+    summary: article.originalContent?.substring(0, 2000) || article.summary || '',
+    source: article.source,
+    link: article.link,
+    category: article.category || 'uncategorized',
+    coveredBy: article.coveredBy || [article.source],
+    label: article.contentSource === 'transcript' ? ' [video transcript]'
+      : article.type === 'filing' ? ' [SEC filing]'
+      : article.type === 'careers' ? ' [hiring changes]'
+      : '',
+    entityNames: describeEntities(entityDictionary, article.entityIds || [])
+  }));
+}
+
+/**
+ * One prompt line for an item: title, source, coverage, labels, then body and URL
+ */
+function formatItem(item, body = item.summary, note = '') {
+  const coverage = item.coveredBy.length > 1
+    ? ` — covered by ${item.coveredBy.length} sources: ${item.coveredBy.join(', ')}`
+    : '';
+  const entityTag = item.entityNames.length > 0 ? ` [entities: ${item.entityNames.join(', ')}]` : '';
+  return `- **${item.title}** (${item.source}${coverage})${item.label}${entityTag}${note}\n  ${body}\n  URL: ${item.link}\n`;
+}
 
-  // Group content articles by category
+/**
+ * Items grouped under category headings, plus the title-only YouTube list
+ */
+function buildArticleBlock(items, titleOnlyYouTube = []) {
   const grouped = {};
-  for (const article of contentArticles) {
-    const cat = article.category || 'uncategorized';
-    if (!grouped[cat]) grouped[cat] = [];
-    grouped[cat].push({
-      id: article.id,
-      title: article.title,
-      summary: article.originalContent?.substring(0, 2000) || article.summary || '',
-      source: article.source,
-      link: article.link,
-      pubDate: article.pubDate,
-      hasFullContent: article.hasFullContent || false
-    });
+  for (const item of items) {
+    if (!grouped[item.category]) grouped[item.category] = [];
+    grouped[item.category].push(item);
   }
 
-  const sourceCount = new Set(articles.map(a => a.source)).size;
-
-  let articleBlock = '';
-  for (const [category, items] of Object.entries(grouped)) {
-    articleBlock += `\n## ${category.toUpperCase()} (${items.length} articles)\n`;
-    for (const item of items) {
-      articleBlock += `- **${item.title}** (${item.source})\n  ${item.summary}\n  URL: ${item.link}\n`;
-    }
+  let block = '';
+  for (const [category, group] of Object.entries(grouped)) {
+    block += `\n## ${category.toUpperCase()} (${group.length} articles)\n`;
+    for (const item of group) block += formatItem(item);
   }
 
   if (titleOnlyYouTube.length > 0) {
-    articleBlock += `\n## YOUTUBE VIDEOS (${titleOnlyYouTube.length} items — titles only, do NOT generate insights from video titles)\n`;
+    block += `\n## YOUTUBE VIDEOS (${titleOnlyYouTube.length} items — titles only, do NOT generate insights from video titles)\n`;
     for (const item of titleOnlyYouTube) {
-      articleBlock += `- ${item.title} (${item.source}) — ${item.link}\n`;
+      block += `- ${item.title} (${item.source}) — ${item.link}\n`;
     }
   }
+  return block;
+}
 
-  const prompt = `You are a daily intelligence analyst for a digital product leader at a mid-size mortgage company.
+/**
+ * Split items into batches of at most `maxTokens` (estimated) each, keeping order.
+ * An item larger than the limit gets a batch of its own.
+ */
+export function batchItems(items, maxTokens) {
+  const batches = [];
+  let current = [];
+  let size = 0;
+  for (const item of items) {
+    const tokens = estimateTokens(formatItem(item));
+    if (current.length > 0 && size + tokens > maxTokens) {
+      batches.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(item);
+    size += tokens;
+  }
+  if (current.length > 0) batches.push(current);
+  return batches;
+}
 
-CONTEXT:
-- You report to someone who owns the digital mortgage experience: online applications, servicing portal, mobile app
-- Current priorities: digital self-service, digital originations, mobile app engagement, AI-driven process automation
-- Roadmap themes: servicing retention, loss mitigation automation, borrower communication
-- Key competitors: Rocket Mortgage, United Wholesale Mortgage, loanDepot, PennyMac
-- Fintech disruptors: Better, Blend, Figure, Beeline, Tomo, ICE Mortgage Technology
+/**
+ * Map prompt: screen one batch of articles for this reader and summarize the keepers
+ */
+function buildMapPrompt(profile, batch, index, total) {
+  return `You are screening articles for ${profile.persona}. A later step picks the final digest from what you keep.
 
-TODAY'S ARTICLES (${contentArticles.length} content articles + ${titleOnlyYouTube.length} title-only videos from ${sourceCount} sources):
-${articleBlock}
+${buildReaderContext(profile)}
+
+${buildFilteringCriteria(profile)}
+
+ARTICLES (batch ${index + 1} of ${total}, ${batch.length} stories):
+${buildArticleBlock(batch)}
+Keep the articles this reader should hear about: ones that meet a filtering criterion, or qualify for worth_reading. Return at most ${CANDIDATES_PER_BATCH}, best first. Leave the rest out.
+
+OUTPUT FORMAT (strict JSON array, no markdown fences):
+[
+  {
+    "url": "The article's URL exactly as given",
+    "score": 8,
+    "kind": "insight",
+    "competitor": null,
+    "summary": "2-3 sentences: what happened and why it matters to this reader"
+  }
+]
 
-FILTERING CRITERIA — Only include in top_insights or competitive_signals if at least ONE:
-1. Directly affects mortgage servicing or origination strategy
-2. Signals a technology shift that could change mortgage origination or servicing
-3. Represents a competitor move that requires attention or creates an opportunity
-4. Provides actionable intelligence for a digital product roadmap
+- score: 1-10 for how much this reader needs it (10 = must-read today)
+- kind: "insight", "signal" (a specific competitor's move; set "competitor") or "reading" (worth_reading only)
+- Never invent URLs. Return [] if nothing qualifies.
 
-For worth_reading, also include strong product management content (frameworks, practices, case studies, AI/workflow thinking) even if it has no direct mortgage connection — it informs how the PM works, not just what they work on.
+Return ONLY the JSON array, no other text.`;
+}
+
+/**
+ * Candidates from a map response, matched back to the batch's items by URL.
+ * Unknown URLs and duplicates are dropped; scores are clamped to 1-10.
+ * @returns {Array<Object>} [{ item, score, kind, competitor, summary }]
+ */
+export function parseCandidates(responseText, batch) {
+  const match = responseText.match(/```json\n?([\s\S]*?)\n?```/) || responseText.match(/\[[\s\S]*\]/);
+  const parsed = JSON.parse(match ? (match[1] || match[0]) : responseText);
+  if (!Array.isArray(parsed)) throw new Error('map response is not a JSON array');
+
+  const byUrl = new Map(batch.map(item => [item.link, item]));
+  const seen = new Set();
+  const candidates = [];
+  for (const entry of parsed) {
+    const item = entry && byUrl.get(entry.url);
+    if (!item || seen.has(item.link)) continue;
+    seen.add(item.link);
+    candidates.push({
+      item,
+      score: Math.min(10, Math.max(1, Number(entry.score) || 1)),
+      kind: ['insight', 'signal', 'reading'].includes(entry.kind) ? entry.kind : 'insight',
+      competitor: entry.competitor || null,
+      summary: String(entry.summary || item.summary).substring(0, 1000)
+    });
+  }
+  return candidates;
+}
+
+/**
+ * Reduce-prompt block: candidates, best first, with their map scores as hints
+ */
+function buildCandidateBlock(candidates) {
+  return '\n' + candidates.map(c => formatItem(
+    c.item,
+    c.summary,
+    ` [score ${c.score}, suggested: ${c.kind}${c.competitor ? ` — ${c.competitor}` : ''}]`
+  )).join('');
+}
+
+/**
+ * The digest prompt, for either every article (single pass) or the
+ * shortlisted candidates (reduce step)
+ */
+function buildDigestPrompt({ profile, heading, articleBlock, marketMoves, extraRules = [] }) {
+  const [insightsRule, signalsRule, readingRule] = buildSectionRules(profile);
 
-Skip: generic market commentary, rate predictions, political/regulatory speculation without specific impact, content that's behind a paywall with no useful summary.
+  return `You are a daily intelligence analyst for ${profile.persona}.
 
-OUTPUT FORMAT (strict JSON, no markdown fences):
+${buildReaderContext(profile)}
+
+${heading}
+${articleBlock}
+${buildMarketContext(marketMoves)}
+${buildFilteringCriteria(profile)}
+
+OUTPUT FORMAT (submit with the ${DIGEST_TOOL_NAME} tool):
 {
-  "date": "${new Date().toISOString().split('T')[0]}",
   "top_insights": [
     {
       "headline": "One-line insight headline",
       "explanation": "2-3 sentences: what happened and why it matters",
-      "connection": "How this connects to digital mortgage priorities",
+      "connection": "How this connects to the priorities above",
       "source": "Source name",
       "url": "Article URL"
     }
@@ -119,7 +264,8 @@ OUTPUT FORMAT (strict JSON, no markdown fences):
     {
       "competitor": "Company name",
       "signal": "What they did",
-      "implication": "What it means for mortgage product strategy"
+      "implication": "What it means for the reader's product strategy",
+      "url": "Article URL (optional)"
     }
   ],
   "worth_reading": [
@@ -129,93 +275,250 @@ OUTPUT FORMAT (strict JSON, no markdown fences):
       "url": "URL"
     }
   ],
-  "nothing_notable": false,
-  "article_count": ${articles.length},
-  "source_count": ${sourceCount}
+  "nothing_notable": false
 }
 
 RULES:
-- top_insights: Exactly 3 (or fewer if truly nothing qualifies). Quality over quantity.
-- competitive_signals: 0-3. Only include if a specific competitor is mentioned. Empty array is fine.
-- worth_reading: 3-5 links. Always include at least 1 product management article (from SVPG, Teresa Torres, Lenny's Newsletter, Ethan Mollick, or similar PM/AI sources) unless none of the available PM content is genuinely insightful. Aim for a mix of PM and mortgage/competitive articles. PM content is always valuable here even without a mortgage connection. YouTube videos can go here too.
+- ${insightsRule}
+- ${signalsRule}
+- [entities: ...] lists the tracked companies, products, people and agencies an item mentions, with the parent company in parentheses. Use the entity name as written there (not the item's own shorthand) for "competitor", and name the parent when it matters (e.g. Mr. Cooper is part of Rocket Companies).
+- ${readingRule}
 - If genuinely nothing is notable today, set nothing_notable: true and leave arrays empty.
 - Never fabricate URLs — only use URLs from the articles provided.
-- Do not generate insights from YouTube video titles alone.
+- Wide coverage ("covered by N sources") is a signal of importance, not a reason to repeat the story across sections.
+- Market moves are background, not insights on their own. Use them to explain why an article matters (e.g. a rate jump behind a refi or application story), and never cite them as a source or URL.
+- Items marked [SEC filing] are competitors' own regulatory filings (8-K items, 10-Q/10-K). Material items — agreements, acquisitions, results, executive changes — belong in competitive_signals. Routine exhibit-only or administrative filings can be ignored.
+- Items marked [hiring changes] summarize roles a competitor added to or removed from its careers page since the last check. A cluster of new roles in one area (e.g. several servicing or AI engineering roles) or a wave of removals is a competitive signal; a handful of routine backfills is not.
+- Do not generate insights from YouTube video titles alone. Videos marked [video transcript] include what was actually said and can support insights like any article.
+${extraRules.map(rule => `- ${rule}\n`).join('')}
+Call ${DIGEST_TOOL_NAME} once with the complete digest.`;
+}
 
-Return ONLY the JSON object, no other text.`;
+/**
+ * The digest object in a response: the tool call's input, or JSON in the text
+ * (code fence or first {...}) when Claude answered without the tool. Null when there is none.
+ */
+function readDigestResponse(response) {
+  if (response.input !== undefined) return response.input;
+  const text = response.text || '';
+  try {
+    const jsonMatch = text.match(/```json\n?([\s\S]*?)\n?```/) || text.match(/\{[\s\S]*\}/);
+    return JSON.parse(jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : text);
+  } catch (parseError) {
+    console.error('[Insights] Error parsing Claude response:', parseError.message);
+    console.error('[Insights] Raw response (first 500 chars):', text.substring(0, 500));
+    return null;
+  }
+}
 
-  const MODELS = ['claude-sonnet-4-6', 'claude-sonnet-4-5'];
+/**
+ * Conversation for a repair request: the original prompt, Claude's answer, and
+ * the validation errors as the tool result
+ */
+function buildRepairMessages(prompt, response, errors) {
+  const feedback = `The digest failed validation:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Call ${DIGEST_TOOL_NAME} again with the complete corrected digest. Fix only the problems listed and keep every other item as it was. If an item has no valid article URL, leave it out rather than inventing one.`;
+
+  if (response.toolUseId) {
+    return [
+      { role: 'user', content: prompt },
+      { role: 'assistant', content: [{ type: 'tool_use', id: response.toolUseId, name: DIGEST_TOOL_NAME, input: response.input }] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: response.toolUseId, is_error: true, content: feedback }] }
+    ];
+  }
+  return [
+    { role: 'user', content: prompt },
+    { role: 'assistant', content: response.text || '(empty response)' },
+    { role: 'user', content: feedback }
+  ];
+}
 
-  try {
-    let message;
-    let usedModel;
-    for (const model of MODELS) {
-      let succeeded = false;
-      for (let attempt = 1; attempt <= 2; attempt++) {
-        try {
-          const apiRequest = anthropic.messages.create({
-            model,
-            max_tokens: 8000,
-            temperature: 0.25,
-            messages: [{ role: 'user', content: prompt }]
-          });
-
-          message = await Promise.race([apiRequest, createTimeout(API_TIMEOUT_MS)]);
-          usedModel = model;
-          succeeded = true;
-          break;
-        } catch (apiError) {
-          console.error(`[Insights] ${model} attempt ${attempt}/2 failed: ${apiError.message}`);
-          if (attempt === 1) {
-            console.log(`[Insights] Retrying ${model} in 15 seconds...`);
-            await new Promise(r => setTimeout(r, 15000));
-          }
-        }
-      }
-      if (succeeded) break;
-      if (model !== MODELS[MODELS.length - 1]) {
-        console.log(`[Insights] ${model} unavailable, falling back to next model...`);
-      }
+/**
+ * Ask for the digest through the submit_digest tool and validate it. When
+ * anything fails validation, one repair request cites the exact errors; the
+ * answer with fewer errors is kept, minus its invalid items. A failed repair
+ * request falls back to the first answer.
+ * @returns {Promise<{digest: Object, validation: Object}>} validation:
+ *   { usable, errors, repaired, remainingErrors } usable is false when neither answer was a JSON object
+ */
+async function requestDigest(prompt, { profile, isArticleUrl, complete, label }) {
+  const tool = buildDigestTool(profile);
+  const response = await complete(prompt, { maxTokens: 8000, label, tool });
+  const first = validateDigest(readDigestResponse(response), { profile, isArticleUrl });
+  let best = first;
+  let repaired = false;
+
+  if (first.errors.length > 0) {
+    console.warn(`[Insights] ${label}: ${first.errors.length} validation error(s), requesting a repair: ${first.errors.slice(0, 5).join('; ')}`);
+    try {
+      const repair = await complete(buildRepairMessages(prompt, response, first.errors), { maxTokens: 8000, label: `${label} repair`, tool });
+      const second = validateDigest(readDigestResponse(repair), { profile, isArticleUrl });
+      repaired = true;
+      if (second.digest && (!first.digest || second.errors.length < first.errors.length)) best = second;
+      console.log(`[Insights] ${label} repair: ${second.errors.length} error(s) left, keeping the ${best === second ? 'repaired' : 'original'} answer`);
+    } catch (error) {
+      console.error(`[Insights] ${label} repair failed: ${error.message}`);
     }
+  }
+
+  const usable = best.digest !== null;
+  if (usable && best.errors.length > 0) {
+    console.warn(`[Insights] ${label}: dropped what still failed validation: ${best.errors.join('; ')}`);
+  }
+  return {
+    digest: best.digest,
+    validation: { usable, errors: first.errors, repaired, remainingErrors: best.errors }
+  };
+}
+
+/**
+ * Map step: screen each batch for candidates. A failed batch is logged and
+ * skipped; the reduce step works with what the others returned.
+ * @returns {Promise<{candidates: Array<Object>, batches: number, failedBatches: number}>}
+ */
+async function mapCandidates(profile, items, batchTokens, complete) {
+  const batches = batchItems(items, batchTokens);
+  const candidates = [];
+  let failedBatches = 0;
 
-    if (!message) {
-      throw new Error(`All models failed (tried: ${MODELS.join(', ')})`);
+  for (const [index, batch] of batches.entries()) {
+    try {
+      const { text } = await complete(buildMapPrompt(profile, batch, index, batches.length), { maxTokens: 4000, label: `batch ${index + 1}/${batches.length}` });
+      const found = parseCandidates(text, batch);
+      console.log(`[Insights] Batch ${index + 1}/${batches.length}: ${found.length} candidates from ${batch.length} stories`);
+      candidates.push(...found);
+    } catch (error) {
+      failedBatches++;
+      console.error(`[Insights] Batch ${index + 1}/${batches.length} failed: ${error.message}`);
     }
+  }
 
-    console.log(`[Insights] Using model: ${usedModel}`);
+  candidates.sort((a, b) => b.score - a.score);
+  return { candidates, batches: batches.length, failedBatches };
+}
 
-    const responseText = message.content[0].text.trim();
+/**
+ * Generate a unified daily digest from all articles (no category split).
+ *
+ * When the single prompt would exceed the token budget (INSIGHTS_TOKEN_BUDGET,
+ * default 60000 estimated tokens), it switches to map-reduce: articles are
+ * screened in batches of INSIGHTS_BATCH_TOKENS (default 20000) into scored
+ * candidates, and a final prompt picks the digest from the best of those.
+ * @param {Array} articles - All articles from the last 24 hours
+ * @param {Object} context - { profile, marketMoves, tokenBudget, batchTokens, complete }
+ *   reader profile from loadProfile(), notable market series changes, overrides
+ *   for the env budgets, and the completion function (tests pass a stub)
+ * @returns {Promise<Object>} Digest object matching the email template format;
+ *   `strategy` records which path ran, `validation` what failed the schema check
+ */
+export async function generateInsights(articles, { profile, marketMoves = [], tokenBudget, batchTokens, complete = callClaude }) {
+  if (!articles || articles.length === 0) {
+    return {
+      date: new Date().toISOString().split('T')[0],
+      top_insights: [],
+      competitive_signals: [],
+      worth_reading: [],
+      nothing_notable: true,
+      article_count: 0,
+      source_count: 0
+    };
+  }
 
-    // Parse JSON (handle possible code fences)
-    let digest;
-    try {
-      const jsonMatch = responseText.match(/```json\n?([\s\S]*?)\n?```/) ||
-                        responseText.match(/\{[\s\S]*\}/);
-      const jsonText = jsonMatch ? (jsonMatch[1] || jsonMatch[0]) : responseText;
-      digest = JSON.parse(jsonText);
-    } catch (parseError) {
-      console.error('[Insights] Error parsing Claude response:', parseError.message);
-      console.error('[Insights] Raw response (first 500 chars):', responseText.substring(0, 500));
+  if (!process.env.ANTHROPIC_API_KEY && complete === callClaude) {
+    console.log('[Insights] No API key configured, returning nothing-notable');
+    return {
+      date: new Date().toISOString().split('T')[0],
+      top_insights: [],
+      competitive_signals: [],
+      worth_reading: [],
+      nothing_notable: true,
+      article_count: articles.length,
+      source_count: new Set(articles.map(a => a.source)).size
+    };
+  }
+
+  const budget = tokenBudget || parseInt(process.env.INSIGHTS_TOKEN_BUDGET || DEFAULT_TOKEN_BUDGET, 10);
+  const batchBudget = batchTokens || parseInt(process.env.INSIGHTS_BATCH_TOKENS || DEFAULT_BATCH_TOKENS, 10);
+
+  // One entry per story — syndicated/duplicate coverage collapses to its canonical article
+  const stories = collapseStories(articles);
+  if (stories.length < articles.length) {
+    console.log(`[Insights] Collapsed ${articles.length} articles into ${stories.length} stories`);
+  }
+
+  // Separate enriched YouTube videos (with descriptions) from title-only ones
+  const enrichedYouTube = stories.filter(a => a.type === 'youtube' && a.originalContent);
+  const titleOnlyYouTube = stories.filter(a => a.type === 'youtube' && !a.originalContent);
+  const contentArticles = [...stories.filter(a => a.type !== 'youtube'), ...enrichedYouTube];
+
+  const items = toPromptItems(contentArticles, await loadEntityDictionary());
+  const sourceCount = new Set(articles.map(a => a.source)).size;
+
+  let prompt = buildDigestPrompt({
+    profile,
+    marketMoves,
+    heading: `TODAY'S ARTICLES (${contentArticles.length} content stories + ${titleOnlyYouTube.length} title-only videos from ${sourceCount} sources; stories reported by several outlets are listed once with "covered by N sources"):`,
+    articleBlock: buildArticleBlock(items, titleOnlyYouTube)
+  });
+  const strategy = { mode: 'single', estimatedTokens: estimateTokens(prompt) };
+
+  try {
+    if (strategy.estimatedTokens > budget) {
+      console.log(`[Insights] Prompt is ~${strategy.estimatedTokens} tokens, over the ${budget} budget — switching to map-reduce`);
+      const mapped = await mapCandidates(profile, items, batchBudget, complete);
+      Object.assign(strategy, { mode: 'map-reduce', batches: mapped.batches, failedBatches: mapped.failedBatches });
+
+      if (mapped.failedBatches === mapped.batches) {
+        throw new Error(`all ${mapped.batches} map batches failed`);
+      }
+
+      // Best candidates first; drop the weakest until the reduce prompt fits
+      let shortlist = mapped.candidates;
+      const buildReduce = (candidates) => buildDigestPrompt({
+        profile,
+        marketMoves,
+        heading: `SHORTLISTED CANDIDATES (${candidates.length} of ${contentArticles.length} content stories from ${sourceCount} sources, screened in ${mapped.batches} batches${mapped.failedBatches ? `, ${mapped.failedBatches} of which failed` : ''}; summaries were written for this reader in the screening pass):`,
+        articleBlock: buildCandidateBlock(candidates) + buildArticleBlock([], titleOnlyYouTube),
+        extraRules: ['Each candidate has a screening score (1-10) and a suggested section. Use them as hints: you make the final call, and you may leave high scorers out.']
+      });
+      prompt = buildReduce(shortlist);
+      while (shortlist.length > 1 && estimateTokens(prompt) > budget) {
+        shortlist = shortlist.slice(0, Math.floor(shortlist.length * 0.8));
+        prompt = buildReduce(shortlist);
+      }
+      strategy.candidates = mapped.candidates.length;
+      strategy.shortlisted = shortlist.length;
+      strategy.estimatedTokens = estimateTokens(prompt);
+      console.log(`[Insights] Reduce step: ${shortlist.length} of ${mapped.candidates.length} candidates, ~${strategy.estimatedTokens} tokens`);
+    }
+
+    // Near-miss URLs pass here; groundDigest() resolves them to the article's own link
+    const resolve = createArticleResolver(articles);
+    const isArticleUrl = (url) => resolve(url) !== null;
+    const { digest, validation } = await requestDigest(prompt, { profile, isArticleUrl, complete, label: strategy.mode === 'single' ? 'digest' : 'reduce' });
+
+    if (!validation.usable) {
       return {
         date: new Date().toISOString().split('T')[0],
         top_insights: [],
         competitive_signals: [],
         worth_reading: [],
         nothing_notable: true,
-        error: `Failed to parse Claude response: ${parseError.message}`,
+        error: `Failed to parse Claude response: no digest after ${validation.repaired ? 'repair' : 'one attempt'}`,
         article_count: articles.length,
-        source_count: sourceCount
+        source_count: sourceCount,
+        strategy,
+        validation
       };
     }
 
-    // Ensure required fields
     digest.date = digest.date || new Date().toISOString().split('T')[0];
     digest.article_count = articles.length;
     digest.source_count = sourceCount;
-    digest.top_insights = digest.top_insights || [];
-    digest.competitive_signals = digest.competitive_signals || [];
-    digest.worth_reading = digest.worth_reading || [];
-    digest.nothing_notable = digest.nothing_notable || false;
+    digest.strategy = strategy;
+    digest.validation = validation;
 
     // Deduplicate across sections (priority: insights > signals > worth_reading)
     // Match on URLs when available, plus source+keyword overlap for items without URLs
@@ -277,22 +580,28 @@ Return ONLY the JSON object, no other text.`;
       console.log(`[Insights] Dedup removed ${removed} duplicate(s) from lower-priority sections`);
     }
 
+    const overflow = capSections(digest, profile);
+    if (overflow > 0) {
+      console.log(`[Insights] Dropped ${overflow} item(s) beyond the profile's section sizes`);
+    }
+
     console.log(`[Insights] Generated: ${digest.top_insights.length} insights, ${digest.competitive_signals.length} signals, ${digest.worth_reading.length} links`);
     return digest;
 
   } catch (error) {
     console.error(`[Insights] Error generating insights: ${error.message}`);
     console.error(`[Insights] Error type: ${error.constructor.name}, status: ${error.status || 'N/A'}`);
-    console.error(`[Insights] Articles passed: ${articles.length}, prompt length: ${prompt.length} chars`);
+    console.error(`[Insights] Articles passed: ${articles.length}, prompt length: ${prompt.length} chars, strategy: ${strategy.mode}`);
     return {
       date: new Date().toISOString().split('T')[0],
       top_insights: [],
       competitive_signals: [],
       worth_reading: [],
       nothing_notable: true,
-      error: `Claude API failed after 2 attempts: ${error.message}`,
+      error: `Claude API failed: ${error.message}`,
       article_count: articles.length,
-      source_count: sourceCount
+      source_count: sourceCount,
+      strategy
     };
   }
 }
@@ -300,9 +609,10 @@ Return ONLY the JSON object, no other text.`;
 /**
  * Generate a weekly summary from the last 5 daily digests
  * @param {Array} recentDigests - Array of recent digest objects (newest first)
+ * @param {Object} profile - Reader profile from loadProfile()
  * @returns {Promise<Array<string>>} Array of 3-5 bullet summary strings
  */
-export async function generateWeeklySummary(recentDigests) {
+export async function generateWeeklySummary(recentDigests, profile) {
   if (!recentDigests || recentDigests.length === 0) return [];
 
   if (!process.env.ANTHROPIC_API_KEY) {
@@ -316,7 +626,7 @@ export async function generateWeeklySummary(recentDigests) {
     return `### ${d.date}\nInsights:\n${insights}\nSignals:\n${signals}`;
   }).join('\n\n');
 
-  const prompt = `You are a weekly intelligence summarizer for a digital product leader in financial services.
+  const prompt = `You are a weekly intelligence summarizer for ${profile.persona}.
 
 Here are the daily digests from this week:
 
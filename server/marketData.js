@@ -0,0 +1,194 @@
+import { getLatestSeriesDate, saveSeriesObservations, getSeriesHistory } from './db.js';
+import { getSeries } from './rssFetcher.js';
+import { getSourceUrl } from './adapters/http.js';
+import { getPath } from './adapters/jsonApi.js';
+import { parseScrapedDate } from './newsroomScraper.js';
+import { isQuarantined, recordSourceResult } from './sourceHealth.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stored observations this close to the newest one are re-saved to pick up revisions
+const REVISION_DAYS = 14;
+// Series whose newest observation is older than this are left out of the snapshot
+const STALE_DAYS = 21;
+
+/**
+ * Split one CSV line, honouring double-quoted fields
+ */
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (ch === '"') {
+      quoted = !quoted;
+    } else if (ch === ',' && !quoted) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell.trim());
+  return cells;
+}
+
+function toObservation(rawDate, rawValue, series) {
+  const iso = parseScrapedDate(String(rawDate ?? ''), series.dateFormat);
+  const value = parseFloat(rawValue);
+  if (!iso || isNaN(value)) return null;
+  return { date: iso.substring(0, 10), value };
+}
+
+/**
+ * Parse a series response body into observations, oldest first.
+ * CSV uses the `date` / `value` column names; JSON uses `itemsPath` plus
+ * `date` / `value` paths within each item. Rows with a blank or
+ * non-numeric value (e.g. FRED's ".") are skipped.
+ * @param {string} body - Response text
+ * @param {Object} series - Series config from sources.json
+ * @returns {Array<{date: string, value: number}>}
+ */
+export function parseSeries(body, series) {
+  let observations = [];
+
+  if (series.format === 'json') {
+    const items = getPath(JSON.parse(body), series.itemsPath);
+    if (!Array.isArray(items)) throw new Error(`No array at "${series.itemsPath || '(root)'}"`);
+    observations = items.map(item => toObservation(getPath(item, series.date), getPath(item, series.value), series));
+  } else {
+    const lines = body.split(/\r?\n/).filter(line => line.trim());
+    const header = splitCsvLine(lines[0] || '').map(h => h.toLowerCase());
+    const dateIndex = header.indexOf(series.date.toLowerCase());
+    const valueIndex = header.indexOf(series.value.toLowerCase());
+    if (dateIndex === -1 || valueIndex === -1) {
+      throw new Error(`CSV is missing column "${dateIndex === -1 ? series.date : series.value}"`);
+    }
+    observations = lines.slice(1).map(line => {
+      const cells = splitCsvLine(line);
+      return toObservation(cells[dateIndex], cells[valueIndex], series);
+    });
+  }
+
+  return observations
+    .filter(Boolean)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Week-over-week change for one series: the newest observation against the
+ * latest one at least 6 days older (works for weekly and daily series).
+ * A move is notable when it reaches `threshold` (absolute, in the series'
+ * unit) or `thresholdPct` (percent of the prior value).
+ * @param {Object} series - Series config
+ * @param {Array<{date: string, value: number}>} history - Newest first
+ * @returns {Object|null} Snapshot row, or null without enough history
+ */
+export function computeWeeklyChange(series, history) {
+  if (!history || history.length === 0) return null;
+  const [latest] = history;
+  const cutoff = new Date(Date.parse(latest.date) - 6 * DAY_MS).toISOString().substring(0, 10);
+  const previous = history.find(h => h.date <= cutoff) || null;
+
+  const change = previous ? Math.round((latest.value - previous.value) * 1000) / 1000 : null;
+  const changePct = previous && previous.value !== 0
+    ? Math.round(((latest.value - previous.value) / Math.abs(previous.value)) * 1000) / 10
+    : null;
+  const notable = change !== null && (
+    (series.threshold != null && Math.abs(change) >= series.threshold) ||
+    (series.thresholdPct != null && changePct !== null && Math.abs(changePct) >= series.thresholdPct)
+  );
+
+  return {
+    id: series.id,
+    name: series.name,
+    source: series.source || null,
+    unit: series.unit || '',
+    date: latest.date,
+    value: latest.value,
+    previousDate: previous?.date || null,
+    previousValue: previous?.value ?? null,
+    change,
+    changePct,
+    notable
+  };
+}
+
+/**
+ * Fetch every configured market series and store new observations.
+ * Series sharing a URL (e.g. several columns of one CSV) are downloaded once.
+ */
+export async function fetchAllSeries() {
+  const allSeries = await getSeries();
+  if (allSeries.length === 0) return;
+
+  console.log(`\n[Market] Fetching ${allSeries.length} market series...`);
+  const bodies = new Map();
+
+  for (const series of allSeries) {
+    if (await isQuarantined(series.name)) {
+      console.log(`[Market] Skipping ${series.name} (quarantined)`);
+      continue;
+    }
+    const startTime = Date.now();
+    const context = { result: {} };
+    try {
+      if (!bodies.has(series.url)) {
+        bodies.set(series.url, getSourceUrl(series.url, context, {
+          accept: series.format === 'json' ? 'application/json' : 'text/csv, text/plain;q=0.9, */*;q=0.5',
+          robots: false
+        }).then(response => response.text()));
+      }
+      const observations = parseSeries(await bodies.get(series.url), series);
+
+      const latestStored = await getLatestSeriesDate(series.id);
+      const since = latestStored
+        ? new Date(Date.parse(latestStored) - REVISION_DAYS * DAY_MS).toISOString().substring(0, 10)
+        : null;
+      const fresh = since ? observations.filter(o => o.date >= since) : observations;
+      const { saved } = await saveSeriesObservations(series.id, fresh);
+
+      const newest = observations[observations.length - 1];
+      console.log(`[Market] ${series.name}: ${newest ? `${newest.value} as of ${newest.date}` : 'no observations'} (${saved} saved)`);
+      await recordSourceResult(series.name, {
+        httpStatus: context.result.httpStatus || 200,
+        itemCount: observations.length,
+        latencyMs: Date.now() - startTime
+      });
+    } catch (error) {
+      console.error(`[Market] Error fetching ${series.name}:`, error.message);
+      await recordSourceResult(series.name, {
+        httpStatus: error.status || context.result.httpStatus || null,
+        itemCount: 0,
+        latencyMs: Date.now() - startTime,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Current value and week-over-week change for each configured series,
+ * for the digest's "Market snapshot" block and the insights prompt
+ * @returns {Promise<Array>} Rows from computeWeeklyChange, in config order
+ */
+export async function getMarketSnapshot() {
+  const allSeries = await getSeries();
+  const staleBefore = new Date(Date.now() - STALE_DAYS * DAY_MS).toISOString().substring(0, 10);
+  const snapshot = [];
+
+  for (const series of allSeries) {
+    const row = computeWeeklyChange(series, await getSeriesHistory(series.id, 20));
+    if (!row) continue;
+    if (row.date < staleBefore) {
+      console.log(`[Market] ${series.name}: newest observation ${row.date} is stale, leaving it out`);
+      continue;
+    }
+    snapshot.push(row);
+  }
+
+  return snapshot;
+}
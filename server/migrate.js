@@ -0,0 +1,49 @@
+/**
+ * Schema migrations CLI
+ *
+ * Usage: cd server && node migrate.js [up|status]
+ *
+ *   up     - apply pending migrations from server/migrations/ (default)
+ *   status - list each migration as applied (with its time) or pending
+ *
+ * The server runs `up` itself on startup; this is for running it ahead of a
+ * deploy or checking what a database has.
+ */
+
+import dotenv from 'dotenv';
+import { runMigrations, getMigrationStatus } from './migrator.js';
+
+dotenv.config();
+
+async function status() {
+  const { migrations, unknown } = await getMigrationStatus();
+  for (const m of migrations) {
+    const state = m.appliedAt ? `applied ${new Date(m.appliedAt).toISOString()}` : 'pending';
+    console.log(`  ${String(m.version).padStart(3, '0')}_${m.name.padEnd(32)} ${state}`);
+  }
+  for (const m of unknown) {
+    console.log(`  ${String(m.version).padStart(3, '0')}_${m.name.padEnd(32)} applied, but no file in migrations/`);
+  }
+  const pending = migrations.filter(m => !m.appliedAt).length;
+  console.log(`[Migrate] ${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  const command = process.argv[2] || 'up';
+  try {
+    if (command === 'up') {
+      await runMigrations();
+    } else if (command === 'status') {
+      await status();
+    } else {
+      console.log('Usage: node migrate.js [up|status]');
+      process.exit(1);
+    }
+    process.exit(0);
+  } catch (error) {
+    console.error(`[Migrate] ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,111 @@
+/**
+ * Baseline: the schema db.js used to create on every startup. Every
+ * statement is IF NOT EXISTS, so databases created before migrations existed
+ * are brought up to date and recorded as migrated.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS articles (
+      id SERIAL PRIMARY KEY,
+      link VARCHAR(2048) UNIQUE NOT NULL,
+      title TEXT NOT NULL,
+      source VARCHAR(255),
+      category VARCHAR(255),
+      type VARCHAR(50) DEFAULT 'article',
+      summary TEXT,
+      original_content TEXT,
+      image_url TEXT,
+      pub_date TIMESTAMP,
+      saved_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Columns added after the first deployments
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS category VARCHAR(255)`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS image_url TEXT`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS type VARCHAR(50) DEFAULT 'article'`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_html TEXT`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS has_full_content BOOLEAN DEFAULT false`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS extraction_error TEXT`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS story_id INTEGER`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS included_in_digest_at TIMESTAMP`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_source VARCHAR(20)`);
+  await client.query(`ALTER TABLE articles ADD COLUMN IF NOT EXISTS filtered_reason TEXT`);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS idx_source ON articles(source);
+    CREATE INDEX IF NOT EXISTS idx_category ON articles(category);
+    CREATE INDEX IF NOT EXISTS idx_pub_date ON articles(pub_date);
+    CREATE INDEX IF NOT EXISTS idx_saved_at ON articles(saved_at);
+    CREATE INDEX IF NOT EXISTS idx_story_id ON articles(story_id);
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS stories (
+      id SERIAL PRIMARY KEY,
+      canonical_article_id INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS source_fetch_state (
+      source VARCHAR(255) PRIMARY KEY,
+      etag TEXT,
+      last_modified TEXT,
+      last_status INTEGER,
+      last_fetch_at TIMESTAMP,
+      last_success_at TIMESTAMP,
+      last_item_date TIMESTAMP,
+      item_guids TEXT[] DEFAULT '{}'
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS source_runs (
+      id SERIAL PRIMARY KEY,
+      source VARCHAR(255) NOT NULL,
+      run_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      ok BOOLEAN NOT NULL,
+      http_status INTEGER,
+      item_count INTEGER DEFAULT 0,
+      parse_errors INTEGER DEFAULT 0,
+      latency_ms INTEGER,
+      error TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_source_runs_source ON source_runs(source, run_at);
+
+    CREATE TABLE IF NOT EXISTS source_health (
+      source VARCHAR(255) PRIMARY KEY,
+      consecutive_failures INTEGER DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'ok',
+      quarantined_until TIMESTAMP,
+      last_run_at TIMESTAMP,
+      last_ok_at TIMESTAMP,
+      last_http_status INTEGER,
+      last_item_count INTEGER,
+      last_latency_ms INTEGER,
+      last_error TEXT
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS pipeline_state (
+      key VARCHAR(100) PRIMARY KEY,
+      value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS market_series (
+      series_id VARCHAR(100) NOT NULL,
+      obs_date DATE NOT NULL,
+      value NUMERIC NOT NULL,
+      fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (series_id, obs_date)
+    );
+  `);
+}
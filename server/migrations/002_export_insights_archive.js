@@ -0,0 +1,33 @@
+import { writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DATA_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data');
+const OUTPUT_PATH = path.join(DATA_DIR, 'signal-archive-legacy.jsonl');
+
+/**
+ * Export the legacy insights_archive table to data/signal-archive-legacy.jsonl
+ * and drop it (formerly the one-off migrate-archive.js). No-op when the table
+ * is already gone.
+ */
+export async function up(client) {
+  const tableCheck = await client.query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables WHERE table_name = 'insights_archive'
+    )
+  `);
+  if (!tableCheck.rows[0].exists) return;
+
+  const result = await client.query(
+    'SELECT id, category, tldr, recommended_actions, themes, article_count, date_range_start, date_range_end, generated_at FROM insights_archive ORDER BY generated_at ASC'
+  );
+
+  if (result.rows.length > 0) {
+    await mkdir(DATA_DIR, { recursive: true });
+    // Rewritten whole, so a retried migration doesn't duplicate entries
+    await writeFile(OUTPUT_PATH, result.rows.map(row => JSON.stringify(row) + '\n').join(''), 'utf8');
+    console.log(`[Migrate] Exported ${result.rows.length} insights_archive entries to ${OUTPUT_PATH}`);
+  }
+
+  await client.query('DROP TABLE insights_archive');
+}
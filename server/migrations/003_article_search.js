@@ -0,0 +1,15 @@
+/**
+ * Full-text search over articles: a weighted tsvector (title A, summary B,
+ * body C) kept up to date by Postgres, with a GIN index
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS search_vector tsvector
+      GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(summary, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(original_content, '')), 'C')
+      ) STORED
+  `);
+  await client.query('CREATE INDEX IF NOT EXISTS idx_articles_search ON articles USING GIN (search_vector)');
+}
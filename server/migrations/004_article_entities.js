@@ -0,0 +1,16 @@
+/**
+ * Entities mentioned by each article, filled at ingest by dictionary matching
+ * (entities.js). entity_id is an id from entities.json.
+ */
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS article_entities (
+      article_id INTEGER NOT NULL REFERENCES articles(id) ON DELETE CASCADE,
+      entity_id VARCHAR(100) NOT NULL,
+      mentions INTEGER NOT NULL DEFAULT 1,
+      in_title BOOLEAN NOT NULL DEFAULT false,
+      PRIMARY KEY (article_id, entity_id)
+    );
+    CREATE INDEX IF NOT EXISTS idx_article_entities_entity ON article_entities(entity_id, article_id);
+  `);
+}
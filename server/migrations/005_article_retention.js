@@ -0,0 +1,20 @@
+/**
+ * Tiered retention (articleArchive.js). content_trimmed_at records when an
+ * article's full text was dropped. archived_articles keeps a small record of
+ * each article moved to the archive files, so /read/:id links in old digest
+ * emails can still show the title and original link.
+ */
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE articles ADD COLUMN IF NOT EXISTS content_trimmed_at TIMESTAMP;
+    CREATE TABLE IF NOT EXISTS archived_articles (
+      id INTEGER PRIMARY KEY,
+      title TEXT,
+      link VARCHAR(2048),
+      source VARCHAR(255),
+      pub_date TIMESTAMP,
+      archive_file VARCHAR(255) NOT NULL,
+      archived_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
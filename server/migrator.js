@@ -0,0 +1,112 @@
+import { readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { getPool } from './db.js';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// pg_advisory_lock key shared by every instance, so only one migrates at a time
+const LOCK_ID = 7318201;
+
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+/**
+ * Migration files in `dir`, ordered by version. Files are named
+ * `<version>_<name>.js` and export `async up(client)`.
+ * @returns {Promise<Array<{version: number, name: string, file: string}>>}
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of (await readdir(dir)).sort()) {
+    if (!file.endsWith('.js')) continue;
+    const match = file.match(FILE_PATTERN);
+    if (!match) throw new Error(`Bad migration file name: ${file} (expected <version>_<name>.js)`);
+    const version = parseInt(match[1], 10);
+    if (migrations.some(m => m.version === version)) throw new Error(`Duplicate migration version ${version}: ${file}`);
+    migrations.push({ version, name: match[2], file: path.join(dir, file) });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+async function getApplied(client) {
+  const result = await client.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => ({ version: Number(row.version), name: row.name, appliedAt: row.applied_at }));
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction, holding an
+ * advisory lock so parallel instances wait for each other instead of racing.
+ * Throws on the first failure; later migrations are not attempted.
+ * @param {Object} options - { pool, dir } (defaults: the db.js pool, server/migrations)
+ * @returns {Promise<Array<Object>>} Migrations applied by this call
+ */
+export async function runMigrations({ pool: db = getPool(), dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await db.connect();
+  const applied = [];
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await ensureMigrationsTable(client);
+    const done = new Set((await getApplied(client)).map(m => m.version));
+
+    for (const migration of migrations.filter(m => !done.has(m.version))) {
+      const { up } = await import(pathToFileURL(migration.file).href);
+      console.log(`[Migrate] Applying ${migration.version}_${migration.name}`);
+      try {
+        await client.query('BEGIN');
+        await up(client);
+        await client.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        error.message = `Migration ${migration.version}_${migration.name} failed: ${error.message}`;
+        throw error;
+      }
+      applied.push(migration);
+    }
+
+    console.log(applied.length > 0
+      ? `[Migrate] Applied ${applied.length} migration(s)`
+      : '[Migrate] Schema up to date');
+    return applied;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Every known migration with when it was applied (null = pending), plus
+ * versions recorded in schema_migrations that have no file
+ * @returns {Promise<{migrations: Array<Object>, unknown: Array<Object>}>}
+ */
+export async function getMigrationStatus({ pool: db = getPool(), dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  const client = await db.connect();
+  try {
+    await ensureMigrationsTable(client);
+    const applied = await getApplied(client);
+    const byVersion = new Map(applied.map(m => [m.version, m]));
+    return {
+      migrations: migrations.map(m => ({
+        version: m.version,
+        name: m.name,
+        appliedAt: byVersion.get(m.version)?.appliedAt || null,
+      })),
+      unknown: applied.filter(m => !migrations.some(f => f.version === m.version)),
+    };
+  } finally {
+    client.release();
+  }
+}
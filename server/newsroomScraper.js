@@ -1,206 +1,215 @@
 import * as cheerio from 'cheerio';
+import { getSourceUrl } from './adapters/http.js';
 
 /**
- * Common fetch + cheerio load + error handling wrapper
+ * Common fetch + cheerio load wrapper. Throws on HTTP/network errors so the
+ * source runner can retry and record them.
  * @param {string} url - URL to fetch
  * @param {Function} parser - Site-specific parser function receiving cheerio $
  * @param {string} sourceName - Source name for article objects
  * @param {number} maxItems - Maximum items to return
+ * @param {Object} context - Adapter context from the source runner
  * @returns {Promise<Array>} Articles array
  */
-async function scrapeNewsroom(url, parser, sourceName, maxItems = 10) {
-  try {
-    const response = await fetch(url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (compatible; MortgageIntelBot/1.0)',
-        'Accept': 'text/html,application/xhtml+xml',
-      },
-      signal: AbortSignal.timeout(15000),
-    });
+export async function scrapeNewsroom(url, parser, sourceName, maxItems = 10, context = { result: {} }) {
+  const response = await getSourceUrl(url, context, { accept: 'text/html,application/xhtml+xml' });
+  const html = await response.text();
+  const $ = cheerio.load(html);
+  const articles = parser($, maxItems);
+
+  console.log(`[Scraper] ${sourceName}: found ${articles.length} articles`);
+  return articles.map(article => ({
+    ...article,
+    source: sourceName,
+  }));
+}
 
-    if (!response.ok) {
-      console.error(`[Scraper] ${sourceName}: HTTP ${response.status}`);
-      return [];
-    }
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Date format tokens, longest first so MMMM wins over MMM/MM/M
+const DATE_TOKENS = [
+  ['YYYY', '(\\d{4})', 'year'],
+  ['MMMM', '([A-Za-z]+)', 'monthName'],
+  ['MMM', '([A-Za-z]{3})[A-Za-z]*\\.?', 'monthName'],
+  ['MM', '(\\d{2})', 'month'],
+  ['M', '(\\d{1,2})', 'month'],
+  ['DD', '(\\d{2})', 'day'],
+  ['D', '(\\d{1,2})', 'day'],
+];
+
+/**
+ * Parse a scraped date string
+ * @param {string} text - Raw date text from the page
+ * @param {string} format - Token format like "MM/DD/YYYY" or "MMMM D, YYYY"; "auto" or empty uses Date parsing
+ * @returns {string|null} ISO date string, or null if unparseable
+ */
+export function parseScrapedDate(text, format = 'auto') {
+  if (!text) return null;
+  text = text.trim();
 
-    const html = await response.text();
-    const $ = cheerio.load(html);
-    const articles = parser($, maxItems);
-
-    console.log(`[Scraper] ${sourceName}: found ${articles.length} articles`);
-    return articles.map(article => ({
-      ...article,
-      source: sourceName,
-      category: 'competitor-intel',
-    }));
-  } catch (error) {
-    console.error(`[Scraper] ${sourceName} failed:`, error.message);
-    return [];
+  if (!format || format === 'auto') {
+    const date = new Date(text);
+    return isNaN(date) ? null : date.toISOString();
   }
+
+  const fields = [];
+  let pattern = '';
+  let rest = format;
+  while (rest.length > 0) {
+    const token = DATE_TOKENS.find(([t]) => rest.startsWith(t));
+    if (token) {
+      pattern += token[1];
+      fields.push(token[2]);
+      rest = rest.slice(token[0].length);
+    } else {
+      pattern += /\s/.test(rest[0]) ? '\\s*' : rest[0].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+      rest = rest.slice(1);
+    }
+  }
+
+  const match = text.match(new RegExp(pattern));
+  if (!match) return null;
+
+  const parts = {};
+  fields.forEach((field, i) => { parts[field] = match[i + 1]; });
+  const month = parts.monthName
+    ? MONTHS.indexOf(parts.monthName.substring(0, 3).toLowerCase())
+    : parseInt(parts.month, 10) - 1;
+  const date = new Date(Date.UTC(parseInt(parts.year, 10), month, parseInt(parts.day || '1', 10)));
+  return month < 0 || isNaN(date) ? null : date.toISOString();
 }
 
 /**
- * Scrape Rocket Companies press releases
- * Covers both Rocket Mortgage and Mr. Cooper (post-acquisition)
+ * Resolve one lookup selector against an item. "." means the item itself.
  */
-export async function scrapeRocketPressReleases(maxItems = 10) {
-  return scrapeNewsroom(
-    'https://rocketcompanies.com/press-releases/',
-    ($, max) => {
-      const articles = [];
-
-      // Rocket press releases page typically has a list of press release links
-      $('a[href*="/press-release/"]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $el = $(el);
-        const title = $el.text().trim();
-        const href = $el.attr('href');
-
-        if (!title || !href || title.length < 10) return;
-
-        // Skip duplicate titles
-        if (articles.some(a => a.title === title)) return;
-
-        const link = href.startsWith('http') ? href : `https://rocketcompanies.com${href}`;
-
-        // Try to find a date near this element
-        const $parent = $el.closest('li, div, article');
-        const dateText = $parent.find('time, [datetime], .date, .press-release-date').first().text().trim();
-        const pubDate = dateText ? new Date(dateText).toISOString() : new Date().toISOString();
-
-        articles.push({
-          title,
-          link,
-          pubDate,
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'Rocket Companies Newsroom',
-    maxItems
-  );
+function findIn($item, selector) {
+  if (!selector) return null;
+  if (selector === '.') return $item;
+  const $found = $item.find(selector).first();
+  return $found.length ? $found : null;
 }
 
 /**
- * Scrape Blend newsroom (card-based layout)
- * Extracts headlines and external links (often Business Wire)
+ * Find the first non-empty match for a list of selectors, looking in the
+ * item first and then in its container (the closest `container` ancestor)
  */
-export async function scrapeBlendNewsroom(maxItems = 10) {
-  return scrapeNewsroom(
-    'https://blend.com/company/newsroom/',
-    ($, max) => {
-      const articles = [];
-
-      // Blend newsroom uses card-based layout with headlines and links
-      $('a[href]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $el = $(el);
-        const href = $el.attr('href') || '';
-
-        // Look for external press links (businesswire, prnewswire, etc) or blog posts
-        const isNewsLink = href.includes('businesswire.com') ||
-          href.includes('prnewswire.com') ||
-          href.includes('globenewswire.com') ||
-          (href.includes('blend.com') && href.includes('/blog/'));
-
-        if (!isNewsLink) return;
-
-        // Get the card/container text as title
-        const $card = $el.closest('div, article, li');
-        let title = $el.find('h2, h3, h4').first().text().trim() ||
-          $card.find('h2, h3, h4').first().text().trim() ||
-          $el.text().trim();
-
-        if (!title || title.length < 10) return;
-        // Truncate very long titles
-        if (title.length > 200) title = title.substring(0, 200);
-
-        // Skip duplicates
-        if (articles.some(a => a.title === title || a.link === href)) return;
-
-        articles.push({
-          title,
-          link: href,
-          pubDate: new Date().toISOString(), // Dates not visible in cards
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'Blend Newsroom',
-    maxItems
-  );
+function lookup($item, $container, selectors, read) {
+  for (const selector of [].concat(selectors || [])) {
+    for (const $scope of [$item, selector === '.' ? null : $container]) {
+      if (!$scope || !$scope.length) continue;
+      const $el = findIn($scope, selector);
+      const value = $el ? read($el) : '';
+      if (value) return value;
+    }
+  }
+  return '';
+}
+
+/**
+ * Build a cheerio parser from a declarative scrape spec (the `scrape` block of
+ * a `type: "scrape"` source in sources.json):
+ *
+ *   item           - selector for each repeated news item (required)
+ *   container      - closest ancestor searched for title/date when the item lacks them
+ *   require        - selector that must match inside an item for it to count
+ *   title          - selector(s) for the headline, tried in order ("." = the item's own text)
+ *   link           - selector for the anchor ("." = the item itself; default "." for <a> items, else "a")
+ *   date           - selector(s) for the date element (its `datetime` attribute wins over text)
+ *   dateFormat     - token format for parseScrapedDate, default "auto"
+ *   linkBase       - base URL for relative links
+ *   include/exclude - { link, text } regexes (case-insensitive) the item must / must not match
+ *   minTitleLength / maxTitleLength - title bounds (default 10 / none)
+ *   dedupeBy       - "link" to skip only repeated links (default: repeated title or link)
+ *   fields         - { name: selector(s) } extra text read into `article.fields`
+ *
+ * @param {Object} spec
+ * @returns {Function} Parser receiving ($, maxItems) and returning article objects
+ */
+export function buildConfiguredParser(spec) {
+  const include = spec.include || {};
+  const exclude = spec.exclude || {};
+  const toRegex = (pattern) => (pattern ? new RegExp(pattern, 'i') : null);
+  const includeLink = toRegex(include.link);
+  const includeText = toRegex(include.text);
+  const excludeLink = toRegex(exclude.link);
+  const excludeText = toRegex(exclude.text);
+  const minTitleLength = spec.minTitleLength ?? 10;
+  const dedupeByLink = spec.dedupeBy === 'link';
+
+  return ($, max) => {
+    const articles = [];
+
+    $(spec.item).each((i, el) => {
+      if (articles.length >= max) return false;
+
+      const $item = $(el);
+      if (spec.require && $item.find(spec.require).length === 0) return;
+
+      const $container = spec.container ? $item.closest(spec.container) : null;
+      const linkSelector = spec.link || (el.tagName === 'a' ? '.' : 'a');
+      const $link = findIn($item, linkSelector);
+      const href = ($link && $link.attr('href')) || '';
+      let link = href;
+      if (href && spec.linkBase) {
+        try {
+          link = new URL(href, spec.linkBase).toString();
+        } catch {
+          return;
+        }
+      }
+
+      const itemText = $item.text();
+      if (includeLink && !includeLink.test(href)) return;
+      if (includeText && !includeText.test(itemText)) return;
+      if (excludeLink && excludeLink.test(href)) return;
+      if (excludeText && excludeText.test(itemText)) return;
+
+      let title = lookup($item, $container, spec.title || '.', $el => $el.text().replace(/\s+/g, ' ').trim());
+      if (!title || title.length < minTitleLength) return;
+      if (spec.maxTitleLength && title.length > spec.maxTitleLength) title = title.substring(0, spec.maxTitleLength);
+
+      // Skip duplicates
+      if (articles.some(a => (!dedupeByLink && a.title === title) || (link && a.link === link))) return;
+
+      const dateText = spec.date
+        ? lookup($item, $container, spec.date, $el => ($el.attr('datetime') || $el.text()).trim())
+        : '';
+
+      const article = {
+        title,
+        link,
+        pubDate: parseScrapedDate(dateText, spec.dateFormat) || new Date().toISOString(),
+        summary: '',
+        originalContent: '',
+        imageUrl: null,
+        contentHtml: null,
+        hasFullContent: false,
+      };
+      if (spec.fields) {
+        article.fields = {};
+        for (const [name, selectors] of Object.entries(spec.fields)) {
+          article.fields[name] = lookup($item, $container, selectors, $el => $el.text().replace(/\s+/g, ' ').trim());
+        }
+      }
+      articles.push(article);
+    });
+
+    return articles;
+  };
 }
 
 /**
- * Scrape ICE Mortgage Technology press releases
- * Parses table layout, filters to "Mortgage Technology" category only
+ * Scrape one `type: "scrape"` source from sources.json
+ * @param {Object} source - Source config with `url` and a `scrape` spec
+ * @param {number} maxItems - Maximum items to return
+ * @param {Object} context - Adapter context from the source runner
  */
-export async function scrapeICEMortgageTech(maxItems = 10) {
+export async function scrapeConfiguredSource(source, maxItems = 10, context = { result: {} }) {
   return scrapeNewsroom(
-    'https://www.ice.com/media',
-    ($, max) => {
-      const articles = [];
-
-      // ICE media page has a table with Date, Title, Category columns
-      $('table tr, .press-release-row, [class*="press"]').each((i, el) => {
-        if (articles.length >= max) return false;
-
-        const $row = $(el);
-        const cells = $row.find('td');
-
-        if (cells.length < 2) return;
-
-        // Try to identify category column and filter for Mortgage Technology
-        const rowText = $row.text().toLowerCase();
-        if (!rowText.includes('mortgage') && !rowText.includes('ice mortgage technology')) return;
-
-        // Extract title and link
-        const $link = $row.find('a').first();
-        const title = $link.text().trim() || cells.eq(1).text().trim();
-        const href = $link.attr('href');
-
-        if (!title || title.length < 10) return;
-
-        const link = href ?
-          (href.startsWith('http') ? href : `https://www.ice.com${href}`) :
-          '';
-
-        // Extract date from first column
-        const dateText = cells.first().text().trim();
-        const pubDate = dateText ? new Date(dateText).toISOString() : new Date().toISOString();
-
-        // Skip duplicates
-        if (articles.some(a => a.title === title)) return;
-
-        articles.push({
-          title,
-          link,
-          pubDate,
-          summary: '',
-          originalContent: '',
-          imageUrl: null,
-          contentHtml: null,
-          hasFullContent: false,
-        });
-      });
-
-      return articles;
-    },
-    'ICE Mortgage Technology',
-    maxItems
+    source.url,
+    buildConfiguredParser(source.scrape),
+    source.name,
+    maxItems,
+    context
   );
 }
@@ -0,0 +1,195 @@
+import { readFile, readdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+
+/**
+ * Reader profiles, one JSON file each in server/profiles/ (or PROFILES_DIR):
+ * who a digest is for, what they care about and how big each section is.
+ * generateInsights() builds its prompt from one, so changing strategy means
+ * editing a file, not the code. Profiles are re-read on every digest run, and
+ * recipients.js decides who gets which.
+ *
+ *   name, version       - identify the profile (recipients refer to it by name); bump version on every edit
+ *   persona             - "a digital product leader at a mid-size mortgage company"
+ *   reader              - who the analyst reports to and what they own
+ *   priorities          - current priorities (required)
+ *   roadmapThemes       - roadmap themes
+ *   competitors         - key competitors
+ *   disruptors          - fintech disruptors
+ *   filteringCriteria   - an item must meet one to reach top_insights or competitive_signals
+ *   alsoWorthReading    - what else qualifies for worth_reading
+ *   skip                - content to leave out
+ *   sections            - { topInsights: { max }, competitiveSignals: { max }, worthReading: { min, max } }
+ *   preferredSources    - { label, sources, minInWorthReading } sources worth_reading should draw from
+ */
+
+export const PROFILES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'profiles');
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+const isTextList = (value) => Array.isArray(value) && value.every(isText);
+const isCount = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Problems with a profile, empty when it is valid
+ * @param {Object} profile - Parsed profile.json
+ * @returns {Array<string>}
+ */
+export function validateProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return ['profile must be a JSON object'];
+  const errors = [];
+
+  if (!isText(profile.name)) errors.push('name must be a non-empty string');
+  if (!isText(profile.persona)) errors.push('persona must be a non-empty string');
+  if (!isText(String(profile.version ?? ''))) errors.push('version is required');
+  if (profile.reader !== undefined && !isText(profile.reader)) errors.push('reader must be a non-empty string');
+  if (profile.alsoWorthReading !== undefined && !isText(profile.alsoWorthReading)) errors.push('alsoWorthReading must be a non-empty string');
+
+  for (const key of ['priorities', 'filteringCriteria']) {
+    if (!isTextList(profile[key]) || profile[key].length === 0) errors.push(`${key} must be a non-empty list of strings`);
+  }
+  for (const key of ['roadmapThemes', 'competitors', 'disruptors', 'skip']) {
+    if (profile[key] !== undefined && !isTextList(profile[key])) errors.push(`${key} must be a list of strings`);
+  }
+
+  const sections = profile.sections;
+  if (!sections || typeof sections !== 'object') {
+    errors.push('sections is required');
+  } else {
+    for (const key of ['topInsights', 'competitiveSignals', 'worthReading']) {
+      const section = sections[key];
+      if (!section || !isCount(section.max)) {
+        errors.push(`sections.${key}.max must be a whole number`);
+      } else if (section.min !== undefined && (!isCount(section.min) || section.min > section.max)) {
+        errors.push(`sections.${key}.min must be a whole number no greater than max`);
+      }
+    }
+  }
+
+  const preferred = profile.preferredSources;
+  if (preferred !== undefined) {
+    if (!isText(preferred.label)) errors.push('preferredSources.label must be a non-empty string');
+    if (!isTextList(preferred.sources) || preferred.sources.length === 0) errors.push('preferredSources.sources must be a non-empty list of strings');
+    if (preferred.minInWorthReading !== undefined && !isCount(preferred.minInWorthReading)) {
+      errors.push('preferredSources.minInWorthReading must be a whole number');
+    } else if (isCount(sections?.worthReading?.max) && (preferred.minInWorthReading || 0) > sections.worthReading.max) {
+      errors.push('preferredSources.minInWorthReading must not exceed sections.worthReading.max');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read and validate the profile. Throws with every problem listed when it is
+ * missing, not JSON or invalid, so a bad edit stops the digest instead of
+ * producing one for the wrong reader.
+ * @param {string|URL} file
+ * @returns {Promise<Object>} The profile plus `stamp`: { name, version, hash } for the archive
+ */
+export async function loadProfile(file) {
+  const raw = await readFile(file, 'utf8');
+  let profile;
+  try {
+    profile = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`Reader profile ${file} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateProfile(profile);
+  if (errors.length > 0) throw new Error(`Reader profile ${file} is invalid: ${errors.join('; ')}`);
+
+  const stamp = {
+    name: profile.name,
+    version: profile.version,
+    hash: createHash('sha256').update(raw).digest('hex').slice(0, 12)
+  };
+  console.log(`[Profile] Loaded ${stamp.name} v${stamp.version} (${stamp.hash})`);
+  return { ...profile, stamp };
+}
+
+/**
+ * Every profile in `dir`, keyed by name. Throws when one is invalid or two
+ * share a name.
+ * @returns {Promise<Map<string, Object>>}
+ */
+export async function loadProfiles(dir = process.env.PROFILES_DIR || PROFILES_DIR) {
+  const profiles = new Map();
+  for (const file of (await readdir(dir)).filter(f => f.endsWith('.json')).sort()) {
+    const profile = await loadProfile(path.join(dir, file));
+    if (profiles.has(profile.name)) throw new Error(`Reader profile name "${profile.name}" is used by more than one file in ${dir}`);
+    profiles.set(profile.name, profile);
+  }
+  if (profiles.size === 0) throw new Error(`No reader profiles in ${dir}`);
+  return profiles;
+}
+
+/**
+ * Prompt block describing the reader: the CONTEXT list
+ */
+export function buildReaderContext(profile) {
+  const lines = [];
+  if (profile.reader) lines.push(`You report to ${profile.reader}`);
+  lines.push(`Current priorities: ${profile.priorities.join(', ')}`);
+  if (profile.roadmapThemes?.length) lines.push(`Roadmap themes: ${profile.roadmapThemes.join(', ')}`);
+  if (profile.competitors?.length) lines.push(`Key competitors: ${profile.competitors.join(', ')}`);
+  if (profile.disruptors?.length) lines.push(`Fintech disruptors: ${profile.disruptors.join(', ')}`);
+  return `CONTEXT:\n${lines.map(line => `- ${line}`).join('\n')}`;
+}
+
+/**
+ * Prompt block with the filtering criteria, the worth_reading extension and the skip list
+ */
+export function buildFilteringCriteria(profile) {
+  let block = 'FILTERING CRITERIA — Only include in top_insights or competitive_signals if at least ONE:\n';
+  block += profile.filteringCriteria.map((criterion, i) => `${i + 1}. ${criterion}`).join('\n');
+  if (profile.alsoWorthReading) block += `\n\nFor worth_reading, also include ${profile.alsoWorthReading}.`;
+  if (profile.skip?.length) block += `\n\nSkip: ${profile.skip.join(', ')}.`;
+  return block;
+}
+
+/**
+ * RULES lines for section sizes and preferred worth_reading sources
+ * @returns {Array<string>}
+ */
+export function buildSectionRules(profile) {
+  const { topInsights, competitiveSignals, worthReading } = profile.sections;
+  const range = (section) => section.min !== undefined && section.min !== section.max ? `${section.min}-${section.max}` : `${section.max}`;
+
+  let reading = `worth_reading: ${range(worthReading)} links.`;
+  const preferred = profile.preferredSources;
+  if (preferred && preferred.minInWorthReading > 0) {
+    const label = preferred.label;
+    reading += ` Always include at least ${preferred.minInWorthReading} ${label} article${preferred.minInWorthReading > 1 ? 's' : ''} (from ${preferred.sources.join(', ')}, or similar ${label} sources) unless none of the available ${label} content is genuinely insightful.` +
+      ` Aim for a mix of ${label} and industry/competitive articles.`;
+  } else if (preferred) {
+    reading += ` Prefer ${preferred.label} sources such as ${preferred.sources.join(', ')}.`;
+  }
+  reading += ' YouTube videos can go here too.';
+
+  return [
+    `top_insights: Exactly ${topInsights.max} (or fewer if truly nothing qualifies). Quality over quantity.`,
+    `competitive_signals: 0-${competitiveSignals.max}. Only include if a specific competitor is mentioned. Empty array is fine.`,
+    reading
+  ];
+}
+
+/**
+ * Trim digest sections to the profile's maximum sizes (the model sometimes overshoots)
+ * @returns {number} Items removed
+ */
+export function capSections(digest, profile) {
+  const limits = {
+    top_insights: profile.sections.topInsights.max,
+    competitive_signals: profile.sections.competitiveSignals.max,
+    worth_reading: profile.sections.worthReading.max
+  };
+  let removed = 0;
+  for (const [key, max] of Object.entries(limits)) {
+    if (Array.isArray(digest[key]) && digest[key].length > max) {
+      removed += digest[key].length - max;
+      digest[key] = digest[key].slice(0, max);
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,79 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Who gets which digest. recipients.json (or RECIPIENTS_PATH) links each
+ * address to a reader profile by name (see profile.js):
+ *
+ *   { "recipients": [
+ *     { "email": "servicing@example.com", "name": "Servicing lead", "profile": "servicing-lead" }
+ *   ] }
+ *
+ * Without the file, DIGEST_EMAIL (comma-separated) gets the DIGEST_PROFILE
+ * profile, default digital-mortgage-pm, as before.
+ */
+
+export const RECIPIENTS_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), 'recipients.json');
+export const DEFAULT_PROFILE = 'digital-mortgage-pm';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Problems with a recipients list, empty when it is valid
+ * @param {Array<Object>} recipients - [{ email, name, profile }]
+ * @param {Iterable<string>} profileNames - Names of the loaded profiles
+ * @returns {Array<string>}
+ */
+export function validateRecipients(recipients, profileNames) {
+  if (!Array.isArray(recipients) || recipients.length === 0) return ['recipients must be a non-empty list'];
+  const known = new Set(profileNames);
+  const errors = [];
+  recipients.forEach((recipient, i) => {
+    const label = `recipients[${i}]`;
+    if (!recipient || typeof recipient !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof recipient.email !== 'string' || !EMAIL_PATTERN.test(recipient.email)) errors.push(`${label}.email is not an email address`);
+    if (!known.has(recipient.profile)) errors.push(`${label}.profile "${recipient.profile}" is not a known profile (${[...known].join(', ')})`);
+  });
+  return errors;
+}
+
+/**
+ * Read recipients.json, or fall back to DIGEST_EMAIL. Throws when the file is
+ * broken, a recipient is invalid, or nobody is configured.
+ * @param {Map<string, Object>} profiles - From loadProfiles()
+ * @returns {Promise<Array<Object>>} [{ email, name, profile }]
+ */
+export async function loadRecipients(profiles, { file = process.env.RECIPIENTS_PATH || RECIPIENTS_PATH, env = process.env } = {}) {
+  let recipients;
+  try {
+    recipients = JSON.parse(await readFile(file, 'utf8')).recipients;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw new Error(`Recipients file ${file} could not be read: ${error.message}`);
+    if (!env.DIGEST_EMAIL) throw new Error(`No recipients: create ${file} or set DIGEST_EMAIL`);
+    const profile = env.DIGEST_PROFILE || DEFAULT_PROFILE;
+    recipients = env.DIGEST_EMAIL.split(',').map(email => ({ email: email.trim(), profile })).filter(r => r.email);
+  }
+
+  const errors = validateRecipients(recipients, profiles.keys());
+  if (errors.length > 0) throw new Error(`Recipients are invalid: ${errors.join('; ')}`);
+  return recipients.map(({ email, name, profile }) => ({ email, name: name || null, profile }));
+}
+
+/**
+ * One audience per profile that has subscribers, in profile order; an address
+ * listed twice for the same profile is sent one copy
+ * @returns {Array<{profile: Object, recipients: Array<Object>}>}
+ */
+export function groupByProfile(recipients, profiles) {
+  const audiences = [];
+  for (const [name, profile] of profiles) {
+    const seen = new Set();
+    const members = recipients.filter(r => r.profile === name && !seen.has(r.email.toLowerCase()) && seen.add(r.email.toLowerCase()));
+    if (members.length > 0) audiences.push({ profile, recipients: members });
+  }
+  return audiences;
+}
@@ -0,0 +1,49 @@
+/**
+ * Re-tag stored articles with entities
+ *
+ * Usage: cd server && node retag.js
+ *
+ * Entities are matched at ingest, so articles saved before an alias was added
+ * to entities.json (or before entity tagging existed) lack it. This re-runs
+ * the matcher over every stored article and replaces its article_entities rows.
+ */
+
+import dotenv from 'dotenv';
+import { getArticlesForTagging, saveArticleEntities } from './db.js';
+import { runMigrations } from './migrator.js';
+import { getEntityMatcher } from './entities.js';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+
+async function retag() {
+  try {
+    await runMigrations();
+    const matchEntities = await getEntityMatcher();
+    let lastId = 0;
+    let articles = 0;
+    let tagged = 0;
+
+    for (;;) {
+      const batch = await getArticlesForTagging(lastId, BATCH_SIZE);
+      if (batch.length === 0) break;
+      for (const article of batch) {
+        const entities = matchEntities(article);
+        await saveArticleEntities(article.id, entities);
+        if (entities.length > 0) tagged++;
+      }
+      articles += batch.length;
+      lastId = batch[batch.length - 1].id;
+      console.log(`[Retag] ${articles} articles processed`);
+    }
+
+    console.log(`[Retag] Done — ${tagged} of ${articles} articles mention a tracked entity`);
+    process.exit(0);
+  } catch (error) {
+    console.error(`[Retag] Failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+retag();
@@ -1,150 +1,15 @@
-import Parser from 'rss-parser';
 import { readFile } from 'fs/promises';
-import sanitizeHtml from 'sanitize-html';
 import { saveArticle } from './db.js';
 import { decode } from 'html-entities';
-import { scrapeRocketPressReleases, scrapeBlendNewsroom, scrapeICEMortgageTech } from './newsroomScraper.js';
-
-const parser = new Parser({
-  customFields: {
-    item: [
-      'description',
-      'content:encoded',
-      'summary',
-      'media:thumbnail',
-      'media:content',
-      'media:group',
-      'itunes:image'
-    ]
-  }
-});
-
-/**
- * Sanitize RSS HTML content for safe reader rendering
- */
-function sanitizeArticleHtml(html) {
-  return sanitizeHtml(html, {
-    allowedTags: [
-      'p', 'br', 'strong', 'b', 'em', 'i', 'u', 'a',
-      'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-      'ul', 'ol', 'li', 'blockquote', 'pre', 'code',
-      'img', 'figure', 'figcaption', 'div', 'span', 'hr'
-    ],
-    allowedAttributes: {
-      'a': ['href', 'title'],
-      'img': ['src', 'alt', 'width', 'height'],
-    },
-    allowedSchemes: ['http', 'https'],
-  });
-}
+import { sanitizeArticleHtml, extractFullText } from './contentExtractor.js';
+import { extractYouTubeVideoId } from './feedParser.js';
+import { createLimiter, runSource } from './sourceRunner.js';
+import { politeFetch } from './httpClient.js';
+import { getFilterReason } from './articleFilter.js';
+import { getEntityMatcher } from './entities.js';
 
 let cachedSources = null;
 
-/**
- * Simple concurrency limiter for parallel execution
- */
-function createLimiter(concurrency) {
-  let active = 0;
-  const queue = [];
-
-  const runNext = () => {
-    if (queue.length === 0 || active >= concurrency) return;
-    active++;
-    const { fn, resolve, reject } = queue.shift();
-    fn()
-      .then(resolve)
-      .catch(reject)
-      .finally(() => {
-        active--;
-        runNext();
-      });
-  };
-
-  return (fn) => new Promise((resolve, reject) => {
-    queue.push({ fn, resolve, reject });
-    runNext();
-  });
-}
-
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-/**
- * Extract YouTube video ID from URL
- */
-function extractYouTubeVideoId(url) {
-  if (!url) return null;
-  const patterns = [
-    /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
-    /youtube\.com\/v\/([a-zA-Z0-9_-]{11})/
-  ];
-  for (const pattern of patterns) {
-    const match = url.match(pattern);
-    if (match && match[1]) return match[1];
-  }
-  return null;
-}
-
-/**
- * Normalize YouTube thumbnail URL
- */
-function normalizeYouTubeThumbnailUrl(url) {
-  if (!url) return url;
-  const match = url.match(/https?:\/\/i[1-4]\.ytimg\.com\/vi\/([a-zA-Z0-9_-]+)\/([^\/]+\.jpg)/);
-  if (match) {
-    return `https://img.youtube.com/vi/${match[1]}/${match[2]}`;
-  }
-  return url;
-}
-
-/**
- * Extract image URL from RSS item with fallbacks
- */
-function extractImageUrl(item) {
-  let imageUrl = null;
-
-  if (item['media:group'] && item['media:group']['media:thumbnail']) {
-    const thumbnail = item['media:group']['media:thumbnail'];
-    if (Array.isArray(thumbnail) && thumbnail[0] && thumbnail[0].$) {
-      imageUrl = thumbnail[0].$.url;
-    } else if (thumbnail && thumbnail.$) {
-      imageUrl = thumbnail.$.url;
-    }
-  }
-
-  if (!imageUrl && item['media:thumbnail'] && item['media:thumbnail'].$) {
-    imageUrl = item['media:thumbnail'].$.url;
-  }
-
-  if (!imageUrl && item['media:content'] && item['media:content'].$) {
-    imageUrl = item['media:content'].$.url;
-  }
-
-  if (!imageUrl && item.enclosure && item.enclosure.url) {
-    imageUrl = item.enclosure.url;
-  }
-
-  if (!imageUrl && item['itunes:image']) {
-    if (typeof item['itunes:image'] === 'string') {
-      imageUrl = item['itunes:image'];
-    } else if (item['itunes:image'].$ && item['itunes:image'].$.href) {
-      imageUrl = item['itunes:image'].$.href;
-    }
-  }
-
-  if (!imageUrl && item.link) {
-    const videoId = extractYouTubeVideoId(item.link);
-    if (videoId) {
-      imageUrl = `https://img.youtube.com/vi/${videoId}/hqdefault.jpg`;
-    }
-  }
-
-  if (imageUrl) {
-    imageUrl = normalizeYouTubeThumbnailUrl(imageUrl);
-  }
-
-  return imageUrl;
-}
-
 /**
  * Load news sources from configuration (cached after first load)
  */
@@ -161,82 +26,65 @@ async function loadSources() {
   }
 }
 
+const MAX_TRANSCRIPT_CHARS = 30000;
+
 /**
- * Fetch RSS feed from a single source with retry logic
+ * Pick the best caption track from the player response: manual English,
+ * then auto-generated English, then whatever is first
+ * @param {Array} tracks - captions.playerCaptionsTracklistRenderer.captionTracks
  */
-async function fetchRSS(source, maxRetries = 3) {
-  let lastError = null;
-  const isYouTube = source.rss?.includes('youtube.com/feeds/');
-
-  for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    try {
-      console.log(`Fetching RSS from ${source.name}${attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : ''}...`);
-      const feed = await parser.parseURL(source.rss);
-
-      const articles = [];
-
-      for (const item of feed.items.slice(0, 10)) {
-        try {
-          const rawHtml = item['content:encoded'] || item.description || item.summary || '';
-          const cleanContent = decode(rawHtml.replace(/<[^>]*>/g, ''));
-          const quickSummary = isYouTube ? '' : cleanContent.substring(0, 300).trim() + '...';
-          const hasFullContent = !isYouTube && cleanContent.length > 500;
-
-          const imageUrl = extractImageUrl(item);
-
-          const article = {
-            title: decode(item.title || ''),
-            link: item.link,
-            pubDate: item.pubDate || item.isoDate || new Date().toISOString(),
-            source: source.name,
-            category: source.category || '',
-            type: isYouTube ? 'youtube' : 'article',
-            summary: quickSummary,
-            originalContent: isYouTube ? '' : cleanContent,
-            imageUrl: imageUrl,
-            contentHtml: hasFullContent ? sanitizeArticleHtml(rawHtml) : null,
-            hasFullContent
-          };
-
-          await saveArticle(article);
-          articles.push(article);
-
-          console.log(`  Saved: ${item.title}`);
-        } catch (error) {
-          console.error(`Error processing article "${item.title}":`, error.message);
-        }
-      }
+export function pickCaptionTrack(tracks) {
+  if (!Array.isArray(tracks) || tracks.length === 0) return null;
+  const isEnglish = (t) => t.languageCode?.startsWith('en');
+  return tracks.find(t => isEnglish(t) && t.kind !== 'asr') ||
+    tracks.find(t => isEnglish(t)) ||
+    tracks[0];
+}
 
-      return articles;
-    } catch (error) {
-      lastError = error;
-      console.error(`Error fetching RSS from ${source.name} (attempt ${attempt}/${maxRetries}):`, error.message);
+/**
+ * Turn a timedtext caption XML document into plain text
+ * @param {string} xml - Caption track body (<transcript><text start dur>...</text></transcript>)
+ * @returns {string} Transcript text, capped at MAX_TRANSCRIPT_CHARS
+ */
+export function parseCaptionTrack(xml) {
+  if (!xml) return '';
+  const lines = [];
+  for (const match of xml.matchAll(/<text[^>]*>([\s\S]*?)<\/text>/g)) {
+    // Caption text is often entity-encoded twice (&amp;#39;)
+    const line = decode(decode(match[1])).replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+    if (line && line !== lines[lines.length - 1]) lines.push(line);
+  }
+  return lines.join(' ').substring(0, MAX_TRANSCRIPT_CHARS).trim();
+}
 
-      if (attempt < maxRetries) {
-        const delay = Math.pow(2, attempt - 1) * 1000;
-        console.log(`  Retrying in ${delay / 1000}s...`);
-        await sleep(delay);
-      }
+/**
+ * Reader HTML for a transcript: plain text broken into ~600-character paragraphs
+ */
+function transcriptToHtml(transcript) {
+  const paragraphs = [];
+  let current = '';
+  for (const sentence of transcript.split(/(?<=[.!?])\s+/)) {
+    current += (current ? ' ' : '') + sentence;
+    if (current.length >= 600) {
+      paragraphs.push(current);
+      current = '';
     }
   }
-
-  console.error(`Failed to fetch RSS from ${source.name} after ${maxRetries} attempts`);
-  return [];
+  if (current) paragraphs.push(current);
+  return sanitizeArticleHtml(paragraphs.map(p => `<p>${p.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')}</p>`).join(''));
 }
 
 /**
- * Fetch YouTube video description from the video page
+ * Fetch YouTube video description and caption transcript from the video page
+ * @returns {Promise<{description: string|null, transcript: string|null}|null>}
  */
-async function fetchYouTubeDescription(videoUrl) {
+async function fetchYouTubeDetails(videoUrl) {
   const videoId = extractYouTubeVideoId(videoUrl);
   if (!videoId) return null;
 
   try {
-    const resp = await fetch('https://www.youtube.com/watch?v=' + videoId, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-        'Cookie': 'CONSENT=YES+cb.20210328-17-p0.en+FX+634'
-      }
+    const resp = await politeFetch('https://www.youtube.com/watch?v=' + videoId, {
+      headers: { 'Cookie': 'CONSENT=YES+cb.20210328-17-p0.en+FX+634' }
     });
     const html = await resp.text();
 
@@ -249,7 +97,23 @@ async function fetchYouTubeDescription(videoUrl) {
     if (description.length > 0) {
       console.log(`[YT] Description fetched for ${videoId} (${description.split(/\s+/).length} words)`);
     }
-    return description || null;
+
+    let transcript = '';
+    const track = pickCaptionTrack(pr.captions?.playerCaptionsTracklistRenderer?.captionTracks);
+    if (track?.baseUrl) {
+      try {
+        // The caption track is the URL the watch page hands us for this video (under /api/, which YouTube's robots.txt disallows for crawling)
+        const captionResp = await politeFetch(track.baseUrl, { timeoutMs: 10000, robots: false });
+        transcript = captionResp.ok ? parseCaptionTrack(await captionResp.text()) : '';
+        if (transcript) {
+          console.log(`[YT] Transcript fetched for ${videoId} (${track.languageCode}${track.kind === 'asr' ? ', auto' : ''}, ${transcript.split(/\s+/).length} words)`);
+        }
+      } catch (error) {
+        console.log(`[YT] No transcript available for ${videoId}: ${error.message}`);
+      }
+    }
+
+    return { description: description || null, transcript: transcript || null };
   } catch (error) {
     console.log(`[YT] No description available for ${videoId}: ${error.message}`);
     return null;
@@ -257,80 +121,144 @@ async function fetchYouTubeDescription(videoUrl) {
 }
 
 /**
- * Enrich YouTube articles with video descriptions (parallel, with timeout)
+ * Enrich YouTube articles with caption transcripts, falling back to video
+ * descriptions (parallel, with timeout)
  */
-async function enrichYouTubeArticles(articles) {
-  const youtubeArticles = articles.filter(a => a.type === 'youtube' && a.link);
+async function enrichYouTubeArticles(articles, matchEntities) {
+  const youtubeArticles = articles.filter(a => a.type === 'youtube' && a.link && !a.filteredReason);
   if (youtubeArticles.length === 0) return;
 
-  console.log(`\n[YT] Fetching descriptions for ${youtubeArticles.length} YouTube video(s)...`);
+  console.log(`\n[YT] Fetching transcripts/descriptions for ${youtubeArticles.length} YouTube video(s)...`);
 
   const results = await Promise.allSettled(
     youtubeArticles.map(async (article) => {
-      // 10-second timeout per video
-      const timeout = new Promise((_, reject) =>
-        setTimeout(() => reject(new Error('Description fetch timed out')), 10000)
-      );
-      const description = await Promise.race([
-        fetchYouTubeDescription(article.link),
+      // 20-second timeout per video (page + caption track)
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error('Video details fetch timed out')), 20000);
+      });
+      const details = await Promise.race([
+        fetchYouTubeDetails(article.link),
         timeout
-      ]);
+      ]).finally(() => clearTimeout(timer));
+
+      if (details?.transcript) {
+        article.summary = (details.description || details.transcript).substring(0, 300).trim() + '...';
+        article.originalContent = details.transcript;
+        article.contentHtml = transcriptToHtml(details.transcript);
+        article.hasFullContent = details.transcript.length > 500;
+        article.contentSource = 'transcript';
+        article.entities = matchEntities(article);
+        await saveArticle(article);
+        return 'transcript';
+      }
 
-      if (description) {
-        article.summary = description.substring(0, 300).trim() + '...';
-        article.originalContent = description;
-        article.hasFullContent = description.length > 500;
+      if (details?.description) {
+        article.summary = details.description.substring(0, 300).trim() + '...';
+        article.originalContent = details.description;
+        article.hasFullContent = details.description.length > 500;
+        article.contentSource = 'description';
+        article.entities = matchEntities(article);
         await saveArticle(article);
-        return true;
+        return 'description';
       }
-      return false;
+      return null;
     })
   );
 
-  const enriched = results.filter(r => r.status === 'fulfilled' && r.value).length;
-  console.log(`[YT] Enriched ${enriched}/${youtubeArticles.length} videos with descriptions`);
+  const fulfilled = results.filter(r => r.status === 'fulfilled');
+  const transcripts = fulfilled.filter(r => r.value === 'transcript').length;
+  const descriptions = fulfilled.filter(r => r.value === 'description').length;
+  console.log(`[YT] Enriched ${transcripts + descriptions}/${youtubeArticles.length} videos (${transcripts} transcripts, ${descriptions} descriptions only)`);
 }
 
 /**
- * Fetch all RSS feeds + run newsroom scrapers
+ * Fill in full article text for summary-only items from sources that opt in
+ * with `extractFullText: true` (parallel, max 3 concurrent). Filters are
+ * re-applied afterwards, including the length rule deferred at save time.
+ */
+async function enrichFullTextArticles(articles, sources, globalFilters, matchEntities) {
+  const optedIn = new Map(sources.filter(s => s.extractFullText).map(s => [s.name, s]));
+  const candidates = articles.filter(a => optedIn.has(a.source) && !a.hasFullContent && !a.filteredReason && a.type !== 'youtube' && a.link);
+  if (candidates.length === 0) return;
+
+  console.log(`\n[Extract] Fetching full text for ${candidates.length} summary-only article(s)...`);
+
+  const limit = createLimiter(3);
+  const results = await Promise.allSettled(
+    candidates.map(article => limit(async () => {
+      const result = await extractFullText(article.link);
+
+      const filterSets = [globalFilters, optedIn.get(article.source).filters];
+
+      if (result.error) {
+        console.log(`[Extract] ${article.source}: "${article.title.substring(0, 50)}" — ${result.error}`);
+        article.extractionError = result.error;
+        article.filteredReason = getFilterReason(article, filterSets);
+        await saveArticle(article);
+        return false;
+      }
+
+      article.summary = result.text.substring(0, 300).trim() + '...';
+      article.originalContent = result.text;
+      article.contentHtml = result.html;
+      article.hasFullContent = true;
+      article.contentSource = 'extracted';
+      article.extractionError = null;
+      article.filteredReason = getFilterReason(article, filterSets);
+      article.entities = matchEntities(article);
+      await saveArticle(article);
+      return true;
+    }))
+  );
+
+  const extracted = results.filter(r => r.status === 'fulfilled' && r.value).length;
+  console.log(`[Extract] Extracted full text for ${extracted}/${candidates.length} articles`);
+}
+
+/**
+ * Enrich newly saved articles: YouTube transcripts/descriptions, then full
+ * text for summary-only items from sources that opt in
+ */
+export async function enrichArticles(articles) {
+  const config = await loadSources();
+  const matchEntities = await getEntityMatcher();
+
+  // Enrich YouTube articles with transcripts / video descriptions
+  await enrichYouTubeArticles(articles, matchEntities);
+
+  // Follow links for summary-only feeds that opt in to full-text extraction
+  await enrichFullTextArticles(articles, config.sources, config.filters, matchEntities);
+}
+
+/**
+ * Fetch every configured source through its adapter + enrich the new articles
  */
 export async function fetchAllFeeds() {
   const config = await loadSources();
   const startTime = Date.now();
 
-  console.log(`\nFetching from ${config.sources.length} RSS sources + 3 scrapers (parallel, max 5 concurrent)...`);
+  const counts = {};
+  for (const source of config.sources) {
+    const type = source.type || 'rss';
+    counts[type] = (counts[type] || 0) + 1;
+  }
+  const summary = Object.entries(counts).map(([type, n]) => `${n} ${type}`).join(', ');
+  console.log(`\nFetching from ${config.sources.length} sources (${summary}) (parallel, max 5 concurrent)...`);
 
-  // Fetch RSS feeds with concurrency limiter
+  const entities = await getEntityMatcher();
   const limit = createLimiter(5);
-  const rssResults = await Promise.all(
-    config.sources.map(source => limit(() => fetchRSS(source)))
+  const results = await Promise.all(
+    config.sources.map(source => limit(() => runSource(source, { filters: config.filters, entities })))
   );
 
-  // Run all 3 newsroom scrapers in parallel
-  const [rocketArticles, blendArticles, iceArticles] = await Promise.all([
-    scrapeRocketPressReleases(10),
-    scrapeBlendNewsroom(10),
-    scrapeICEMortgageTech(10)
-  ]);
-
-  // Save scraped articles to DB
-  const scraperArticles = [...rocketArticles, ...blendArticles, ...iceArticles];
-  for (const article of scraperArticles) {
-    try {
-      await saveArticle(article);
-    } catch (error) {
-      console.error(`Error saving scraped article "${article.title}":`, error.message);
-    }
-  }
-
-  const allArticles = [...rssResults.flat(), ...scraperArticles];
-
-  // Enrich YouTube articles with video descriptions
-  await enrichYouTubeArticles(allArticles);
+  const allArticles = results.flat();
+  await enrichArticles(allArticles);
 
   const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
+  const filtered = allArticles.filter(a => a.filteredReason).length;
 
-  console.log(`\nTotal articles fetched: ${allArticles.length} (${rssResults.flat().length} RSS + ${scraperArticles.length} scraped) in ${elapsed}s\n`);
+  console.log(`\nTotal new articles: ${allArticles.length}${filtered ? ` (${filtered} filtered out)` : ''} in ${elapsed}s\n`);
   return allArticles;
 }
 
@@ -341,3 +269,19 @@ export async function getSources() {
   const config = await loadSources();
   return config.sources;
 }
+
+/**
+ * Get the structured market data series configured under `series`
+ */
+export async function getSeries() {
+  const config = await loadSources();
+  return config.series || [];
+}
+
+/**
+ * Get the global `filters` block applied to every source
+ */
+export async function getFilters() {
+  const config = await loadSources();
+  return config.filters || null;
+}
@@ -1,9 +1,17 @@
 import cron from 'node-cron';
 import { fetchAllFeeds } from './rssFetcher.js';
-import { getArticles, cleanOldArticles } from './db.js';
+import { getArticles, cleanOldArticles, pruneSourceRuns, markArticlesInDigest, getPipelineState, setPipelineState } from './db.js';
 import { generateInsights, generateWeeklySummary } from './insightsGenerator.js';
 import { sendDigestEmail } from './emailSender.js';
 import { appendDigest, readRecentDigests } from './archiver.js';
+import { clusterRecentArticles } from './storyClusterer.js';
+import { getSourceProblems } from './sourceHealth.js';
+import { fetchAllSeries, getMarketSnapshot } from './marketData.js';
+import { getRetentionPolicy } from './articleArchive.js';
+import { loadProfiles } from './profile.js';
+import { loadRecipients, groupByProfile, DEFAULT_PROFILE } from './recipients.js';
+import { groundDigest } from './grounding.js';
+import { loadEntityDictionary } from './entities.js';
 
 /**
  * In-memory state for the /health endpoint
@@ -12,89 +20,211 @@ export const digestState = {
   lastDigestRun: null,
   articleCount: 0,
   emailStatus: null,
+  audiences: [],
   nextScheduledRun: null,
+  coveredThrough: {},
   lastError: null
 };
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+// One watermark per profile: `digest_covered_through:<profile>`. The unkeyed one predates profiles.
+const WATERMARK_KEY = 'digest_covered_through';
+const watermarkKey = (profileName) => `${WATERMARK_KEY}:${profileName}`;
+const MAX_WINDOW_DAYS = parseInt(process.env.DIGEST_MAX_WINDOW_DAYS || '7', 10);
+const MAX_DIGEST_ARTICLES = parseInt(process.env.DIGEST_MAX_ARTICLES || '1000', 10);
+
+/**
+ * Work out which ingestion window a profile's digest covers: everything saved
+ * since its last delivered digest (or the last 24 hours on the first run),
+ * capped at MAX_WINDOW_DAYS. A profile without its own watermark starts from
+ * the one kept before profiles existed.
+ */
+export async function getDigestWindow(profileName, end) {
+  const watermark = await getPipelineState(watermarkKey(profileName)) || await getPipelineState(WATERMARK_KEY);
+  const earliest = new Date(end.getTime() - MAX_WINDOW_DAYS * DAY_MS);
+  let start = watermark ? new Date(watermark) : new Date(end.getTime() - DAY_MS);
+  const capped = start < earliest;
+  if (capped) start = earliest;
+
+  return {
+    start: start.toISOString(),
+    end: end.toISOString(),
+    days: Math.round(((end - start) / DAY_MS) * 10) / 10,
+    capped
+  };
+}
+
+/**
+ * Articles saved in the window, first seen first, at most MAX_DIGEST_ARTICLES.
+ * When there are more, the window ends at the last article included, so the
+ * rest open the next digest's window instead of being skipped.
+ * @returns {Promise<{window: Object, articles: Array}>} window gains `truncated` when cut short
+ */
+export async function getWindowArticles(window) {
+  const articles = await getArticles({
+    savedAfter: window.start,
+    savedBefore: window.end,
+    // Not notInDigest: another profile may already have covered these articles
+    excludeFiltered: true,
+    // Ignore stale items a feed surfaced for the first time
+    startDate: new Date(Date.now() - MAX_WINDOW_DAYS * DAY_MS).toISOString(),
+    order: 'saved',
+    limit: MAX_DIGEST_ARTICLES + 1
+  });
+  if (articles.length <= MAX_DIGEST_ARTICLES) return { window, articles };
+
+  // Anything saved in the same instant as the first article left out waits for the next digest with it
+  const firstLeftOut = new Date(articles[MAX_DIGEST_ARTICLES].savedAt);
+  const before = articles.slice(0, MAX_DIGEST_ARTICLES).filter(a => new Date(a.savedAt) < firstLeftOut);
+  const included = before.length > 0 ? before : articles.slice(0, MAX_DIGEST_ARTICLES);
+  const end = new Date(included[included.length - 1].savedAt);
+  console.warn(`[Signal] Hit DIGEST_MAX_ARTICLES (${MAX_DIGEST_ARTICLES}); this digest covers articles saved through ${end.toISOString()}, the rest go in the next one`);
+
+  return {
+    window: { ...window, end: end.toISOString(), days: Math.round(((end - new Date(window.start)) / DAY_MS) * 10) / 10, truncated: true },
+    articles: included
+  };
+}
+
+/**
+ * Advance a profile's watermark and mark the covered articles, but only when
+ * its digest was generated without error and reached every recipient;
+ * otherwise the next run covers the same window again
+ * @param {Object} result - The profile's run result ({ failed, error })
+ * @returns {Promise<boolean>} Whether the watermark moved
+ */
+export async function commitDigestWindow(profileName, window, articles, result) {
+  if (result.failed > 0 || result.error) {
+    console.warn(`[Signal] ${profileName} watermark stays put; ${window.start} onwards is covered again next run`);
+    return false;
+  }
+  const { marked } = await markArticlesInDigest(articles.map(a => a.id), window.end);
+  await setPipelineState(watermarkKey(profileName), window.end);
+  digestState.coveredThrough[profileName] = window.end;
+  console.log(`[Signal] ${profileName} watermark advanced to ${window.end} (${marked} articles marked)`);
+  return true;
+}
+
+/**
+ * Send one digest variant to every subscriber of its profile
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+async function deliver(digest, weeklyBullets, recipients) {
+  let sent = 0;
+  for (const recipient of recipients) {
+    const result = await sendDigestEmail(digest, weeklyBullets, recipient.email);
+    if (result.status === 'sent') sent++;
+  }
+  return { sent, failed: recipients.length - sent };
+}
+
 /**
- * Run the full daily digest pipeline
+ * Run the full daily digest pipeline: fetch and store once, then one digest
+ * per reader profile that has subscribers
  */
 export async function runDailyDigest() {
   const startTime = Date.now();
   console.log(`\n[Signal] Starting daily digest pipeline at ${new Date().toISOString()}`);
 
   try {
+    // 0. Reader profiles and who gets each; a bad profile or recipients file stops the run before anything is fetched
+    const profiles = await loadProfiles();
+    const audiences = groupByProfile(await loadRecipients(profiles), profiles);
+    console.log(`[Signal] ${audiences.length} audience(s): ${audiences.map(a => `${a.profile.name} (${a.recipients.length})`).join(', ')}`);
+
     // 1. Fetch RSS + scrape newsrooms
     await fetchAllFeeds();
 
-    // 2. Query articles from last 24 hours
-    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
-    const articles = await getArticles({ startDate: since.toISOString() });
-
-    digestState.articleCount = articles.length;
-    console.log(`[Signal] ${articles.length} articles from last 24 hours`);
-
-    // 3. Zero articles → send "nothing new" email, skip Claude
-    if (articles.length === 0) {
-      const emptyDigest = {
-        date: new Date().toISOString().split('T')[0],
-        top_insights: [],
-        competitive_signals: [],
-        worth_reading: [],
-        nothing_notable: true,
-        article_count: 0,
-        source_count: 0
-      };
-      const emailResult = await sendDigestEmail(emptyDigest);
-      digestState.emailStatus = emailResult.status;
-      digestState.lastDigestRun = new Date().toISOString();
-      console.log(`[Signal] No articles found. Email: ${emailResult.status}`);
-      return;
-    }
+    // 1a. Market data series (rates, application indices) for the snapshot block
+    await fetchAllSeries();
+    const market = await getMarketSnapshot();
 
-    // 4. Generate insights via Claude
-    const digest = await generateInsights(articles);
+    // 1b. Group syndicated/duplicate coverage into stories
+    await clusterRecentArticles();
 
-    // 4b. Enrich digest items with article IDs for reader link routing
-    const articlesByUrl = new Map(articles.map(a => [a.link, a]));
+    // 1c. Flagged/quarantined sources go in the email footer
+    const sourceProblems = await getSourceProblems();
 
-    for (const insight of (digest.top_insights || [])) {
-      const match = articlesByUrl.get(insight.url);
-      if (match) {
-        insight.article_id = match.id;
-        insight.has_full_content = match.hasFullContent || false;
-      }
-    }
-    for (const item of (digest.worth_reading || [])) {
-      const match = articlesByUrl.get(item.url);
-      if (match) {
-        item.article_id = match.id;
-        item.has_full_content = match.hasFullContent || false;
-      }
-    }
+    const isFriday = new Date().getDay() === 5;
+    const now = new Date();
+    const results = [];
 
-    // 5. Friday check → weekly summary
-    let weeklyBullets = null;
-    const today = new Date();
-    if (today.getDay() === 5) { // Friday
-      console.log('[Signal] Friday detected — generating weekly summary');
-      const recentDigests = await readRecentDigests(5);
-      weeklyBullets = await generateWeeklySummary(recentDigests);
-    }
+    for (const { profile, recipients } of audiences) {
+      const result = { profile: profile.name, recipients: recipients.length, articles: 0, sent: 0, failed: recipients.length, insights: 0, grounding: null, error: null };
+      results.push(result);
+      try {
+        // 2. Query articles ingested since this profile's last delivered digest
+        // Busy days go through map-reduce in generateInsights(); only a backlog past DIGEST_MAX_ARTICLES is deferred
+        const { window, articles } = await getWindowArticles(await getDigestWindow(profile.name, now));
+        result.articles = articles.length;
+        console.log(`[Signal] ${profile.name}: ${articles.length} new articles since ${window.start} (${window.days} days${window.capped ? ', capped' : ''})`);
+
+        // 3. Zero articles → "nothing new" email, skip Claude
+        if (articles.length === 0) {
+          const emptyDigest = {
+            date: new Date().toISOString().split('T')[0],
+            top_insights: [],
+            competitive_signals: [],
+            worth_reading: [],
+            nothing_notable: true,
+            article_count: 0,
+            source_count: 0,
+            source_problems: sourceProblems,
+            window,
+            market,
+            profile: profile.stamp
+          };
+          Object.assign(result, await deliver(emptyDigest, null, recipients));
+          await commitDigestWindow(profile.name, window, articles, result);
+          continue;
+        }
+
+        // 4. Generate insights via Claude (only threshold-crossing market moves go in as context)
+        const digest = await generateInsights(articles, { profile, marketMoves: market.filter(m => m.notable) });
+        digest.profile = profile.stamp;
+        digest.source_problems = sourceProblems;
+        digest.window = window;
+        digest.market = market;
+
+        // 4a. Tie every item to an input article (sets article_id for reader links); ungrounded items are dropped
+        const grounding = groundDigest(digest, articles, await loadEntityDictionary());
+        result.grounding = { checked: grounding.checked, grounded: grounding.grounded, corrected: grounding.corrected, flagged: grounding.flagged.length, dropped: grounding.dropped.length };
+        result.insights = digest.top_insights?.length || 0;
+        result.error = digest.error || null;
+
+        // 5. Friday → weekly summary from this profile's recent digests
+        let weeklyBullets = null;
+        if (isFriday) {
+          console.log(`[Signal] Friday detected — generating weekly summary for ${profile.name}`);
+          const recentDigests = await readRecentDigests(5, { profile: profile.name, includeUnstamped: profile.name === DEFAULT_PROFILE });
+          weeklyBullets = await generateWeeklySummary(recentDigests, profile);
+        }
 
-    // 6. Send email
-    const emailResult = await sendDigestEmail(digest, weeklyBullets);
-    digestState.emailStatus = emailResult.status;
+        // 6. Send to each subscriber
+        Object.assign(result, await deliver(digest, weeklyBullets, recipients));
+
+        // 7. Archive to JSONL (always, even if email fails), tagged with the profile
+        await appendDigest(digest);
+
+        // 7b. The profile's window moves forward only if its digest was generated without error and reached every recipient
+        await commitDigestWindow(profile.name, window, articles, result);
+      } catch (error) {
+        result.error = error.message;
+        console.error(`[Signal] Digest for ${profile.name} failed:`, error.message);
+      }
+    }
 
-    // 7. Archive to JSONL (always, even if email fails)
-    await appendDigest(digest);
+    digestState.audiences = results;
+    digestState.articleCount = Math.max(0, ...results.map(r => r.articles));
+    const delivered = results.every(r => r.failed === 0 && !r.error);
+    digestState.emailStatus = delivered ? 'sent' : results.some(r => r.sent > 0) ? 'partial' : 'failed';
 
     // 8. Update state
     digestState.lastDigestRun = new Date().toISOString();
     digestState.lastError = null;
 
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(1);
-    console.log(`[Signal] Complete in ${elapsed}s — ${articles.length} articles, ${digest.top_insights?.length || 0} insights, email: ${emailResult.status}`);
+    console.log(`[Signal] Complete in ${elapsed}s — ${results.map(r => `${r.profile}: ${r.articles} articles, ${r.insights} insights, ${r.sent}/${r.recipients} sent`).join('; ')}`);
 
   } catch (error) {
     digestState.lastError = error.message;
@@ -118,8 +248,9 @@ export function initScheduler() {
   cron.schedule('0 0 * * 0', async () => {
     console.log('\n[Scheduler] Running weekly cleanup...');
     try {
-      const result = await cleanOldArticles();
-      console.log(`[Scheduler] Cleanup completed. Removed ${result.removed} old articles`);
+      const result = await cleanOldArticles(getRetentionPolicy());
+      const runs = await pruneSourceRuns(30);
+      console.log(`[Scheduler] Cleanup completed. Trimmed ${result.trimmed} and archived ${result.archived} old articles, removed ${runs.removed} source run records`);
     } catch (error) {
       console.error('[Scheduler] Error during cleanup:', error);
     }
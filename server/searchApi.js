@@ -0,0 +1,103 @@
+import { searchArticles } from './db.js';
+import { loadEntityDictionary, getEntityFamily } from './entities.js';
+
+const APP_URL = process.env.APP_URL || 'https://mortgage-intel-hub.replit.app';
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Validate /api/search query parameters
+ *
+ *   q        - search text (quotes, OR and -word work as in web search); q or entity is required
+ *   entity   - entity id from entities.json; includes its subsidiaries, products and people
+ *              unless children=false
+ *   source   - exact source name
+ *   category - exact category
+ *   from/to  - YYYY-MM-DD bounds on the publication date
+ *   days     - shorthand for `from` N days ago (ignored when `from` is set)
+ *   sort     - relevance (default) or date
+ *   page     - 1-based, default 1
+ *   pageSize - default 20, max 100
+ *   includeFiltered - "true" to also search items dropped by sources.json filters
+ *
+ * @param {Object} query - req.query
+ * @param {Date} now
+ * @param {Array<Object>} entities - Entity dictionary
+ * @returns {{options: Object}|{error: string}}
+ */
+export function parseSearchParams(query, now = new Date(), entities = []) {
+  const q = String(query.q || '').trim();
+  if (!q && !query.entity) return { error: 'q or entity is required' };
+
+  let entityIds = [];
+  if (query.entity) {
+    if (!entities.some(e => e.id === query.entity)) return { error: `unknown entity: ${query.entity}` };
+    entityIds = query.children === 'false' ? [query.entity] : getEntityFamily(entities, query.entity);
+  }
+
+  for (const key of ['from', 'to']) {
+    if (query[key] && !DATE_PATTERN.test(query[key])) return { error: `${key} must be YYYY-MM-DD` };
+  }
+
+  let startDate = query.from || null;
+  if (!startDate && query.days) {
+    const days = parseInt(query.days, 10);
+    if (!(days > 0)) return { error: 'days must be a positive number' };
+    startDate = new Date(now.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const sort = query.sort || 'relevance';
+  if (!['relevance', 'date'].includes(sort)) return { error: 'sort must be relevance or date' };
+
+  const page = query.page ? parseInt(query.page, 10) : 1;
+  const pageSize = query.pageSize ? parseInt(query.pageSize, 10) : DEFAULT_PAGE_SIZE;
+  if (!(page >= 1)) return { error: 'page must be 1 or more' };
+  if (!(pageSize >= 1)) return { error: 'pageSize must be 1 or more' };
+
+  return {
+    options: {
+      query: q || null,
+      entityIds,
+      source: query.source || null,
+      category: query.category || null,
+      startDate,
+      endDate: query.to || null,
+      includeFiltered: query.includeFiltered === 'true',
+      sort,
+      page,
+      pageSize: Math.min(pageSize, MAX_PAGE_SIZE),
+    }
+  };
+}
+
+/**
+ * GET /api/search — ranked full-text search over stored articles. Needs
+ * SEARCH_TOKEN (or CRON_SECRET when unset) as `?token=` or a Bearer header.
+ */
+export async function handleSearch(req, res) {
+  const secret = process.env.SEARCH_TOKEN || process.env.CRON_SECRET;
+  const bearer = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+  const token = req.query.token || bearer;
+  if (!secret || token !== secret) {
+    return res.status(401).json({ error: 'unauthorized' });
+  }
+
+  const { options, error } = parseSearchParams(req.query, new Date(), await loadEntityDictionary());
+  if (error) return res.status(400).json({ error });
+
+  const found = await searchArticles(options);
+  if (!found) return res.status(500).json({ error: 'search failed' });
+
+  res.json({
+    query: options.query,
+    entityIds: options.entityIds,
+    page: options.page,
+    pageSize: options.pageSize,
+    total: found.total,
+    results: found.results.map(result => ({
+      ...result,
+      readUrl: result.hasFullContent ? `${APP_URL}/read/${result.id}` : null,
+    })),
+  });
+}
@@ -0,0 +1,111 @@
+import { getSourceHealth, getAllSourceHealth, recordSourceRun, getFilterCounts } from './db.js';
+
+// Consecutive failed or empty runs before a source is flagged / quarantined
+const FLAG_AFTER = parseInt(process.env.SOURCE_FLAG_AFTER || '3', 10);
+const QUARANTINE_AFTER = parseInt(process.env.SOURCE_QUARANTINE_AFTER || '7', 10);
+// Quarantined sources are probed again once this much time has passed
+const QUARANTINE_HOURS = parseInt(process.env.SOURCE_QUARANTINE_HOURS || '24', 10);
+// Filtered-article counts in /health cover this many days
+const FILTER_REPORT_DAYS = 7;
+
+/**
+ * Check whether a source is quarantined and should be skipped this run
+ * @param {string} sourceName
+ * @returns {Promise<boolean>}
+ */
+export async function isQuarantined(sourceName) {
+  const health = await getSourceHealth(sourceName);
+  if (!health || health.status !== 'quarantined' || !health.quarantinedUntil) return false;
+  return new Date(health.quarantinedUntil) > new Date();
+}
+
+/**
+ * Record the outcome of fetching one source and update its flag/quarantine status.
+ * A run fails when it errors or returns zero items (a 304 Not Modified is healthy).
+ * @param {string} sourceName
+ * @param {Object} result - { httpStatus, itemCount, parseErrors, latencyMs, error }
+ */
+export async function recordSourceResult(sourceName, result) {
+  const ok = !result.error && (result.itemCount > 0 || result.httpStatus === 304);
+  const previous = await getSourceHealth(sourceName);
+  const consecutiveFailures = ok ? 0 : (previous?.consecutiveFailures || 0) + 1;
+
+  let status = 'ok';
+  let quarantinedUntil = null;
+  if (consecutiveFailures >= QUARANTINE_AFTER) {
+    status = 'quarantined';
+    quarantinedUntil = new Date(Date.now() + QUARANTINE_HOURS * 60 * 60 * 1000).toISOString();
+  } else if (consecutiveFailures >= FLAG_AFTER) {
+    status = 'flagged';
+  }
+
+  if (status !== 'ok' && status !== previous?.status) {
+    console.warn(`[Health] ${sourceName} ${status} after ${consecutiveFailures} failed/empty runs (${result.error || 'no items'})`);
+  } else if (ok && previous && previous.status !== 'ok') {
+    console.log(`[Health] ${sourceName} recovered`);
+  }
+
+  await recordSourceRun(
+    {
+      source: sourceName,
+      ok,
+      httpStatus: result.httpStatus,
+      itemCount: result.itemCount || 0,
+      parseErrors: result.parseErrors || 0,
+      latencyMs: result.latencyMs,
+      error: result.error || (ok ? null : 'no items returned')
+    },
+    { consecutiveFailures, status, quarantinedUntil }
+  );
+}
+
+/**
+ * Sources currently flagged or quarantined, for /health and the digest footer
+ * @returns {Promise<Array<{source: string, status: string, consecutiveFailures: number, lastError: string|null, lastOkAt: string|null}>>}
+ */
+export async function getSourceProblems() {
+  const all = await getAllSourceHealth();
+  return all
+    .filter(h => h.status !== 'ok')
+    .map(h => ({
+      source: h.source,
+      status: h.status,
+      consecutiveFailures: h.consecutiveFailures,
+      lastError: h.lastError,
+      lastOkAt: h.lastOkAt
+    }));
+}
+
+/**
+ * Articles dropped by sources.json filters over the last FILTER_REPORT_DAYS,
+ * per source and reason
+ */
+async function getFilterReport() {
+  const counts = await getFilterCounts(new Date(Date.now() - FILTER_REPORT_DAYS * 24 * 60 * 60 * 1000));
+  const sources = {};
+  for (const { source, reason, count } of counts) {
+    if (!sources[source]) sources[source] = { total: 0, reasons: {} };
+    sources[source].total += count;
+    sources[source].reasons[reason] = count;
+  }
+  return {
+    days: FILTER_REPORT_DAYS,
+    total: counts.reduce((sum, c) => sum + c.count, 0),
+    sources
+  };
+}
+
+/**
+ * Full per-source health summary for /health
+ */
+export async function getSourceHealthReport() {
+  const all = await getAllSourceHealth();
+  return {
+    total: all.length,
+    ok: all.filter(h => h.status === 'ok').length,
+    flagged: all.filter(h => h.status === 'flagged').length,
+    quarantined: all.filter(h => h.status === 'quarantined').length,
+    filtered: await getFilterReport(),
+    sources: all
+  };
+}
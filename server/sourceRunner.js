@@ -0,0 +1,286 @@
+import { saveArticle, getFetchState, saveFetchState } from './db.js';
+import { isQuarantined, recordSourceResult } from './sourceHealth.js';
+import { getAdapter } from './adapters/index.js';
+import { getFilterReason } from './articleFilter.js';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Items taken from each source per run unless the source sets `maxItems`
+export const DEFAULT_MAX_ITEMS = 10;
+// Pause between pages of a backfill
+const PAGE_DELAY_MS = 1000;
+
+/**
+ * Simple concurrency limiter for parallel execution
+ */
+export function createLimiter(concurrency) {
+  let active = 0;
+  const queue = [];
+
+  const runNext = () => {
+    if (queue.length === 0 || active >= concurrency) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    fn()
+      .then(resolve)
+      .catch(reject)
+      .finally(() => {
+        active--;
+        runNext();
+      });
+  };
+
+  return (fn) => new Promise((resolve, reject) => {
+    queue.push({ fn, resolve, reject });
+    runNext();
+  });
+}
+
+/**
+ * Attach source name/category and the filter verdict to a fetched article.
+ * Length rules wait until after full-text extraction for sources that opt in.
+ */
+function prepareArticle(article, source, globalFilters, matchEntities) {
+  article.source = source.name;
+  article.category = article.category || source.category || '';
+  article.filteredReason = getFilterReason(article, [globalFilters, source.filters], {
+    skipLength: Boolean(source.extractFullText && !article.hasFullContent)
+  });
+  if (matchEntities) article.entities = matchEntities(article);
+  return article;
+}
+
+/**
+ * Save the articles an adapter returned, skipping items whose GUIDs were
+ * already seen on the previous run, then persist fetch state and health
+ * @returns {Promise<Array>} Newly saved articles
+ */
+async function saveNewArticles(source, fetched, context, startTime, globalFilters, matchEntities) {
+  const { state, result } = context;
+  const fetchedAt = new Date().toISOString();
+
+  if (result.notModified) {
+    console.log(`  ${source.name}: not modified since last fetch, skipping`);
+    await saveFetchState(source.name, {
+      ...state,
+      lastStatus: 304,
+      lastFetchAt: fetchedAt,
+      lastSuccessAt: fetchedAt
+    });
+    await recordSourceResult(source.name, { httpStatus: 304, itemCount: 0, latencyMs: Date.now() - startTime });
+    return [];
+  }
+
+  const previousGuids = new Set(state?.itemGuids || []);
+  const seenGuids = [];
+  let unchanged = 0;
+  let saveErrors = 0;
+  let filtered = 0;
+  let lastItemDate = state?.lastItemDate || null;
+  const articles = [];
+
+  for (const fetchedArticle of fetched) {
+    const { guid: rawGuid, ...article } = fetchedArticle;
+    const guid = rawGuid || article.link || article.title;
+    prepareArticle(article, source, globalFilters, matchEntities);
+
+    const itemDate = new Date(article.pubDate);
+    if (article.pubDate && !isNaN(itemDate) && (!lastItemDate || itemDate > new Date(lastItemDate))) {
+      lastItemDate = itemDate.toISOString();
+    }
+
+    if (guid && previousGuids.has(guid)) {
+      seenGuids.push(guid);
+      unchanged++;
+      continue;
+    }
+
+    try {
+      await saveArticle(article);
+      articles.push(article);
+      if (guid) seenGuids.push(guid);
+      if (article.filteredReason) filtered++;
+      console.log(`  Saved: ${article.title}${article.filteredReason ? ` (filtered: ${article.filteredReason})` : ''}`);
+    } catch (error) {
+      console.error(`Error saving article "${article.title}":`, error.message);
+      saveErrors++;
+    }
+  }
+
+  // Adapter state that must only move forward once its articles are stored (careers snapshots)
+  if (result.commit) {
+    if (saveErrors === 0) await result.commit();
+    else console.warn(`  ${source.name}: ${saveErrors} article(s) not saved; keeping the previous adapter state`);
+  }
+
+  if (unchanged > 0) {
+    console.log(`  ${source.name}: ${unchanged} unchanged item(s) skipped`);
+  }
+  if (filtered > 0) {
+    console.log(`  ${source.name}: ${filtered} item(s) filtered out`);
+  }
+
+  await saveFetchState(source.name, {
+    etag: result.etag,
+    lastModified: result.lastModified,
+    lastStatus: result.httpStatus,
+    lastFetchAt: fetchedAt,
+    lastSuccessAt: fetchedAt,
+    lastItemDate,
+    itemGuids: result.itemGuids || seenGuids
+  });
+
+  await recordSourceResult(source.name, {
+    httpStatus: result.httpStatus,
+    itemCount: result.itemCount ?? fetched.length,
+    parseErrors: (result.parseErrors || 0) + saveErrors,
+    latencyMs: Date.now() - startTime
+  });
+
+  return articles;
+}
+
+/**
+ * Fetch one source through its adapter with retry/backoff, then save new items.
+ * Shared by every source type: quarantine check, conditional-GET state,
+ * GUID skipping, saving and health recording all happen here.
+ * @param {Object} source - Source config from sources.json
+ * @param {Object} options - { maxItems (default: source.maxItems or DEFAULT_MAX_ITEMS), maxRetries, filters (global filter set),
+ *   entities (entity matcher from entities.js) }
+ * @returns {Promise<Array>} Newly saved articles, including filtered ones (see filteredReason)
+ */
+export async function runSource(source, { maxItems = source.maxItems || DEFAULT_MAX_ITEMS, maxRetries = 3, filters = null, entities = null } = {}) {
+  const adapter = getAdapter(source.type);
+  if (!adapter) {
+    console.error(`Unknown source type "${source.type}" for ${source.name}, skipping`);
+    return [];
+  }
+
+  if (await isQuarantined(source.name)) {
+    console.log(`Skipping ${source.name} (quarantined)`);
+    return [];
+  }
+
+  const state = await getFetchState(source.name);
+  const startTime = Date.now();
+  let lastError = null;
+  let lastStatus = null;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    const context = { state, maxItems, result: {} };
+    try {
+      console.log(`Fetching ${adapter.type} from ${source.name}${attempt > 1 ? ` (attempt ${attempt}/${maxRetries})` : ''}...`);
+      const fetched = await adapter.fetch(source, context);
+      return await saveNewArticles(source, fetched, context, startTime, filters, entities);
+    } catch (error) {
+      lastError = error;
+      lastStatus = error.status || context.result.httpStatus || null;
+      console.error(`Error fetching ${source.name} (attempt ${attempt}/${maxRetries}):`, error.message);
+
+      // robots.txt refusals, host back-offs and exhausted error budgets won't change within this run
+      if (error.retryable === false) break;
+
+      if (attempt < maxRetries) {
+        const delay = Math.pow(2, attempt - 1) * 1000;
+        console.log(`  Retrying in ${delay / 1000}s...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  console.error(`Failed to fetch ${source.name}: ${lastError?.message || 'unknown error'}`);
+  await recordSourceResult(source.name, {
+    httpStatus: lastStatus,
+    itemCount: 0,
+    latencyMs: Date.now() - startTime,
+    error: lastError?.message || 'unknown error'
+  });
+  return [];
+}
+
+/**
+ * Config field holding the URL that gets paged: `rss` for feeds, `url` otherwise
+ */
+function pagedField(source) {
+  return ['rss', 'atom'].includes(source.type || 'rss') ? 'rss' : 'url';
+}
+
+/**
+ * URL of page `page` (1-based) of a source, from its `pagination` config:
+ *   { "param": "paged" }                          - add ?paged=N (default for rss sources, WordPress-style)
+ *   { "url": "https://example.com/news/page/{page}/" } - URL template
+ * Page 1 is always the source's normal URL.
+ * @returns {string|null} null when the source has no pagination
+ */
+export function getPageUrl(source, page) {
+  const baseUrl = source[pagedField(source)];
+  if (page === 1) return baseUrl;
+
+  const pagination = source.pagination || (pagedField(source) === 'rss' ? { param: 'paged' } : null);
+  if (!pagination) return null;
+  if (pagination.url) return pagination.url.replace('{page}', page);
+
+  const url = new URL(baseUrl);
+  url.searchParams.set(pagination.param, page);
+  return url.toString();
+}
+
+/**
+ * Pull a source's history page by page and save everything published on or
+ * after `since`. Does not touch fetch state or source health, and never runs
+ * a digest. Stops at the first empty page, a 404/410 past page 1, a page with
+ * no links not already seen (the site ignored the page parameter), an item
+ * older than `since`, or `maxPages`.
+ * @param {Object} source - Source config from sources.json
+ * @param {Object} options - { since: Date|null, maxPages, filters (global filter set), entities (entity matcher) }
+ * @returns {Promise<{pages: number, articles: Array}>} Saved articles
+ */
+export async function backfillSource(source, { since = null, maxPages = 50, filters = null, entities = null } = {}) {
+  const adapter = getAdapter(source.type);
+  if (!adapter) throw new Error(`Unknown source type "${source.type}"`);
+
+  const seenLinks = new Set();
+  const articles = [];
+  let pages = 0;
+
+  for (let page = 1; page <= maxPages; page++) {
+    const url = getPageUrl(source, page);
+    if (!url) break;
+
+    const pageSource = { ...source, [pagedField(source)]: url };
+    const context = { state: null, maxItems: Infinity, result: {} };
+    let fetched;
+    try {
+      fetched = await adapter.fetch(pageSource, context);
+    } catch (error) {
+      if (page > 1 && (error.status === 404 || error.status === 410)) break;
+      throw error;
+    }
+    pages++;
+
+    const fresh = fetched.filter(a => a.link && !seenLinks.has(a.link));
+    if (fresh.length === 0) break;
+
+    let reachedBound = false;
+    for (const { guid, ...article } of fresh) {
+      seenLinks.add(article.link);
+      if (since && article.pubDate && new Date(article.pubDate) < since) {
+        reachedBound = true;
+        continue;
+      }
+      prepareArticle(article, source, filters, entities);
+      try {
+        await saveArticle(article);
+        articles.push(article);
+      } catch (error) {
+        console.error(`Error saving article "${article.title}":`, error.message);
+      }
+    }
+
+    console.log(`[Backfill] ${source.name}: page ${page} — ${fresh.length} items (${articles.length} saved so far)`);
+    if (reachedBound) break;
+    await sleep(PAGE_DELAY_MS);
+  }
+
+  return { pages, articles };
+}
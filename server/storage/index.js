@@ -0,0 +1,29 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createPostgresStore } from './postgres.js';
+import { createLocalStore } from './local.js';
+
+export const DEFAULT_LOCAL_STORE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'data', 'local-store.json');
+
+export const BACKENDS = ['postgres', 'local'];
+
+/**
+ * Store for a backend name
+ *
+ *   postgres - the tables on `pool` (production)
+ *   local    - JSON file at `file` (default server/data/local-store.json)
+ *
+ * Both return the same functions, covering everything the pipeline stores:
+ *   articles      saveArticle, getArticles, getArticleById, getArchivedArticle, getSources, cleanOldArticles
+ *   fetch state   getFetchState, saveFetchState
+ *   stories       getClusterCandidates, saveStory, getStoryArticles
+ *   source health getSourceHealth, getAllSourceHealth, recordSourceRun, pruneSourceRuns, getFilterCounts
+ *   digest        markArticlesInDigest, getPipelineState, setPipelineState
+ *   market data   getLatestSeriesDate, saveSeriesObservations, getSeriesHistory
+ * @param {Object} options - { backend, pool, file }
+ */
+export function createStore({ backend = 'postgres', pool, file = DEFAULT_LOCAL_STORE_PATH } = {}) {
+  if (backend === 'postgres') return createPostgresStore(pool);
+  if (backend === 'local') return createLocalStore({ file });
+  throw new Error(`Unknown storage backend "${backend}" (expected ${BACKENDS.join(' or ')})`);
+}
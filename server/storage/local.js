@@ -0,0 +1,670 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import path from 'path';
+import { appendArticleArchive, retentionCutoff, ARTICLE_ARCHIVE_DIR } from '../articleArchive.js';
+
+const MAX_RESULTS = 100;
+
+/**
+ * Rough stand-in for Postgres `websearch_to_tsquery('english', ...)`: every
+ * word must start a word in the text, case-insensitively, with a trailing
+ * plural "s" ignored. Quotes and OR are not interpreted.
+ */
+function keywordMatcher(keyword) {
+  const terms = keyword.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const patterns = terms.map(term => {
+    const stem = term.length > 3 ? term.replace(/s$/, '') : term;
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${stem.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'iu');
+  });
+  return (text) => patterns.every(p => p.test(text));
+}
+
+function toArticle(record, stories = []) {
+  const story = record.storyId ? stories.find(st => st.id === record.storyId) : null;
+  return {
+    id: record.id,
+    title: record.title,
+    link: record.link,
+    pubDate: new Date(record.pubDate),
+    source: record.source,
+    category: record.category,
+    type: record.type || 'article',
+    summary: record.summary,
+    originalContent: record.originalContent,
+    imageUrl: record.imageUrl,
+    contentHtml: record.contentHtml,
+    hasFullContent: record.hasFullContent || false,
+    extractionError: record.extractionError || null,
+    contentSource: record.contentSource || null,
+    filteredReason: record.filteredReason || null,
+    contentTrimmedAt: record.contentTrimmedAt ? new Date(record.contentTrimmedAt) : null,
+    storyId: record.storyId || null,
+    isCanonical: !story || story.canonicalArticleId === record.id,
+    savedAt: new Date(record.savedAt),
+    includedInDigestAt: record.includedInDigestAt ? new Date(record.includedInDigestAt) : null
+  };
+}
+
+const toDate = (value) => (value ? new Date(value) : null);
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+// getArticles() shape: the article plus its entity ids, most mentioned first
+function withEntityIds(record, stories) {
+  return {
+    ...toArticle(record, stories),
+    entityIds: [...record.entities].sort((a, b) => b.mentions - a.mentions).map(e => e.id)
+  };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Embedded store for local development and offline tests. Articles, fetch
+ * state, source health, stories, pipeline state and market series are kept
+ * in memory and, when `file` is set, written to that JSON file after every
+ * change. Behaves like the Postgres store (test/storage.test.js runs the same
+ * contract against both), so the whole pipeline runs on it. Full-text search
+ * and re-tagging still need Postgres.
+ * @param {Object} options - { file } path of the JSON file; omit for memory only
+ * @returns {Object} The store functions listed in storage/index.js
+ */
+export function createLocalStore({ file = null } = {}) {
+  let data = null;
+  let loading = null;
+  let writes = Promise.resolve();
+
+  async function load() {
+    if (data) return data;
+    if (!loading) {
+      loading = (async () => {
+        let stored = null;
+        if (file) {
+          try {
+            stored = JSON.parse(await readFile(file, 'utf8'));
+          } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+          }
+        }
+        data = {
+          nextId: stored?.nextId || 1,
+          articles: stored?.articles || [],
+          archived: stored?.archived || [],
+          nextStoryId: stored?.nextStoryId || 1,
+          stories: stored?.stories || [],
+          fetchState: stored?.fetchState || {},
+          sourceHealth: stored?.sourceHealth || {},
+          sourceRuns: stored?.sourceRuns || [],
+          pipelineState: stored?.pipelineState || {},
+          marketSeries: stored?.marketSeries || {}
+        };
+        return data;
+      })();
+    }
+    return loading;
+  }
+
+  // Writes are queued so concurrent saves never interleave; each writes the whole store
+  function persist() {
+    if (!file) return Promise.resolve();
+    writes = writes.catch(() => {}).then(async () => {
+      await mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      await writeFile(tmp, JSON.stringify(data), 'utf8');
+      await rename(tmp, file);
+    });
+    return writes;
+  }
+
+  /**
+   * Store an article, updating the stored copy when the link already exists
+   * (id, source, pubDate and savedAt are kept). Sets `article.id`.
+   */
+  async function saveArticle(article) {
+    try {
+      const { title, link, pubDate, source, category, summary, originalContent, imageUrl, type, contentHtml, hasFullContent, extractionError, contentSource, filteredReason, entities } = article;
+      const store = await load();
+
+      const published = new Date(pubDate || Date.now());
+      if (isNaN(published)) throw new Error(`invalid input syntax for type timestamp: "${pubDate}"`);
+
+      const fields = {
+        title: title || '',
+        category: category || '',
+        type: type || 'article',
+        summary: summary || '',
+        originalContent: originalContent || '',
+        imageUrl: imageUrl || null,
+        contentHtml: contentHtml || null,
+        hasFullContent: hasFullContent || false,
+        extractionError: extractionError || null,
+        contentSource: contentSource || null,
+        filteredReason: filteredReason || null,
+        contentTrimmedAt: null
+      };
+
+      let record = store.articles.find(a => a.link === (link || ''));
+      if (record) {
+        Object.assign(record, fields);
+      } else {
+        const now = new Date().toISOString();
+        record = {
+          id: store.nextId++,
+          link: link || '',
+          source: source || '',
+          pubDate: published.toISOString(),
+          ...fields,
+          storyId: null,
+          includedInDigestAt: null,
+          savedAt: now,
+          createdAt: now,
+          entities: []
+        };
+        store.articles.push(record);
+      }
+      if (Array.isArray(entities)) {
+        record.entities = entities.map(({ id, mentions, inTitle }) => ({ id, mentions, inTitle }));
+      }
+      await persist();
+
+      article.id = record.id;
+      console.log(`[LocalStore] Article saved: ${fields.title.substring(0, 50)}`);
+      return article;
+    } catch (error) {
+      console.error('[LocalStore] Error saving article:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Articles matching the same filters as the Postgres store, newest first (or
+   * first seen first with `order: 'saved'`), at most `limit` (default 100)
+   */
+  async function getArticles(filters = {}) {
+    try {
+      const store = await load();
+      let records = store.articles;
+
+      if (filters.source) records = records.filter(r => r.source === filters.source);
+      if (filters.category) records = records.filter(r => r.category === filters.category);
+      if (filters.startDate) {
+        const start = new Date(filters.startDate);
+        records = records.filter(r => new Date(r.pubDate) >= start);
+      }
+      if (filters.endDate) {
+        const end = new Date(filters.endDate);
+        end.setHours(23, 59, 59, 999);
+        records = records.filter(r => new Date(r.pubDate) <= end);
+      }
+      if (filters.savedAfter) {
+        const after = new Date(filters.savedAfter);
+        records = records.filter(r => new Date(r.savedAt) > after);
+      }
+      if (filters.savedBefore) {
+        const before = new Date(filters.savedBefore);
+        records = records.filter(r => new Date(r.savedAt) <= before);
+      }
+      if (filters.notInDigest) records = records.filter(r => !r.includedInDigestAt);
+      if (filters.excludeFiltered) records = records.filter(r => !r.filteredReason);
+      if (filters.keyword) {
+        const matches = keywordMatcher(filters.keyword);
+        records = records.filter(r => matches([r.title, r.summary, r.originalContent].filter(Boolean).join('\n')));
+      }
+      if (filters.entityIds && filters.entityIds.length > 0) {
+        records = records.filter(r => r.entities.some(e => filters.entityIds.includes(e.id)));
+      }
+
+      const articles = [...records]
+        .sort(filters.order === 'saved'
+          ? (a, b) => new Date(a.savedAt) - new Date(b.savedAt) || a.id - b.id
+          : (a, b) => new Date(b.pubDate) - new Date(a.pubDate))
+        .slice(0, filters.limit || MAX_RESULTS)
+        .map(record => withEntityIds(record, store.stories));
+
+      console.log(`[LocalStore] Retrieved ${articles.length} articles`);
+      return articles;
+    } catch (error) {
+      console.error('[LocalStore] Error retrieving articles:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get unique sources
+   */
+  async function getSources() {
+    try {
+      const store = await load();
+      return [...new Set(store.articles.map(a => a.source))].sort((a, b) => a.localeCompare(b));
+    } catch (error) {
+      console.error('[LocalStore] Error getting sources:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Apply the retention tiers: drop the full text of articles published before
+   * the trim cutoff, and move those before the archive cutoff to the archive
+   * files, keeping a small record for getArchivedArticle()
+   * @returns {Promise<{trimmed: number, archived: number}>}
+   */
+  async function cleanOldArticles({ trimAfterDays = 90, archiveAfterDays = 365, archiveDir = ARTICLE_ARCHIVE_DIR, now = new Date() } = {}) {
+    let trimmed = 0;
+    try {
+      const store = await load();
+      const trimCutoff = retentionCutoff(trimAfterDays, now);
+      for (const record of store.articles) {
+        if (new Date(record.pubDate) < trimCutoff && !record.contentTrimmedAt) {
+          record.contentHtml = null;
+          record.originalContent = null;
+          record.contentTrimmedAt = new Date().toISOString();
+          trimmed++;
+        }
+      }
+      if (trimmed > 0) await persist();
+      console.log(`[LocalStore] Trimmed full text from ${trimmed} old articles`);
+    } catch (error) {
+      console.error('[LocalStore] Error trimming old articles:', error.message);
+    }
+
+    try {
+      const store = await load();
+      const archiveCutoff = retentionCutoff(archiveAfterDays, now);
+      const expired = store.articles
+        .filter(a => new Date(a.pubDate) < archiveCutoff)
+        .sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate));
+      if (expired.length === 0) {
+        console.log('[LocalStore] No articles to archive');
+        return { trimmed, archived: 0 };
+      }
+
+      const files = await appendArticleArchive(expired.map(record => withEntityIds(record, store.stories)), archiveDir);
+      const archivedAt = new Date().toISOString();
+      for (const r of expired) {
+        if (store.archived.some(a => a.id === r.id)) continue;
+        store.archived.push({ id: r.id, title: r.title, link: r.link, source: r.source, pubDate: r.pubDate, archiveFile: files.get(r.id), archivedAt });
+      }
+      const ids = new Set(expired.map(r => r.id));
+      store.articles = store.articles.filter(a => !ids.has(a.id));
+      await persist();
+
+      console.log(`[LocalStore] Archived ${expired.length} old articles`);
+      return { trimmed, archived: expired.length };
+    } catch (error) {
+      console.error('[LocalStore] Error archiving old articles:', error.message);
+      return { trimmed, archived: 0 };
+    }
+  }
+
+  /**
+   * The record kept for an article moved to the archive files, or null
+   */
+  async function getArchivedArticle(id) {
+    try {
+      const store = await load();
+      const record = store.archived.find(a => a.id === id);
+      if (!record) return null;
+      return { ...record, pubDate: new Date(record.pubDate), archivedAt: new Date(record.archivedAt) };
+    } catch (error) {
+      console.error('[LocalStore] Error getting archived article:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a single article by ID, or null
+   */
+  async function getArticleById(id) {
+    try {
+      const store = await load();
+      const record = store.articles.find(a => a.id === id);
+      return record ? toArticle(record, store.stories) : null;
+    } catch (error) {
+      console.error('[LocalStore] Error getting article by ID:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get persisted fetch state for a source (conditional GET validators + last seen item GUIDs)
+   */
+  async function getFetchState(sourceName) {
+    try {
+      const store = await load();
+      const state = store.fetchState[sourceName];
+      if (!state) return null;
+      return {
+        ...state,
+        lastFetchAt: toDate(state.lastFetchAt),
+        lastSuccessAt: toDate(state.lastSuccessAt),
+        lastItemDate: toDate(state.lastItemDate)
+      };
+    } catch (error) {
+      console.error('[LocalStore] Error getting fetch state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert fetch state for a source after a successful (200 or 304) fetch
+   */
+  async function saveFetchState(sourceName, state) {
+    try {
+      const store = await load();
+      store.fetchState[sourceName] = {
+        source: sourceName,
+        etag: state.etag || null,
+        lastModified: state.lastModified || null,
+        lastStatus: state.lastStatus || null,
+        lastFetchAt: toIso(state.lastFetchAt) || new Date().toISOString(),
+        lastSuccessAt: toIso(state.lastSuccessAt),
+        lastItemDate: toIso(state.lastItemDate),
+        itemGuids: state.itemGuids || []
+      };
+      await persist();
+    } catch (error) {
+      console.error('[LocalStore] Error saving fetch state:', error.message);
+    }
+  }
+
+  /**
+   * Get recent articles for story clustering (lightweight fields, oldest first)
+   */
+  async function getClusterCandidates(since) {
+    try {
+      const store = await load();
+      const start = new Date(since);
+      return store.articles
+        .filter(r => new Date(r.pubDate) >= start && !r.filteredReason)
+        .sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate))
+        .map(r => ({
+          id: r.id,
+          title: r.title,
+          summary: r.summary,
+          source: r.source,
+          link: r.link,
+          pubDate: new Date(r.pubDate),
+          hasFullContent: r.hasFullContent || false,
+          storyId: r.storyId || null,
+          contentLength: (r.originalContent || '').length
+        }));
+    } catch (error) {
+      console.error('[LocalStore] Error getting cluster candidates:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update a story and link its member articles to it
+   * @returns {Promise<number|null>} The story ID
+   */
+  async function saveStory(storyId, canonicalArticleId, articleIds) {
+    try {
+      const store = await load();
+      const now = new Date().toISOString();
+      let story = storyId ? store.stories.find(st => st.id === storyId) : null;
+      if (story) {
+        story.canonicalArticleId = canonicalArticleId;
+        story.updatedAt = now;
+      } else {
+        story = { id: store.nextStoryId++, canonicalArticleId, createdAt: now, updatedAt: now };
+        store.stories.push(story);
+      }
+      for (const record of store.articles) {
+        if (articleIds.includes(record.id)) record.storyId = story.id;
+      }
+      await persist();
+      return story.id;
+    } catch (error) {
+      console.error('[LocalStore] Error saving story:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get all articles in a story (for the reader's "also covered by" list)
+   */
+  async function getStoryArticles(storyId) {
+    try {
+      const store = await load();
+      return store.articles
+        .filter(r => r.storyId === storyId)
+        .sort((a, b) => new Date(a.pubDate) - new Date(b.pubDate))
+        .map(r => ({ id: r.id, title: r.title, link: r.link, source: r.source, pubDate: new Date(r.pubDate), hasFullContent: r.hasFullContent || false }));
+    } catch (error) {
+      console.error('[LocalStore] Error getting story articles:', error.message);
+      return [];
+    }
+  }
+
+  const toHealth = (record) => ({
+    ...record,
+    quarantinedUntil: toDate(record.quarantinedUntil),
+    lastRunAt: toDate(record.lastRunAt),
+    lastOkAt: toDate(record.lastOkAt)
+  });
+
+  /**
+   * Get the rolling health record for one source
+   */
+  async function getSourceHealth(sourceName) {
+    try {
+      const store = await load();
+      const record = store.sourceHealth[sourceName];
+      return record ? toHealth(record) : null;
+    } catch (error) {
+      console.error('[LocalStore] Error getting source health:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get health records for all sources that have run at least once
+   */
+  async function getAllSourceHealth() {
+    try {
+      const store = await load();
+      return Object.values(store.sourceHealth).sort((a, b) => a.source.localeCompare(b.source)).map(toHealth);
+    } catch (error) {
+      console.error('[LocalStore] Error getting source health:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record one fetch/scrape result and upsert the source's rolling health
+   */
+  async function recordSourceRun(run, health) {
+    try {
+      const store = await load();
+      const now = new Date().toISOString();
+      store.sourceRuns.push({
+        source: run.source,
+        ok: run.ok,
+        httpStatus: run.httpStatus || null,
+        itemCount: run.itemCount || 0,
+        parseErrors: run.parseErrors || 0,
+        latencyMs: run.latencyMs || null,
+        error: run.error || null,
+        runAt: now
+      });
+      store.sourceHealth[run.source] = {
+        source: run.source,
+        consecutiveFailures: health.consecutiveFailures,
+        status: health.status,
+        quarantinedUntil: toIso(health.quarantinedUntil),
+        lastRunAt: now,
+        lastOkAt: run.ok ? now : store.sourceHealth[run.source]?.lastOkAt || null,
+        lastHttpStatus: run.httpStatus || null,
+        lastItemCount: run.itemCount || 0,
+        lastLatencyMs: run.latencyMs || null,
+        lastError: run.error || null
+      };
+      await persist();
+    } catch (error) {
+      console.error('[LocalStore] Error recording source run:', error.message);
+    }
+  }
+
+  /**
+   * Delete per-run source history older than the given number of days
+   */
+  async function pruneSourceRuns(days = 30) {
+    try {
+      const store = await load();
+      const cutoff = new Date(Date.now() - days * DAY_MS);
+      const before = store.sourceRuns.length;
+      store.sourceRuns = store.sourceRuns.filter(r => new Date(r.runAt) >= cutoff);
+      const removed = before - store.sourceRuns.length;
+      if (removed > 0) await persist();
+      return { removed };
+    } catch (error) {
+      console.error('[LocalStore] Error pruning source runs:', error.message);
+      return { removed: 0 };
+    }
+  }
+
+  /**
+   * Mark articles as covered by a sent digest
+   */
+  async function markArticlesInDigest(articleIds, includedAt = new Date()) {
+    if (!articleIds || articleIds.length === 0) return { marked: 0 };
+    try {
+      const store = await load();
+      const ids = new Set(articleIds);
+      let marked = 0;
+      for (const record of store.articles) {
+        if (!ids.has(record.id)) continue;
+        record.includedInDigestAt = new Date(includedAt).toISOString();
+        marked++;
+      }
+      await persist();
+      return { marked };
+    } catch (error) {
+      console.error('[LocalStore] Error marking digest articles:', error.message);
+      return { marked: 0 };
+    }
+  }
+
+  /**
+   * Read a persisted pipeline value (e.g. the digest watermark)
+   */
+  async function getPipelineState(key) {
+    try {
+      const store = await load();
+      return store.pipelineState[key] ?? null;
+    } catch (error) {
+      console.error('[LocalStore] Error reading pipeline state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a pipeline value
+   */
+  async function setPipelineState(key, value) {
+    try {
+      const store = await load();
+      store.pipelineState[key] = value == null ? null : String(value);
+      await persist();
+    } catch (error) {
+      console.error('[LocalStore] Error writing pipeline state:', error.message);
+    }
+  }
+
+  /**
+   * Latest stored observation date for a market series (YYYY-MM-DD), or null
+   */
+  async function getLatestSeriesDate(seriesId) {
+    try {
+      const store = await load();
+      const dates = Object.keys(store.marketSeries[seriesId] || {}).sort();
+      return dates.at(-1) || null;
+    } catch (error) {
+      console.error('[LocalStore] Error reading series date:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert market series observations (date as YYYY-MM-DD)
+   * @returns {Promise<{saved: number}>}
+   */
+  async function saveSeriesObservations(seriesId, observations) {
+    if (!observations || observations.length === 0) return { saved: 0 };
+    try {
+      const store = await load();
+      const series = store.marketSeries[seriesId] || (store.marketSeries[seriesId] = {});
+      for (const { date, value } of observations) series[date] = Number(value);
+      await persist();
+      return { saved: observations.length };
+    } catch (error) {
+      console.error('[LocalStore] Error saving series observations:', error.message);
+      return { saved: 0 };
+    }
+  }
+
+  /**
+   * Most recent observations for a market series, newest first
+   */
+  async function getSeriesHistory(seriesId, limit = 10) {
+    try {
+      const store = await load();
+      return Object.entries(store.marketSeries[seriesId] || {})
+        .sort(([a], [b]) => b.localeCompare(a))
+        .slice(0, limit)
+        .map(([date, value]) => ({ date, value }));
+    } catch (error) {
+      console.error('[LocalStore] Error reading series history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Filtered article counts per source and reason, for /health
+   */
+  async function getFilterCounts(since) {
+    try {
+      const store = await load();
+      const start = new Date(since);
+      const counts = new Map();
+      for (const r of store.articles) {
+        if (!r.filteredReason || new Date(r.savedAt) < start) continue;
+        const key = JSON.stringify([r.source, r.filteredReason]);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      return [...counts]
+        .map(([key, count]) => {
+          const [source, reason] = JSON.parse(key);
+          return { source, reason, count };
+        })
+        .sort((a, b) => a.source.localeCompare(b.source) || b.count - a.count);
+    } catch (error) {
+      console.error('[LocalStore] Error counting filtered articles:', error.message);
+      return [];
+    }
+  }
+
+  return {
+    saveArticle,
+    getArticles,
+    getArticleById,
+    getArchivedArticle,
+    getSources,
+    cleanOldArticles,
+    getFetchState,
+    saveFetchState,
+    getClusterCandidates,
+    saveStory,
+    getStoryArticles,
+    getSourceHealth,
+    getAllSourceHealth,
+    recordSourceRun,
+    pruneSourceRuns,
+    markArticlesInDigest,
+    getPipelineState,
+    setPipelineState,
+    getLatestSeriesDate,
+    saveSeriesObservations,
+    getSeriesHistory,
+    getFilterCounts
+  };
+}
@@ -0,0 +1,719 @@
+import { appendArticleArchive, retentionCutoff, ARTICLE_ARCHIVE_DIR } from '../articleArchive.js';
+
+/**
+ * Postgres store, the production backend. The schema comes from
+ * server/migrations/.
+ */
+
+/**
+ * Replace the entity links of one article
+ * @param {Object} pool - pg Pool
+ * @param {number} articleId
+ * @param {Array<Object>} entities - [{ id, mentions, inTitle }] from the entity matcher
+ * Throws on failure (saveArticle reports it as a save error).
+ */
+export async function saveArticleEntities(pool, articleId, entities) {
+  await pool.query(
+    'DELETE FROM article_entities WHERE article_id = $1 AND NOT (entity_id = ANY($2::text[]))',
+    [articleId, entities.map(e => e.id)]
+  );
+  if (entities.length === 0) return;
+  await pool.query(
+    `INSERT INTO article_entities (article_id, entity_id, mentions, in_title)
+     SELECT $1, * FROM unnest($2::text[], $3::int[], $4::boolean[])
+     ON CONFLICT (article_id, entity_id) DO UPDATE SET mentions = EXCLUDED.mentions, in_title = EXCLUDED.in_title`,
+    [articleId, entities.map(e => e.id), entities.map(e => e.mentions), entities.map(e => e.inTitle)]
+  );
+}
+
+function mapArticleRow(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    link: row.link,
+    pubDate: row.pub_date,
+    source: row.source,
+    category: row.category,
+    type: row.type || 'article',
+    summary: row.summary,
+    originalContent: row.original_content,
+    imageUrl: row.image_url,
+    contentHtml: row.content_html,
+    hasFullContent: row.has_full_content || false,
+    extractionError: row.extraction_error || null,
+    contentSource: row.content_source || null,
+    filteredReason: row.filtered_reason || null,
+    contentTrimmedAt: row.content_trimmed_at || null,
+    storyId: row.story_id || null,
+    isCanonical: !row.story_id || row.canonical_article_id === row.id,
+    savedAt: row.saved_at,
+    includedInDigestAt: row.included_in_digest_at || null
+  };
+}
+
+function mapSourceHealthRow(row) {
+  return {
+    source: row.source,
+    consecutiveFailures: row.consecutive_failures || 0,
+    status: row.status || 'ok',
+    quarantinedUntil: row.quarantined_until,
+    lastRunAt: row.last_run_at,
+    lastOkAt: row.last_ok_at,
+    lastHttpStatus: row.last_http_status,
+    lastItemCount: row.last_item_count,
+    lastLatencyMs: row.last_latency_ms,
+    lastError: row.last_error
+  };
+}
+
+/**
+ * Storage on a pg Pool: articles, fetch state, source health, stories,
+ * pipeline state and market series
+ * @param {Object} pool - pg Pool
+ * @returns {Object} The store functions listed in storage/index.js
+ */
+export function createPostgresStore(pool) {
+  /**
+   * Store an article in the database. Sets `article.id`, and replaces the
+   * article's entity links when `article.entities` is set.
+   */
+  async function saveArticle(article) {
+    try {
+      const { title, link, pubDate, source, category, summary, originalContent, imageUrl, type, contentHtml, hasFullContent, extractionError, contentSource, filteredReason, entities } = article;
+
+      const result = await pool.query(
+        `INSERT INTO articles (title, link, pub_date, source, category, type, summary, original_content, image_url, content_html, has_full_content, extraction_error, content_source, filtered_reason)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         ON CONFLICT (link) DO UPDATE SET
+           title = EXCLUDED.title,
+           category = EXCLUDED.category,
+           type = EXCLUDED.type,
+           summary = EXCLUDED.summary,
+           original_content = EXCLUDED.original_content,
+           image_url = EXCLUDED.image_url,
+           content_html = EXCLUDED.content_html,
+           has_full_content = EXCLUDED.has_full_content,
+           extraction_error = EXCLUDED.extraction_error,
+           content_source = EXCLUDED.content_source,
+           filtered_reason = EXCLUDED.filtered_reason,
+           content_trimmed_at = NULL
+         RETURNING id`,
+        [
+          title || '',
+          link || '',
+          pubDate || new Date().toISOString(),
+          source || '',
+          category || '',
+          type || 'article',
+          summary || '',
+          originalContent || '',
+          imageUrl || null,
+          contentHtml || null,
+          hasFullContent || false,
+          extractionError || null,
+          contentSource || null,
+          filteredReason || null
+        ]
+      );
+
+      article.id = result.rows[0].id;
+      if (Array.isArray(entities)) await saveArticleEntities(pool, article.id, entities);
+
+      console.log(`[DB] Article saved: ${title.substring(0, 50)}`);
+      return article;
+    } catch (error) {
+      console.error('[DB] Error saving article:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Retrieve articles with optional filters, newest first (`limit`, default 100).
+   * `order: 'saved'` lists them in the order they were first seen instead.
+   */
+  async function getArticles(filters = {}) {
+    try {
+      let query = `SELECT articles.*, stories.canonical_article_id,
+        (SELECT array_agg(entity_id ORDER BY mentions DESC) FROM article_entities WHERE article_id = articles.id) AS entity_ids
+        FROM articles LEFT JOIN stories ON stories.id = articles.story_id WHERE 1=1`;
+      const params = [];
+      let paramIndex = 1;
+
+      if (filters.source) {
+        query += ` AND source = $${paramIndex}`;
+        params.push(filters.source);
+        paramIndex++;
+      }
+
+      if (filters.category) {
+        query += ` AND category = $${paramIndex}`;
+        params.push(filters.category);
+        paramIndex++;
+      }
+
+      if (filters.startDate) {
+        query += ` AND pub_date >= $${paramIndex}`;
+        params.push(new Date(filters.startDate).toISOString());
+        paramIndex++;
+      }
+
+      if (filters.endDate) {
+        const endDate = new Date(filters.endDate);
+        endDate.setHours(23, 59, 59, 999);
+        query += ` AND pub_date <= $${paramIndex}`;
+        params.push(endDate.toISOString());
+        paramIndex++;
+      }
+
+      // Ingestion-time window (saved_at is set once, when the article is first seen)
+      if (filters.savedAfter) {
+        query += ` AND saved_at > $${paramIndex}`;
+        params.push(new Date(filters.savedAfter).toISOString());
+        paramIndex++;
+      }
+
+      if (filters.savedBefore) {
+        query += ` AND saved_at <= $${paramIndex}`;
+        params.push(new Date(filters.savedBefore).toISOString());
+        paramIndex++;
+      }
+
+      if (filters.notInDigest) {
+        query += ' AND included_in_digest_at IS NULL';
+      }
+
+      if (filters.excludeFiltered) {
+        query += ' AND filtered_reason IS NULL';
+      }
+
+      if (filters.keyword) {
+        query += ` AND search_vector @@ websearch_to_tsquery('english', $${paramIndex})`;
+        params.push(filters.keyword);
+        paramIndex++;
+      }
+
+      // Any of these entity ids (pass getEntityFamily() to include subsidiaries)
+      if (filters.entityIds && filters.entityIds.length > 0) {
+        query += ` AND articles.id IN (SELECT article_id FROM article_entities WHERE entity_id = ANY($${paramIndex}::text[]))`;
+        params.push(filters.entityIds);
+        paramIndex++;
+      }
+
+      query += filters.order === 'saved' ? ' ORDER BY saved_at ASC, articles.id ASC' : ' ORDER BY pub_date DESC';
+      query += ` LIMIT $${paramIndex}`;
+      params.push(filters.limit || 100);
+
+      const result = await pool.query(query, params);
+
+      const articles = result.rows.map(row => ({ ...mapArticleRow(row), entityIds: row.entity_ids || [] }));
+
+      console.log(`[DB] Retrieved ${articles.length} articles`);
+      return articles;
+    } catch (error) {
+      console.error('[DB] Error retrieving articles:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get unique sources
+   */
+  async function getSources() {
+    try {
+      const result = await pool.query(
+        'SELECT DISTINCT source FROM articles WHERE source IS NOT NULL ORDER BY source'
+      );
+      return result.rows.map(row => row.source);
+    } catch (error) {
+      console.error('[DB] Error getting sources:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Apply the retention tiers (see getRetentionPolicy() in articleArchive.js).
+   * Articles published before the trim cutoff lose their full text; those
+   * before the archive cutoff are appended to the archive files, recorded in
+   * archived_articles and deleted, in one transaction. When writing the
+   * archive fails nothing is deleted; when the transaction fails after the
+   * files were written, the next run finds those ids in the files and doesn't
+   * append them again. Trimmed articles stay searchable by
+   * title and summary: search_vector is generated from whatever is left.
+   * @returns {Promise<{trimmed: number, archived: number}>}
+   */
+  async function cleanOldArticles({ trimAfterDays = 90, archiveAfterDays = 365, archiveDir = ARTICLE_ARCHIVE_DIR, now = new Date() } = {}) {
+    let trimmed = 0;
+    try {
+      const result = await pool.query(
+        `UPDATE articles SET content_html = NULL, original_content = NULL, content_trimmed_at = CURRENT_TIMESTAMP
+         WHERE pub_date < $1 AND content_trimmed_at IS NULL`,
+        [retentionCutoff(trimAfterDays, now).toISOString()]
+      );
+      trimmed = result.rowCount;
+      console.log(`[DB] Trimmed full text from ${trimmed} old articles`);
+    } catch (error) {
+      console.error('[DB] Error trimming old articles:', error.message);
+    }
+
+    let client = null;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      const result = await client.query(
+        `SELECT articles.*, stories.canonical_article_id,
+           (SELECT array_agg(entity_id ORDER BY mentions DESC) FROM article_entities WHERE article_id = articles.id) AS entity_ids
+         FROM articles LEFT JOIN stories ON stories.id = articles.story_id
+         WHERE pub_date < $1 ORDER BY pub_date FOR UPDATE OF articles`,
+        [retentionCutoff(archiveAfterDays, now).toISOString()]
+      );
+      const articles = result.rows.map(row => ({ ...mapArticleRow(row), entityIds: row.entity_ids || [] }));
+      if (articles.length === 0) {
+        await client.query('COMMIT');
+        console.log('[DB] No articles to archive');
+        return { trimmed, archived: 0 };
+      }
+
+      const files = await appendArticleArchive(articles, archiveDir);
+      await client.query(
+        `INSERT INTO archived_articles (id, title, link, source, pub_date, archive_file)
+         SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::timestamp[], $6::text[])
+         ON CONFLICT (id) DO NOTHING`,
+        [
+          articles.map(a => a.id),
+          articles.map(a => a.title),
+          articles.map(a => a.link),
+          articles.map(a => a.source),
+          articles.map(a => new Date(a.pubDate).toISOString()),
+          articles.map(a => files.get(a.id))
+        ]
+      );
+      await client.query('DELETE FROM articles WHERE id = ANY($1::int[])', [articles.map(a => a.id)]);
+      await client.query('COMMIT');
+
+      console.log(`[DB] Archived ${articles.length} old articles`);
+      return { trimmed, archived: articles.length };
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('[DB] Error archiving old articles:', error.message);
+      return { trimmed, archived: 0 };
+    } finally {
+      client?.release();
+    }
+  }
+
+  /**
+   * The archived_articles record for an article moved to the archive files, or null
+   */
+  async function getArchivedArticle(id) {
+    try {
+      const result = await pool.query('SELECT * FROM archived_articles WHERE id = $1', [id]);
+      if (result.rows.length === 0) return null;
+      const row = result.rows[0];
+      return {
+        id: row.id,
+        title: row.title,
+        link: row.link,
+        source: row.source,
+        pubDate: row.pub_date,
+        archiveFile: row.archive_file,
+        archivedAt: row.archived_at
+      };
+    } catch (error) {
+      console.error('[DB] Error getting archived article:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get a single article by ID (for reader endpoint)
+   */
+  async function getArticleById(id) {
+    try {
+      const result = await pool.query(
+        'SELECT articles.*, stories.canonical_article_id FROM articles LEFT JOIN stories ON stories.id = articles.story_id WHERE articles.id = $1',
+        [id]
+      );
+      if (result.rows.length === 0) return null;
+      return mapArticleRow(result.rows[0]);
+    } catch (error) {
+      console.error('[DB] Error getting article by ID:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get persisted fetch state for a source (conditional GET validators + last seen item GUIDs)
+   */
+  async function getFetchState(sourceName) {
+    try {
+      const result = await pool.query('SELECT * FROM source_fetch_state WHERE source = $1', [sourceName]);
+      if (result.rows.length === 0) return null;
+      const row = result.rows[0];
+      return {
+        source: row.source,
+        etag: row.etag,
+        lastModified: row.last_modified,
+        lastStatus: row.last_status,
+        lastFetchAt: row.last_fetch_at,
+        lastSuccessAt: row.last_success_at,
+        lastItemDate: row.last_item_date,
+        itemGuids: row.item_guids || []
+      };
+    } catch (error) {
+      console.error('[DB] Error getting fetch state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert fetch state for a source after a successful (200 or 304) fetch
+   */
+  async function saveFetchState(sourceName, state) {
+    try {
+      await pool.query(
+        `INSERT INTO source_fetch_state (source, etag, last_modified, last_status, last_fetch_at, last_success_at, last_item_date, item_guids)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (source) DO UPDATE SET
+           etag = EXCLUDED.etag,
+           last_modified = EXCLUDED.last_modified,
+           last_status = EXCLUDED.last_status,
+           last_fetch_at = EXCLUDED.last_fetch_at,
+           last_success_at = EXCLUDED.last_success_at,
+           last_item_date = EXCLUDED.last_item_date,
+           item_guids = EXCLUDED.item_guids
+         `,
+        [
+          sourceName,
+          state.etag || null,
+          state.lastModified || null,
+          state.lastStatus || null,
+          state.lastFetchAt || new Date().toISOString(),
+          state.lastSuccessAt || null,
+          state.lastItemDate || null,
+          state.itemGuids || []
+        ]
+      );
+    } catch (error) {
+      console.error('[DB] Error saving fetch state:', error.message);
+    }
+  }
+
+  /**
+   * Get recent articles for story clustering (lightweight columns, oldest first)
+   */
+  async function getClusterCandidates(since) {
+    try {
+      const result = await pool.query(
+        `SELECT id, title, summary, source, link, pub_date, has_full_content, story_id,
+                COALESCE(LENGTH(original_content), 0) AS content_length
+         FROM articles WHERE pub_date >= $1 AND filtered_reason IS NULL ORDER BY pub_date ASC`,
+        [new Date(since).toISOString()]
+      );
+      return result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        summary: row.summary,
+        source: row.source,
+        link: row.link,
+        pubDate: row.pub_date,
+        hasFullContent: row.has_full_content || false,
+        storyId: row.story_id || null,
+        contentLength: Number(row.content_length)
+      }));
+    } catch (error) {
+      console.error('[DB] Error getting cluster candidates:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update a story and link its member articles to it
+   * @param {number|null} storyId - Existing story to update, or null to create one
+   * @param {number} canonicalArticleId - Article shown as the story's primary entry
+   * @param {Array<number>} articleIds - All member article IDs (including canonical)
+   * @returns {Promise<number|null>} The story ID
+   */
+  async function saveStory(storyId, canonicalArticleId, articleIds) {
+    let client = null;
+    try {
+      client = await pool.connect();
+      await client.query('BEGIN');
+      let id = storyId;
+      if (id) {
+        await client.query(
+          'UPDATE stories SET canonical_article_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+          [canonicalArticleId, id]
+        );
+      } else {
+        const result = await client.query(
+          'INSERT INTO stories (canonical_article_id) VALUES ($1) RETURNING id',
+          [canonicalArticleId]
+        );
+        id = result.rows[0].id;
+      }
+      await client.query('UPDATE articles SET story_id = $1 WHERE id = ANY($2::int[])', [id, articleIds]);
+      await client.query('COMMIT');
+      return id;
+    } catch (error) {
+      if (client) await client.query('ROLLBACK').catch(() => {});
+      console.error('[DB] Error saving story:', error.message);
+      return null;
+    } finally {
+      client?.release();
+    }
+  }
+
+  /**
+   * Get all articles in a story (for the reader's "also covered by" list)
+   */
+  async function getStoryArticles(storyId) {
+    try {
+      const result = await pool.query(
+        'SELECT id, title, link, source, pub_date, has_full_content FROM articles WHERE story_id = $1 ORDER BY pub_date ASC',
+        [storyId]
+      );
+      return result.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        link: row.link,
+        source: row.source,
+        pubDate: row.pub_date,
+        hasFullContent: row.has_full_content || false
+      }));
+    } catch (error) {
+      console.error('[DB] Error getting story articles:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Get the rolling health record for one source
+   */
+  async function getSourceHealth(sourceName) {
+    try {
+      const result = await pool.query('SELECT * FROM source_health WHERE source = $1', [sourceName]);
+      return result.rows.length > 0 ? mapSourceHealthRow(result.rows[0]) : null;
+    } catch (error) {
+      console.error('[DB] Error getting source health:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get health records for all sources that have run at least once
+   */
+  async function getAllSourceHealth() {
+    try {
+      const result = await pool.query('SELECT * FROM source_health ORDER BY source');
+      return result.rows.map(mapSourceHealthRow);
+    } catch (error) {
+      console.error('[DB] Error getting source health:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Record one fetch/scrape result and upsert the source's rolling health
+   * @param {Object} run - { source, ok, httpStatus, itemCount, parseErrors, latencyMs, error }
+   * @param {Object} health - { consecutiveFailures, status, quarantinedUntil }
+   */
+  async function recordSourceRun(run, health) {
+    try {
+      await pool.query(
+        `INSERT INTO source_runs (source, ok, http_status, item_count, parse_errors, latency_ms, error)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [run.source, run.ok, run.httpStatus || null, run.itemCount || 0, run.parseErrors || 0, run.latencyMs || null, run.error || null]
+      );
+
+      await pool.query(
+        `INSERT INTO source_health (source, consecutive_failures, status, quarantined_until, last_run_at, last_ok_at, last_http_status, last_item_count, last_latency_ms, last_error)
+         VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5, $6, $7, $8, $9)
+         ON CONFLICT (source) DO UPDATE SET
+           consecutive_failures = EXCLUDED.consecutive_failures,
+           status = EXCLUDED.status,
+           quarantined_until = EXCLUDED.quarantined_until,
+           last_run_at = EXCLUDED.last_run_at,
+           last_ok_at = COALESCE(EXCLUDED.last_ok_at, source_health.last_ok_at),
+           last_http_status = EXCLUDED.last_http_status,
+           last_item_count = EXCLUDED.last_item_count,
+           last_latency_ms = EXCLUDED.last_latency_ms,
+           last_error = EXCLUDED.last_error
+         `,
+        [
+          run.source,
+          health.consecutiveFailures,
+          health.status,
+          health.quarantinedUntil || null,
+          run.ok ? new Date().toISOString() : null,
+          run.httpStatus || null,
+          run.itemCount || 0,
+          run.latencyMs || null,
+          run.error || null
+        ]
+      );
+    } catch (error) {
+      console.error('[DB] Error recording source run:', error.message);
+    }
+  }
+
+  /**
+   * Delete per-run source history older than the given number of days
+   */
+  async function pruneSourceRuns(days = 30) {
+    try {
+      const cutoff = new Date();
+      cutoff.setDate(cutoff.getDate() - days);
+      const result = await pool.query('DELETE FROM source_runs WHERE run_at < $1', [cutoff.toISOString()]);
+      return { removed: result.rowCount };
+    } catch (error) {
+      console.error('[DB] Error pruning source runs:', error.message);
+      return { removed: 0 };
+    }
+  }
+
+  /**
+   * Mark articles as covered by a sent digest
+   */
+  async function markArticlesInDigest(articleIds, includedAt = new Date()) {
+    if (!articleIds || articleIds.length === 0) return { marked: 0 };
+    try {
+      const result = await pool.query(
+        'UPDATE articles SET included_in_digest_at = $1 WHERE id = ANY($2::int[])',
+        [new Date(includedAt).toISOString(), articleIds]
+      );
+      return { marked: result.rowCount };
+    } catch (error) {
+      console.error('[DB] Error marking digest articles:', error.message);
+      return { marked: 0 };
+    }
+  }
+
+  /**
+   * Read a persisted pipeline value (e.g. the digest watermark)
+   */
+  async function getPipelineState(key) {
+    try {
+      const result = await pool.query('SELECT value FROM pipeline_state WHERE key = $1', [key]);
+      return result.rows.length > 0 ? result.rows[0].value : null;
+    } catch (error) {
+      console.error('[DB] Error reading pipeline state:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Persist a pipeline value
+   */
+  async function setPipelineState(key, value) {
+    try {
+      await pool.query(
+        `INSERT INTO pipeline_state (key, value, updated_at) VALUES ($1, $2, CURRENT_TIMESTAMP)
+         ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+        [key, value]
+      );
+    } catch (error) {
+      console.error('[DB] Error writing pipeline state:', error.message);
+    }
+  }
+
+  /**
+   * Latest stored observation date for a market series (YYYY-MM-DD), or null
+   */
+  async function getLatestSeriesDate(seriesId) {
+    try {
+      const result = await pool.query(
+        `SELECT to_char(MAX(obs_date), 'YYYY-MM-DD') AS latest FROM market_series WHERE series_id = $1`,
+        [seriesId]
+      );
+      return result.rows[0]?.latest || null;
+    } catch (error) {
+      console.error('[DB] Error reading series date:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Upsert market series observations
+   * @param {string} seriesId
+   * @param {Array<{date: string, value: number}>} observations - date as YYYY-MM-DD
+   * @returns {Promise<{saved: number}>}
+   */
+  async function saveSeriesObservations(seriesId, observations) {
+    if (!observations || observations.length === 0) return { saved: 0 };
+    try {
+      const result = await pool.query(
+        `INSERT INTO market_series (series_id, obs_date, value)
+         SELECT $1, obs.obs_date, obs.value FROM unnest($2::date[], $3::numeric[]) AS obs(obs_date, value)
+         ON CONFLICT (series_id, obs_date) DO UPDATE SET value = EXCLUDED.value, fetched_at = CURRENT_TIMESTAMP`,
+        [seriesId, observations.map(o => o.date), observations.map(o => o.value)]
+      );
+      return { saved: result.rowCount };
+    } catch (error) {
+      console.error('[DB] Error saving series observations:', error.message);
+      return { saved: 0 };
+    }
+  }
+
+  /**
+   * Most recent observations for a market series, newest first
+   * @returns {Promise<Array<{date: string, value: number}>>}
+   */
+  async function getSeriesHistory(seriesId, limit = 10) {
+    try {
+      const result = await pool.query(
+        `SELECT to_char(obs_date, 'YYYY-MM-DD') AS date, value FROM market_series
+         WHERE series_id = $1 ORDER BY obs_date DESC LIMIT $2`,
+        [seriesId, limit]
+      );
+      return result.rows.map(row => ({ date: row.date, value: parseFloat(row.value) }));
+    } catch (error) {
+      console.error('[DB] Error reading series history:', error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Filtered article counts per source and reason, for /health
+   * @param {Date|string} since - Only articles saved after this
+   * @returns {Promise<Array<{source: string, reason: string, count: number}>>}
+   */
+  async function getFilterCounts(since) {
+    try {
+      const result = await pool.query(
+        `SELECT source, filtered_reason AS reason, COUNT(*) AS count FROM articles
+         WHERE filtered_reason IS NOT NULL AND saved_at >= $1
+         GROUP BY source, filtered_reason ORDER BY source, count DESC`,
+        [new Date(since).toISOString()]
+      );
+      return result.rows.map(row => ({ source: row.source, reason: row.reason, count: Number(row.count) }));
+    } catch (error) {
+      console.error('[DB] Error counting filtered articles:', error.message);
+      return [];
+    }
+  }
+
+  return {
+    saveArticle,
+    getArticles,
+    getArticleById,
+    getArchivedArticle,
+    getSources,
+    cleanOldArticles,
+    getFetchState,
+    saveFetchState,
+    getClusterCandidates,
+    saveStory,
+    getStoryArticles,
+    getSourceHealth,
+    getAllSourceHealth,
+    recordSourceRun,
+    pruneSourceRuns,
+    markArticlesInDigest,
+    getPipelineState,
+    setPipelineState,
+    getLatestSeriesDate,
+    saveSeriesObservations,
+    getSeriesHistory,
+    getFilterCounts
+  };
+}
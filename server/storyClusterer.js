@@ -0,0 +1,145 @@
+import { getClusterCandidates, saveStory } from './db.js';
+
+const CLUSTER_WINDOW_DAYS = 3;
+const TITLE_THRESHOLD = 0.5;
+const COMBINED_TITLE_THRESHOLD = 0.3;
+const COMBINED_SUMMARY_THRESHOLD = 0.35;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'that', 'this', 'its', 'into', 'over', 'after',
+  'about', 'amid', 'new', 'says', 'said', 'will', 'are', 'has', 'have', 'was', 'were',
+  'inc', 'llc', 'corp', 'announces', 'announced', 'report', 'reports'
+]);
+
+/**
+ * Normalize text into a set of significant lowercase tokens
+ */
+function tokenize(text) {
+  if (!text) return new Set();
+  return new Set(
+    text.toLowerCase()
+      .replace(/[^a-z0-9$%.\s]/g, ' ')
+      .replace(/\.(?!\d)/g, ' ')
+      .split(/\s+/)
+      .filter(w => w.length > 2 && !STOPWORDS.has(w))
+  );
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const w of a) { if (b.has(w)) shared++; }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Two articles from different sources are the same story when their titles
+ * overlap strongly, or moderately with a matching lede
+ */
+function isSameStory(a, b) {
+  if (a.source === b.source) return false;
+  const titleScore = jaccard(a.titleTokens, b.titleTokens);
+  if (titleScore >= TITLE_THRESHOLD) return true;
+  return titleScore >= COMBINED_TITLE_THRESHOLD &&
+    jaccard(a.summaryTokens, b.summaryTokens) >= COMBINED_SUMMARY_THRESHOLD;
+}
+
+/**
+ * Pick the story's canonical article: full content first, then the longest
+ * body, then the earliest publication
+ */
+export function pickCanonical(members) {
+  return [...members].sort((a, b) =>
+    (b.hasFullContent ? 1 : 0) - (a.hasFullContent ? 1 : 0) ||
+    (b.contentLength || b.originalContent?.length || 0) - (a.contentLength || a.originalContent?.length || 0) ||
+    new Date(a.pubDate) - new Date(b.pubDate)
+  )[0];
+}
+
+/**
+ * Group recent near-duplicate articles across sources into stories.
+ * Runs after ingestion; each multi-source group gets one canonical article
+ * and the rest are linked as alternates via articles.story_id.
+ * @returns {Promise<{stories: number, articles: number}>}
+ */
+export async function clusterRecentArticles(windowDays = CLUSTER_WINDOW_DAYS) {
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+  const candidates = (await getClusterCandidates(since)).map(a => ({
+    ...a,
+    titleTokens: tokenize(a.title),
+    summaryTokens: tokenize(a.summary)
+  }));
+
+  // Union-find over pairwise matches
+  const parent = candidates.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) {
+      if (isSameStory(candidates[i], candidates[j])) {
+        parent[find(j)] = find(i);
+      }
+    }
+  }
+
+  const groups = new Map();
+  candidates.forEach((article, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(article);
+  });
+
+  let storyCount = 0;
+  let articleCount = 0;
+
+  for (const members of groups.values()) {
+    if (members.length < 2) continue;
+
+    // Reuse the oldest existing story so reader links stay stable
+    const existingIds = members.map(m => m.storyId).filter(Boolean);
+    const storyId = existingIds.length > 0 ? Math.min(...existingIds) : null;
+    const canonical = pickCanonical(members);
+
+    const saved = await saveStory(storyId, canonical.id, members.map(m => m.id));
+    if (saved) {
+      storyCount++;
+      articleCount += members.length;
+    }
+  }
+
+  console.log(`[Cluster] ${storyCount} multi-source stories covering ${articleCount} of ${candidates.length} recent articles`);
+  return { stories: storyCount, articles: articleCount };
+}
+
+/**
+ * Collapse articles to one entry per story for the insights prompt.
+ * The canonical article is kept (or the best member in this batch if the
+ * canonical is outside it) with `coveredBy` listing every source.
+ * @param {Array} articles - Articles from getArticles()
+ * @returns {Array} One article per story
+ */
+export function collapseStories(articles) {
+  const byStory = new Map();
+  const collapsed = [];
+
+  for (const article of articles) {
+    if (!article.storyId) {
+      collapsed.push({ ...article, coveredBy: [article.source] });
+      continue;
+    }
+    if (!byStory.has(article.storyId)) byStory.set(article.storyId, []);
+    byStory.get(article.storyId).push(article);
+  }
+
+  for (const members of byStory.values()) {
+    const primary = members.find(m => m.isCanonical) || pickCanonical(members);
+    const coveredBy = [...new Set(members.map(m => m.source))];
+    collapsed.push({
+      ...primary,
+      coveredBy,
+      alternates: members.filter(m => m !== primary).map(m => ({ id: m.id, source: m.source, link: m.link }))
+    });
+  }
+
+  return collapsed;
+}
@@ -0,0 +1,132 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { FIXTURE_DIR } from './harness.js';
+import { getAdapter } from '../adapters/index.js';
+
+const realFetch = globalThis.fetch;
+let responses;
+let requests;
+
+// Serve fixture bodies for adapter requests instead of hitting the network
+beforeEach(() => {
+  responses = {};
+  requests = [];
+  globalThis.fetch = async (url, options = {}) => {
+    requests.push({ url, headers: options.headers || {} });
+    const fixture = responses[url];
+    if (!fixture) return new Response('not found', { status: 404 });
+    return new Response(fixture.status === 304 ? null : fixture.body, { status: fixture.status || 200, headers: fixture.headers || {} });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+async function serve(url, fixtureName, init = {}) {
+  responses[url] = { body: await readFile(`${FIXTURE_DIR}/${fixtureName}`, 'utf8'), ...init };
+}
+
+function newContext(state = null, maxItems = 10) {
+  return { state, maxItems, result: {} };
+}
+
+test('jsonfeed adapter maps items and skips entries without a link', async () => {
+  await serve('https://notes.example.com/feed.json', 'sample-feed.json', { headers: { etag: '"v1"' } });
+  const context = newContext();
+  const articles = await getAdapter('jsonfeed').fetch(
+    { name: 'Notes', category: 'mortgage', url: 'https://notes.example.com/feed.json' },
+    context
+  );
+
+  assert.equal(articles.length, 2);
+  assert.equal(articles[0].title, 'What servicing chatbots get wrong about escrow questions');
+  assert.equal(articles[0].hasFullContent, true);
+  assert.ok(!articles[0].contentHtml.includes('<script'));
+  assert.equal(articles[0].imageUrl, 'https://notes.example.com/img/escrow.png');
+  assert.equal(articles[1].link, 'https://www.example.org/report/origination-costs');
+  assert.equal(articles[1].title, 'Origination costs per loan ticked down last quarter.');
+  assert.equal(context.result.etag, '"v1"');
+  assert.equal(context.result.itemCount, 3);
+});
+
+test('conditional adapters send validators and report 304 as not modified', async () => {
+  responses['https://notes.example.com/feed.json'] = { body: '', status: 304 };
+  const context = newContext({ etag: '"v1"', lastModified: 'Tue, 10 Feb 2026 12:00:00 GMT' });
+  const articles = await getAdapter('jsonfeed').fetch({ name: 'Notes', url: 'https://notes.example.com/feed.json' }, context);
+
+  assert.deepEqual(articles, []);
+  assert.equal(context.result.notModified, true);
+  assert.equal(requests[0].headers['If-None-Match'], '"v1"');
+  assert.equal(requests[0].headers['If-Modified-Since'], 'Tue, 10 Feb 2026 12:00:00 GMT');
+});
+
+test('sitemap adapter applies URL filters and only emits URLs new since the last run', async () => {
+  await serve('https://newsroom.example.com/sitemap.xml', 'sample-sitemap.xml');
+  const source = { name: 'Example Newsroom', url: 'https://newsroom.example.com/sitemap.xml', sitemap: { include: '/news/' } };
+
+  const first = newContext();
+  const firstArticles = await getAdapter('sitemap').fetch(source, first);
+  assert.deepEqual(firstArticles.map(a => a.title), [
+    'Example Lender Launches HELOC App for Existing Customers',
+    'Q4 2025 results'
+  ]);
+  assert.equal(firstArticles[0].pubDate, '2026-02-11T08:45:00.000Z');
+  assert.equal(first.result.itemGuids.length, 2);
+
+  const second = newContext({ itemGuids: ['https://newsroom.example.com/news/q4-2025-results'] });
+  const secondArticles = await getAdapter('sitemap').fetch(source, second);
+  assert.deepEqual(secondArticles.map(a => a.link), ['https://newsroom.example.com/news/lender-launches-heloc-app']);
+});
+
+test('sitemap adapter leaves new URLs past maxItems for the next run', async () => {
+  await serve('https://newsroom.example.com/sitemap.xml', 'sample-sitemap.xml');
+  const source = { name: 'Example Newsroom', url: 'https://newsroom.example.com/sitemap.xml', sitemap: { include: '/news/' } };
+  // Not the first run: a URL no longer in the sitemap was remembered last time
+  const baseline = ['https://newsroom.example.com/news/older-item-not-in-sitemap'];
+
+  const first = newContext({ itemGuids: baseline }, 1);
+  const firstArticles = await getAdapter('sitemap').fetch(source, first);
+  assert.deepEqual(firstArticles.map(a => a.link), ['https://newsroom.example.com/news/lender-launches-heloc-app']);
+  assert.deepEqual(first.result.itemGuids, ['https://newsroom.example.com/news/lender-launches-heloc-app']);
+
+  const second = newContext({ itemGuids: first.result.itemGuids }, 1);
+  const secondArticles = await getAdapter('sitemap').fetch(source, second);
+  assert.deepEqual(secondArticles.map(a => a.link), ['https://newsroom.example.com/news/q4-2025-results']);
+  assert.equal(second.result.itemGuids.length, 2);
+});
+
+test('json adapter follows itemsPath and field mappings', async () => {
+  await serve('https://api.example.gov/releases', 'sample-api.json');
+  const context = newContext();
+  const articles = await getAdapter('json').fetch({
+    name: 'Agency Releases',
+    url: 'https://api.example.gov/releases',
+    json: {
+      itemsPath: 'data.results',
+      linkBase: 'https://api.example.gov',
+      fields: { id: 'id', title: 'headline', link: 'path', pubDate: 'published', summary: 'teaser', image: 'media.thumb' }
+    }
+  }, context);
+
+  assert.equal(articles.length, 2);
+  assert.equal(articles[0].link, 'https://api.example.gov/releases/9001');
+  assert.equal(articles[0].guid, '9001');
+  assert.equal(articles[0].pubDate, new Date(1770800000 * 1000).toISOString());
+  assert.equal(articles[0].imageUrl, 'https://api.example.gov/img/9001.jpg');
+  assert.equal(articles[1].pubDate, '2026-02-09T15:00:00.000Z');
+  assert.equal(context.result.parseErrors, 1);
+});
+
+test('adapters throw HTTP errors with the status for the runner to record', async () => {
+  await assert.rejects(
+    getAdapter('scrape').fetch({ name: 'Gone', url: 'https://gone.example.com/', scrape: { item: 'a' } }, newContext()),
+    error => error.status === 404
+  );
+});
+
+test('unknown types have no adapter and rss is the default', () => {
+  assert.equal(getAdapter('carrier-pigeon'), null);
+  assert.equal(getAdapter(undefined).type, 'rss');
+});
@@ -0,0 +1,65 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { getRetentionPolicy, retentionCutoff, archiveFileName, appendArticleArchive, readArticleArchive, listArticleArchives } from '../articleArchive.js';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'article-archive-'));
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('getRetentionPolicy reads the tiers from the environment', () => {
+  assert.deepEqual(
+    getRetentionPolicy({ RETENTION_TRIM_DAYS: '30', RETENTION_ARCHIVE_DAYS: '180', ARTICLE_ARCHIVE_DIR: '/srv/archive' }),
+    { trimAfterDays: 30, archiveAfterDays: 180, archiveDir: '/srv/archive' }
+  );
+
+  const defaults = getRetentionPolicy({});
+  assert.equal(defaults.trimAfterDays, 90);
+  assert.equal(defaults.archiveAfterDays, 365);
+  assert.match(defaults.archiveDir, /data[\\/]article-archive$/);
+});
+
+test('getRetentionPolicy rejects bad values and archiving before trimming', () => {
+  assert.throws(() => getRetentionPolicy({ RETENTION_TRIM_DAYS: 'soon' }), /RETENTION_TRIM_DAYS must be a positive number/);
+  assert.throws(() => getRetentionPolicy({ RETENTION_ARCHIVE_DAYS: '0' }), /RETENTION_ARCHIVE_DAYS must be a positive number/);
+  assert.throws(() => getRetentionPolicy({ RETENTION_TRIM_DAYS: '120', RETENTION_ARCHIVE_DAYS: '60' }), /must not be less than/);
+});
+
+test('retentionCutoff counts back whole days', () => {
+  assert.equal(retentionCutoff(90, new Date('2026-10-19T00:00:00Z')).toISOString(), '2026-07-21T00:00:00.000Z');
+});
+
+test('archive files group articles by publication month and append without rewriting', async () => {
+  const files = await appendArticleArchive([
+    { id: 1, title: 'January A', pubDate: '2026-01-05T10:00:00Z' },
+    { id: 2, title: 'February', pubDate: '2026-02-01T10:00:00Z' }
+  ], dir);
+  assert.deepEqual([...files], [[1, 'articles-2026-01.jsonl.gz'], [2, 'articles-2026-02.jsonl.gz']]);
+
+  await appendArticleArchive([{ id: 3, title: 'January B', pubDate: '2026-01-20T10:00:00Z' }], dir);
+  assert.deepEqual((await readArticleArchive('articles-2026-01.jsonl.gz', dir)).map(a => a.title), ['January A', 'January B']);
+  assert.deepEqual(await listArticleArchives(dir), ['articles-2026-01.jsonl.gz', 'articles-2026-02.jsonl.gz']);
+  assert.equal(archiveFileName(new Date('2025-12-31T23:00:00Z')), 'articles-2025-12.jsonl.gz');
+});
+
+test('articles already in their archive file are not appended again', async () => {
+  const retry = path.join(dir, 'retry');
+  await appendArticleArchive([{ id: 10, title: 'Archived, then the delete failed', pubDate: '2026-03-02T10:00:00Z' }], retry);
+  const files = await appendArticleArchive([
+    { id: 10, title: 'Archived, then the delete failed', pubDate: '2026-03-02T10:00:00Z' },
+    { id: 11, title: 'New this run', pubDate: '2026-03-09T10:00:00Z' }
+  ], retry);
+
+  assert.deepEqual([...files], [[10, 'articles-2026-03.jsonl.gz'], [11, 'articles-2026-03.jsonl.gz']]);
+  assert.deepEqual((await readArticleArchive('articles-2026-03.jsonl.gz', retry)).map(a => a.id), [10, 11]);
+});
+
+test('appending nothing writes no files', async () => {
+  const empty = path.join(dir, 'empty');
+  assert.equal((await appendArticleArchive([], empty)).size, 0);
+  assert.deepEqual(await listArticleArchives(empty), []);
+});
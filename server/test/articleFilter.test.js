@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { loadFixtureSources, parseFixture } from './harness.js';
+import { getFilterReason } from '../articleFilter.js';
+
+const config = JSON.parse(await readFile(new URL('../sources.json', import.meta.url), 'utf8'));
+const housingWire = (await loadFixtureSources()).find(f => f.source.name === 'HousingWire');
+
+test('HousingWire rules drop the webinar and defer the length rule until extraction', async () => {
+  const [survey, locks, webinar] = await parseFixture(housingWire);
+  const sets = [config.filters, housingWire.source.filters];
+
+  assert.equal(getFilterReason(survey, sets), null);
+  assert.equal(getFilterReason(webinar, sets, { skipLength: true }), 'exclude title:^webinar\\b|\\brate predictions?\\b');
+  assert.equal(getFilterReason(locks, sets, { skipLength: true }), null);
+  assert.equal(getFilterReason(locks, sets), 'too short');
+});
+
+test('global filters apply alongside source filters', () => {
+  const article = { title: 'Sponsored: A smarter POS', originalContent: 'x'.repeat(800) };
+  assert.equal(getFilterReason(article, [config.filters, null]), 'exclude title:^(sponsored|advertorial|paid post)\\b');
+});
+
+test('keywords match whole words or phrases in title or body', () => {
+  const rules = [{ exclude: { keywords: ['mortgage rates today', 'AI'] } }];
+  assert.equal(getFilterReason({ title: 'Mortgage rates  today: 30-year climbs', originalContent: '' }, rules), 'exclude keyword:mortgage rates today');
+  assert.equal(getFilterReason({ title: 'Servicers train staff', originalContent: 'Retail lenders said...' }, rules), null);
+  assert.equal(getFilterReason({ title: 'Servicers adopt AI agents', originalContent: '' }, rules), 'exclude keyword:ai');
+});
+
+test('include rules require at least one match; author and category tags are exact', () => {
+  const rules = [{
+    include: { keywords: ['servicing'], categories: ['Technology'] },
+    exclude: { authors: ['Guest Contributor'] }
+  }];
+
+  assert.equal(getFilterReason({ title: 'Home prices cool', originalContent: 'Prices fell.', tags: ['Real Estate'] }, rules), 'no include match');
+  assert.equal(getFilterReason({ title: 'Home prices cool', originalContent: 'Prices fell.', tags: ['technology'] }, rules), null);
+  assert.equal(getFilterReason({ title: 'Servicing costs rise', originalContent: '', author: 'guest contributor' }, rules), 'exclude author:guest contributor');
+});
+
+test('YouTube items are exempt from the length rule', () => {
+  const rules = [{ minContentLength: 300 }];
+  assert.equal(getFilterReason({ title: 'Episode 12', type: 'youtube', originalContent: '' }, rules), null);
+  assert.equal(getFilterReason({ title: 'Brief', summary: 'Short teaser...' }, rules), 'too short');
+});
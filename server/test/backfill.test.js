@@ -0,0 +1,71 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { getPageUrl, backfillSource } from '../sourceRunner.js';
+
+const realFetch = globalThis.fetch;
+let pages;
+let requested;
+
+function feedPage(items) {
+  return `<?xml version="1.0"?><rss version="2.0"><channel><title>Test</title>${items.map(([slug, date]) =>
+    `<item><title>Story ${slug} about mortgage servicing</title><link>https://blog.example.com/${slug}</link><pubDate>${date}</pubDate></item>`
+  ).join('')}</channel></rss>`;
+}
+
+// Serve numbered feed pages; anything past the last page is a 404
+beforeEach(() => {
+  requested = [];
+  globalThis.fetch = async (url) => {
+    if (url.endsWith('/robots.txt')) return new Response('', { status: 404 });
+    requested.push(url);
+    const page = parseInt(new URL(url).searchParams.get('paged') || '1', 10);
+    if (!pages[page - 1]) return new Response('not found', { status: 404 });
+    return new Response(feedPage(pages[page - 1]), { status: 200 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('feeds page WordPress-style and other sources need a pagination config', () => {
+  const feed = { name: 'Blog', rss: 'https://blog.example.com/feed/' };
+  assert.equal(getPageUrl(feed, 1), 'https://blog.example.com/feed/');
+  assert.equal(getPageUrl(feed, 3), 'https://blog.example.com/feed/?paged=3');
+
+  const newsroom = { name: 'Newsroom', type: 'scrape', url: 'https://corp.example.com/news' };
+  assert.equal(getPageUrl(newsroom, 1), 'https://corp.example.com/news');
+  assert.equal(getPageUrl(newsroom, 2), null);
+  assert.equal(
+    getPageUrl({ ...newsroom, pagination: { url: 'https://corp.example.com/news/page/{page}/' } }, 2),
+    'https://corp.example.com/news/page/2/'
+  );
+  assert.equal(getPageUrl({ ...newsroom, pagination: { param: 'p' } }, 4), 'https://corp.example.com/news?p=4');
+});
+
+test('backfill pages until the feed runs out', async () => {
+  pages = [
+    [['a', 'Tue, 10 Feb 2026 10:00:00 GMT'], ['b', 'Mon, 09 Feb 2026 10:00:00 GMT']],
+    [['c', 'Fri, 06 Feb 2026 10:00:00 GMT']]
+  ];
+  const result = await backfillSource({ name: 'Blog', rss: 'https://blog.example.com/feed/' }, { maxPages: 5 });
+  assert.equal(result.pages, 2);
+  assert.deepEqual(requested, [
+    'https://blog.example.com/feed/',
+    'https://blog.example.com/feed/?paged=2',
+    'https://blog.example.com/feed/?paged=3'
+  ]);
+});
+
+test('backfill stops at the date bound and when a site ignores the page parameter', async () => {
+  pages = [
+    [['a', 'Tue, 10 Feb 2026 10:00:00 GMT'], ['b', 'Mon, 02 Feb 2026 10:00:00 GMT']],
+    [['c', 'Fri, 30 Jan 2026 10:00:00 GMT']]
+  ];
+  const bounded = await backfillSource({ name: 'Blog', rss: 'https://blog.example.com/feed/' }, { since: new Date('2026-02-05') });
+  assert.equal(bounded.pages, 1);
+
+  pages = [[['a', 'Tue, 10 Feb 2026 10:00:00 GMT']], [['a', 'Tue, 10 Feb 2026 10:00:00 GMT']]];
+  const repeated = await backfillSource({ name: 'Blog', rss: 'https://blog.example.com/feed/' });
+  assert.equal(repeated.pages, 2);
+});
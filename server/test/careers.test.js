@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import * as cheerio from 'cheerio';
+import { FIXTURE_DIR } from './harness.js';
+import { buildCareersParser, toJob, diffJobs, buildCareersArticle } from '../adapters/careers.js';
+
+const SOURCE = {
+  name: 'Example Lender Careers',
+  type: 'careers',
+  company: 'Example Lender',
+  category: 'competitor-intel',
+  url: 'https://boards.example.com/examplelender',
+  careers: {
+    item: '.opening',
+    title: 'a',
+    container: 'section',
+    linkBase: 'https://boards.example.com',
+    fields: { location: '.location', team: 'h3' }
+  }
+};
+
+async function parseJobs() {
+  const $ = cheerio.load(await readFile(`${FIXTURE_DIR}/sample-careers.html`, 'utf8'));
+  return buildCareersParser(SOURCE.careers)($, 500).map(toJob);
+}
+
+test('careers parser keeps short and repeated titles with their team and location', async () => {
+  const jobs = await parseJobs();
+
+  assert.equal(jobs.length, 7);
+  assert.deepEqual(jobs[0], {
+    id: 'https://boards.example.com/examplelender/jobs/5001',
+    title: 'Senior Machine Learning Engineer, Servicing',
+    link: 'https://boards.example.com/examplelender/jobs/5001',
+    location: 'Detroit, MI',
+    team: 'Engineering'
+  });
+  assert.deepEqual(jobs.filter(j => j.title === 'Underwriter').map(j => j.location), ['Phoenix, AZ', 'Charlotte, NC']);
+  assert.equal(jobs.find(j => j.title === 'Processor').team, 'Mortgage Operations');
+});
+
+test('diffJobs reports added and removed roles by id', async () => {
+  const current = await parseJobs();
+  const previous = [
+    ...current.filter(j => j.team !== 'Engineering'),
+    { id: 'https://boards.example.com/examplelender/jobs/4001', title: 'Closer', link: 'https://boards.example.com/examplelender/jobs/4001', location: 'Detroit, MI', team: 'Mortgage Operations' }
+  ];
+
+  const diff = diffJobs(previous, current);
+  assert.deepEqual(diff.added.map(j => j.title), [
+    'Senior Machine Learning Engineer, Servicing',
+    'Staff Software Engineer, Servicing Platform',
+    'AI Engineer, Loss Mitigation'
+  ]);
+  assert.deepEqual(diff.removed.map(j => j.title), ['Closer']);
+  assert.deepEqual(diffJobs(current, current), { added: [], removed: [] });
+});
+
+test('summary article names the busiest team and lists the changes', async () => {
+  const current = await parseJobs();
+  const previous = current.filter(j => j.team !== 'Engineering');
+  const article = buildCareersArticle(SOURCE, diffJobs(previous, current), {
+    takenAt: '2026-10-19T14:03:22.000Z',
+    total: current.length,
+    previousTakenAt: '2026-10-18T14:02:10.000Z',
+    previousTotal: previous.length
+  });
+
+  assert.equal(article.title, 'Example Lender careers: 3 new roles, 0 removed (3 in Engineering)');
+  assert.equal(article.link, 'https://boards.example.com/examplelender#careers-20261019T1403');
+  assert.equal(article.guid, article.link);
+  assert.equal(article.type, 'careers');
+  assert.equal(article.category, 'competitor-intel');
+  assert.deepEqual(article.tags, ['Engineering']);
+  assert.match(article.originalContent, /^Example Lender listed 7 open roles on 2026-10-19, up from 4 at the previous snapshot \(2026-10-18\)\./);
+  assert.match(article.originalContent, /AI Engineer, Loss Mitigation \(Engineering; Detroit, MI\)/);
+  assert.doesNotMatch(article.originalContent, /Removed roles/);
+  assert.match(article.contentHtml, /<a href="https:\/\/boards\.example\.com\/examplelender\/jobs\/5003">AI Engineer, Loss Mitigation<\/a>/);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { FIXTURE_DIR } from './harness.js';
+import { extractFullText, extractMainContent } from '../contentExtractor.js';
+
+const ARTICLE_URL = 'https://www.mortgagedesk.example/servicing/forbearance-exits/';
+const PAYWALL_URL = 'https://www.lendingledger.example/news/nonbank-capital-crunch';
+const PDF_URL = 'https://www.agency.example/reports/servicing-outlook';
+const GONE_URL = 'https://www.gone.example/news/removed-story';
+
+const realFetch = globalThis.fetch;
+
+// Saved article pages, a PDF report and a removed story; robots.txt is a 404 (allow all)
+beforeEach(async () => {
+  const pages = {
+    [ARTICLE_URL]: { body: await readFile(`${FIXTURE_DIR}/article-full.html`, 'utf8'), type: 'text/html; charset=utf-8' },
+    [PAYWALL_URL]: { body: await readFile(`${FIXTURE_DIR}/article-paywall.html`, 'utf8'), type: 'text/html' },
+    [PDF_URL]: { body: '%PDF-1.7\n%binary report body', type: 'application/pdf' }
+  };
+  globalThis.fetch = async (url) => {
+    const page = pages[url];
+    return page
+      ? new Response(page.body, { status: 200, headers: { 'content-type': page.type } })
+      : new Response('not found', { status: 404 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('extracts the article body without page chrome and with absolute URLs', async () => {
+  const result = await extractFullText(ARTICLE_URL);
+
+  assert.equal(result.error, undefined);
+  assert.match(result.text, /^Mortgage servicers are adding loss-mitigation staff/);
+  assert.match(result.text, /payment-deferral option remains available/);
+  for (const chrome of ['Share on LinkedIn', 'Sign up now', 'MSR values hold steady', 'All rights reserved', 'dataLayer']) {
+    assert.equal(result.text.includes(chrome), false, `"${chrome}" should be stripped`);
+  }
+
+  assert.match(result.html, /<a href="https:\/\/www\.mortgagedesk\.example\/servicing\/loss-mitigation-playbook\/">/);
+  assert.match(result.html, /<img src="https:\/\/www\.mortgagedesk\.example\/wp-content\/uploads\/2026\/10\/call-center\.jpg"/);
+  assert.equal(/<script|<form|<button/.test(result.html), false);
+});
+
+test('a paywalled teaser is reported as too short', async () => {
+  const result = await extractFullText(PAYWALL_URL);
+  assert.deepEqual(Object.keys(result), ['error']);
+  assert.match(result.error, /^extracted text too short \(\d+ chars\)$/);
+});
+
+test('a non-HTML response is refused with its content type', async () => {
+  assert.deepEqual(await extractFullText(PDF_URL), { error: 'unsupported content type: application/pdf' });
+});
+
+test('HTTP errors and bad links are reported as the extraction error', async () => {
+  assert.deepEqual(await extractFullText(GONE_URL), { error: 'HTTP 404' });
+  assert.deepEqual(await extractFullText('/news/relative-link'), { error: 'invalid URL' });
+  assert.deepEqual(await extractFullText(''), { error: 'invalid URL' });
+});
+
+test('a page with no paragraphs has no article body', () => {
+  assert.deepEqual(extractMainContent('<html><body><nav>Home</nav><div>Loading…</div></body></html>', ARTICLE_URL), { error: 'no article body found' });
+});
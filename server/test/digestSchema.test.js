@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { buildDigestTool, validateDigest, DIGEST_TOOL_NAME } from '../digestSchema.js';
+import { PROFILES_DIR } from '../profile.js';
+
+const profile = JSON.parse(await readFile(path.join(PROFILES_DIR, 'digital-mortgage-pm.json'), 'utf8'));
+const urls = new Set(['https://example.com/a', 'https://example.com/b']);
+const isArticleUrl = (url) => urls.has(url);
+
+const insight = (overrides = {}) => ({
+  headline: 'Rocket cuts fees', explanation: 'What and why', connection: 'Pricing roadmap', source: 'Alpha News', url: 'https://example.com/a', ...overrides
+});
+
+test('buildDigestTool sizes each section from the profile and requires every section', () => {
+  const tool = buildDigestTool(profile);
+  assert.equal(tool.name, DIGEST_TOOL_NAME);
+  const { properties, required } = tool.input_schema;
+  assert.deepEqual(required, ['top_insights', 'competitive_signals', 'worth_reading', 'nothing_notable']);
+  assert.equal(properties.top_insights.maxItems, profile.sections.topInsights.max);
+  assert.equal(properties.worth_reading.maxItems, profile.sections.worthReading.max);
+  assert.deepEqual(properties.top_insights.items.required, ['headline', 'explanation', 'connection', 'source', 'url']);
+  assert.deepEqual(properties.competitive_signals.items.required, ['competitor', 'signal', 'implication']);
+  assert.equal(properties.worth_reading.items.properties.url.format, 'uri');
+});
+
+test('a valid digest passes unchanged', () => {
+  const candidate = {
+    top_insights: [insight()],
+    competitive_signals: [{ competitor: 'UWM Holdings', signal: 'Launched a broker portal', implication: 'Broker UX matters' }],
+    worth_reading: [{ title: 'Deep dive', reason: 'Good context', url: 'https://example.com/b' }],
+    nothing_notable: false
+  };
+  const { digest, errors } = validateDigest(candidate, { profile, isArticleUrl });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(digest, candidate);
+});
+
+test('invalid items are dropped with an error naming the field; valid ones are kept', () => {
+  const { digest, errors } = validateDigest({
+    top_insights: [insight(), insight({ url: 'https://invented.example.com/' }), insight({ headline: ' ' }), 'not an object'],
+    competitive_signals: [{ competitor: 'Blend', signal: 'New product', implication: 'Watch it', url: 'ftp://example.com/a' }],
+    nothing_notable: 'no'
+  }, { profile, isArticleUrl });
+
+  assert.deepEqual(digest.top_insights.map(i => i.url), ['https://example.com/a']);
+  assert.deepEqual(digest.competitive_signals, []);
+  assert.deepEqual(digest.worth_reading, []);
+  assert.equal(digest.nothing_notable, false);
+  assert.deepEqual(errors, [
+    `top_insights has 4 items; at most ${profile.sections.topInsights.max} allowed`,
+    'top_insights[1].url "https://invented.example.com/" is not one of the article URLs provided',
+    'top_insights[2].headline is required',
+    'top_insights[3] must be an object',
+    'competitive_signals[0].url "ftp://example.com/a" is not an http(s) URL',
+    'worth_reading is required (use [] when empty)',
+    'nothing_notable must be true or false'
+  ]);
+});
+
+test('extra fields are dropped and text is trimmed', () => {
+  const { digest } = validateDigest({
+    top_insights: [insight({ headline: '  Spaced  ', confidence: 'high' })], competitive_signals: [], worth_reading: [], nothing_notable: false
+  }, { profile, isArticleUrl });
+  assert.deepEqual(Object.keys(digest.top_insights[0]), ['headline', 'explanation', 'connection', 'source', 'url']);
+  assert.equal(digest.top_insights[0].headline, 'Spaced');
+});
+
+test('a non-object answer has no digest', () => {
+  for (const candidate of [null, [], 'text']) {
+    assert.deepEqual(validateDigest(candidate, { profile, isArticleUrl }), { digest: null, errors: ['the digest must be a JSON object'] });
+  }
+});
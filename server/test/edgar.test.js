@@ -0,0 +1,98 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { FIXTURE_DIR } from './harness.js';
+import { getAdapter } from '../adapters/index.js';
+import { getRecentFilings } from '../adapters/edgar.js';
+
+const SOURCE = {
+  name: 'SEC EDGAR Filings',
+  type: 'edgar',
+  category: 'competitor-intel',
+  edgar: {
+    companies: [
+      { name: 'Rocket Companies', cik: '1805284' },
+      { name: 'UWM Holdings', cik: '1783398' },
+      { name: 'Delisted Lender', cik: '999' }
+    ]
+  }
+};
+
+const realFetch = globalThis.fetch;
+let requested;
+
+// Recorded submissions responses; anything else (robots.txt, unknown CIKs) is a 404
+beforeEach(async () => {
+  requested = [];
+  const fixtures = {
+    'https://data.sec.gov/submissions/CIK0001805284.json': await readFile(`${FIXTURE_DIR}/edgar-rocket-companies.json`, 'utf8'),
+    'https://data.sec.gov/submissions/CIK0001783398.json': await readFile(`${FIXTURE_DIR}/edgar-uwm-holdings.json`, 'utf8')
+  };
+  process.env.HTTP_CONTACT_EMAIL = 'ops@example.com';
+  globalThis.fetch = async (url, init) => {
+    requested.push(url);
+    assert.match(init.headers['User-Agent'], /; ops@example\.com\)$/);
+    return fixtures[url]
+      ? new Response(fixtures[url], { status: 200, headers: { 'content-type': 'application/json' } })
+      : new Response('not found', { status: 404 });
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+  delete process.env.HTTP_CONTACT_EMAIL;
+});
+
+test('keeps configured forms from the column-wise recent filings, newest first', async () => {
+  const submissions = JSON.parse(await readFile(`${FIXTURE_DIR}/edgar-rocket-companies.json`, 'utf8'));
+  const filings = getRecentFilings(submissions);
+
+  assert.deepEqual(filings.map(f => f.form), ['8-K', '8-K', '8-K', '10-Q']);
+  assert.equal(filings[0].items, '2.02,7.01,9.01');
+  assert.deepEqual(getRecentFilings(submissions, ['10-Q']).map(f => f.reportDate), ['2025-09-30']);
+  assert.throws(() => getRecentFilings({ cik: '1' }), /no filings.recent/);
+});
+
+test('saves filings as competitor-intel articles with form, date and items', async () => {
+  const context = { state: null, maxItems: 10, result: {} };
+  const articles = await getAdapter('edgar').fetch(SOURCE, context);
+
+  assert.equal(articles.length, 5);
+  const [results] = articles;
+  assert.equal(results.title, 'Rocket Companies: 8-K — Results of Operations and Financial Condition; Regulation FD Disclosure');
+  assert.equal(results.link, 'https://www.sec.gov/Archives/edgar/data/1805284/000180528426000029/rkt-20260211.htm');
+  assert.equal(results.guid, '0001805284-26-000029');
+  assert.equal(results.pubDate, '2026-02-11T21:05:44.000Z');
+  assert.equal(results.category, 'competitor-intel');
+  assert.equal(results.type, 'filing');
+  assert.match(results.originalContent, /^Form 8-K filed with the SEC on 2026-02-11 by Rocket Companies \(CIK 1805284\)\./);
+  assert.match(results.originalContent, /Items: 2\.02 Results of Operations and Financial Condition; 7\.01 Regulation FD Disclosure; 9\.01 Financial Statements and Exhibits\./);
+  assert.deepEqual(results.tags, ['8-K', '2.02', '7.01', '9.01']);
+
+  assert.equal(articles[1].title, 'Rocket Companies: 8-K — Departure or Appointment of Directors or Officers');
+  assert.equal(articles[3].title, 'Rocket Companies: 10-Q quarterly report for the period ended 2025-09-30');
+  assert.equal(articles[4].title, 'UWM Holdings: 8-K — Other Events');
+
+  assert.equal(context.result.itemCount, 5);
+  assert.equal(context.result.parseErrors, 1);
+  assert.ok(requested.includes('https://data.sec.gov/submissions/CIK0000000999.json'));
+});
+
+test('maxItems applies per company and a fully failing source throws', async () => {
+  const limited = await getAdapter('edgar').fetch(SOURCE, { state: null, maxItems: 1, result: {} });
+  assert.deepEqual(limited.map(a => a.guid), ['0001805284-26-000029', '0001783398-26-000008']);
+
+  await assert.rejects(
+    getAdapter('edgar').fetch({ ...SOURCE, edgar: { companies: [{ name: 'Gone', cik: '999' }] } }, { state: null, maxItems: 5, result: {} }),
+    error => error.status === 404
+  );
+});
+
+test('refuses to run without HTTP_CONTACT_EMAIL, which SEC requires in the User-Agent', async () => {
+  delete process.env.HTTP_CONTACT_EMAIL;
+  await assert.rejects(
+    getAdapter('edgar').fetch(SOURCE, { state: null, maxItems: 5, result: {} }),
+    error => /set HTTP_CONTACT_EMAIL/.test(error.message) && error.retryable === false
+  );
+  assert.deepEqual(requested, []);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { buildEntityMatcher, getEntityFamily, describeEntities } from '../entities.js';
+
+const { entities } = JSON.parse(await readFile(new URL('../entities.json', import.meta.url), 'utf8'));
+const match = buildEntityMatcher(entities);
+
+test('entities.json ids are unique and parents exist', () => {
+  const ids = entities.map(e => e.id);
+  assert.equal(new Set(ids).size, ids.length);
+  for (const entity of entities.filter(e => e.parent)) {
+    assert.ok(ids.includes(entity.parent), `${entity.id} has unknown parent ${entity.parent}`);
+  }
+});
+
+test('matcher prefers the longest alias and counts title and body mentions', () => {
+  const found = match({
+    title: 'Rocket Mortgage cuts rates as Rocket closes Mr. Cooper deal',
+    originalContent: 'Rocket Companies said the Mr Cooper servicing book brings the combined company ahead of UWM. ' +
+      'United Wholesale Mortgage declined to comment. Rocket Mortgage volume rose.'
+  });
+
+  assert.deepEqual(found, [
+    { id: 'mr-cooper', mentions: 2, inTitle: true },
+    { id: 'rocket-companies', mentions: 2, inTitle: true },
+    { id: 'rocket-mortgage', mentions: 2, inTitle: true },
+    { id: 'uwm', mentions: 2, inTitle: false }
+  ]);
+});
+
+test('matcher needs whole words and the alias case', () => {
+  assert.deepEqual(match({ title: 'Refinance demand rocketed as rocket-fast pricing spread', summary: 'Mortgage blend of fixed and ARM loans' }), []);
+  assert.deepEqual(match({ title: 'loanDepot posts a profit', summary: '' }).map(e => e.id), ['loandepot']);
+  assert.deepEqual(match({ title: 'LoanDepot expands retail', summary: '' }).map(e => e.id), ['loandepot']);
+});
+
+test('getEntityFamily and describeEntities follow parent links', () => {
+  assert.deepEqual(getEntityFamily(entities, 'rocket-companies').sort(), ['mr-cooper', 'redfin', 'rocket-companies', 'rocket-mortgage', 'varun-krishna']);
+  assert.deepEqual(getEntityFamily(entities, 'ice').sort(), ['encompass', 'ice', 'ice-mortgage-technology']);
+  assert.deepEqual(describeEntities(entities, ['mr-cooper', 'loandepot', 'gone']), ['Mr. Cooper (Rocket Companies)', 'loanDepot']);
+});
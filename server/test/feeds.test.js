@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { loadFixtureSources, parseFixture, FIXTURE_DIR } from './harness.js';
+import {
+  parseFeed,
+  extractImageUrl,
+  extractYouTubeVideoId,
+  normalizeYouTubeThumbnailUrl
+} from '../feedParser.js';
+import { pickCaptionTrack, parseCaptionTrack } from '../rssFetcher.js';
+
+const fixtures = (await loadFixtureSources()).filter(f => f.kind === 'feed');
+
+async function loadItems(name) {
+  return (await parseFeed(await readFile(`${FIXTURE_DIR}/${name}`, 'utf8'))).items;
+}
+
+for (const fixture of fixtures) {
+  test(`${fixture.source.name} feed matches snapshot`, async () => {
+    const articles = await parseFixture(fixture);
+    const snapshot = JSON.parse(await readFile(fixture.snapshotPath, 'utf8'));
+    assert.deepEqual(articles, snapshot);
+  });
+}
+
+test('full-content feed items are sanitized and flagged', async () => {
+  const [article] = await parseFixture(fixtures.find(f => f.source.name === 'HousingWire'));
+
+  assert.equal(article.hasFullContent, true);
+  assert.ok(article.contentHtml.includes('<img src="https://www.housingwire.com/'));
+  assert.ok(!article.contentHtml.includes('<script'));
+  assert.ok(article.summary.endsWith('...'));
+});
+
+test('extractImageUrl falls back through media:content and enclosure', async () => {
+  const items = await loadItems('housingwire.xml');
+
+  assert.equal(extractImageUrl(items[0]), 'https://www.housingwire.com/wp-content/uploads/2026/02/call-center.jpg');
+  assert.equal(extractImageUrl(items[1]), 'https://www.housingwire.com/wp-content/uploads/2026/02/locks.png');
+  assert.equal(extractImageUrl(items[2]), null);
+});
+
+test('extractImageUrl normalizes media:group thumbnails and derives them from video links', async () => {
+  const items = await loadItems('lennys-podcast.xml');
+
+  assert.equal(extractImageUrl(items[0]), 'https://img.youtube.com/vi/dQw4w9WgXcQ/hqdefault.jpg');
+  assert.equal(extractImageUrl(items[1]), 'https://img.youtube.com/vi/a1B2c3D4e5F/hqdefault.jpg');
+});
+
+test('extractYouTubeVideoId handles watch, short, embed and non-YouTube URLs', () => {
+  assert.equal(extractYouTubeVideoId('https://www.youtube.com/watch?v=dQw4w9WgXcQ'), 'dQw4w9WgXcQ');
+  assert.equal(extractYouTubeVideoId('https://youtu.be/dQw4w9WgXcQ?t=42'), 'dQw4w9WgXcQ');
+  assert.equal(extractYouTubeVideoId('https://www.youtube.com/shorts/a1B2c3D4e5F'), 'a1B2c3D4e5F');
+  assert.equal(extractYouTubeVideoId('https://www.youtube.com/v/dQw4w9WgXcQ?version=3'), 'dQw4w9WgXcQ');
+  assert.equal(extractYouTubeVideoId('https://www.housingwire.com/articles/x/'), null);
+  assert.equal(extractYouTubeVideoId(null), null);
+});
+
+test('normalizeYouTubeThumbnailUrl rewrites ytimg hosts and leaves others alone', () => {
+  assert.equal(
+    normalizeYouTubeThumbnailUrl('https://i4.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg'),
+    'https://img.youtube.com/vi/dQw4w9WgXcQ/mqdefault.jpg'
+  );
+  assert.equal(normalizeYouTubeThumbnailUrl('https://example.com/a.jpg'), 'https://example.com/a.jpg');
+  assert.equal(normalizeYouTubeThumbnailUrl(null), null);
+});
+
+test('pickCaptionTrack prefers manual English, then auto English, then the first track', () => {
+  const manualEn = { languageCode: 'en', baseUrl: 'manual' };
+  const autoEn = { languageCode: 'en', kind: 'asr', baseUrl: 'auto' };
+  const spanish = { languageCode: 'es', baseUrl: 'es' };
+
+  assert.equal(pickCaptionTrack([spanish, autoEn, manualEn]), manualEn);
+  assert.equal(pickCaptionTrack([spanish, autoEn]), autoEn);
+  assert.equal(pickCaptionTrack([spanish]), spanish);
+  assert.equal(pickCaptionTrack(undefined), null);
+});
+
+test('parseCaptionTrack decodes entities, joins lines and drops repeats', async () => {
+  const transcript = parseCaptionTrack(await readFile(`${FIXTURE_DIR}/youtube-captions.xml`, 'utf8'));
+
+  assert.equal(
+    transcript,
+    "welcome back to the show today we're talking about AI agents and how product teams & engineers ship faster [Music]"
+  );
+  assert.equal(parseCaptionTrack(''), '');
+});
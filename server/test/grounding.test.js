@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeUrl, createArticleResolver, groundDigest } from '../grounding.js';
+
+const entities = [
+  { id: 'rocket-companies', name: 'Rocket Companies', type: 'company', aliases: ['Rocket'] },
+  { id: 'mr-cooper', name: 'Mr. Cooper', type: 'company', aliases: ['Nationstar'], parent: 'rocket-companies' },
+  { id: 'uwm', name: 'UWM Holdings', type: 'company', aliases: ['UWM', 'United Wholesale Mortgage'] }
+];
+
+const articles = [
+  { id: 1, link: 'https://www.example.com/news/uwm-launches-broker-portal', title: 'UWM launches broker portal', source: 'Alpha News', hasFullContent: true,
+    originalContent: 'United Wholesale Mortgage launched a portal that lets brokers price loans instantly.' },
+  { id: 2, link: 'https://example.com/news/servicing-costs-rise?id=7', title: 'Servicing costs rise again', source: 'Beta Wire',
+    originalContent: 'Nationstar said default servicing costs climbed for a third quarter.' },
+  { id: 3, link: 'https://other.example.org/rates/weekly-rates', title: 'Mortgage rates edge lower', source: 'Gamma',
+    originalContent: 'Thirty-year fixed rates fell to 6.1 percent this week.' }
+];
+
+test('normalizeUrl ignores scheme, www., trailing slashes, fragments and tracking parameters', () => {
+  assert.equal(normalizeUrl('http://WWW.Example.com/a/b/?utm_source=x&z=2&a=1#top'), 'example.com/a/b?a=1&z=2');
+  assert.equal(normalizeUrl('https://example.com'), 'example.com/');
+  assert.equal(normalizeUrl('not a url'), null);
+});
+
+test('the resolver matches exact, normalized and near-miss URLs on the same host', () => {
+  const resolve = createArticleResolver(articles);
+  const match = (url) => {
+    const found = resolve(url);
+    return found && [found.article.id, found.match];
+  };
+  assert.deepEqual(match('https://www.example.com/news/uwm-launches-broker-portal'), [1, 'exact']);
+  assert.deepEqual(match('http://example.com/news/uwm-launches-broker-portal/?utm_medium=email'), [1, 'normalized']);
+  assert.deepEqual(match('https://www.example.com/news/uwm-launch-broker-portal'), [1, 'fuzzy']);
+  assert.deepEqual(match('https://example.com/news/servicing-cost-rise?id=7'), [2, 'fuzzy']);
+  assert.equal(resolve('https://elsewhere.example.net/news/uwm-launches-broker-portal'), null);
+  assert.equal(resolve('https://example.com/news/something-else-entirely'), null);
+  assert.equal(resolve(undefined), null);
+});
+
+test('a near-miss equally close to two articles is not guessed', () => {
+  const resolve = createArticleResolver([
+    { id: 1, link: 'https://example.com/story-10' },
+    { id: 2, link: 'https://example.com/story-12' }
+  ]);
+  assert.equal(resolve('https://example.com/story-11'), null);
+});
+
+test('the fragment tells apart links that differ only in it', () => {
+  const resolve = createArticleResolver([
+    { id: 1, link: 'https://boards.example.com/examplelender#careers-20261018T1403' },
+    { id: 2, link: 'https://boards.example.com/examplelender#careers-20261019T1403' },
+    { id: 3, link: 'https://example.com/news/rates#latest' }
+  ]);
+  const match = (url) => {
+    const found = resolve(url);
+    return found && [found.article.id, found.match];
+  };
+  assert.equal(normalizeUrl('https://example.com/a#b', { keepFragment: true }), 'example.com/a#b');
+  assert.deepEqual(match('https://boards.example.com/examplelender#careers-20261019T1403'), [2, 'exact']);
+  assert.deepEqual(match('http://www.boards.example.com/examplelender/#careers-20261018T1403'), [1, 'normalized']);
+  assert.deepEqual(match('https://boards.example.com/examplelender#careers-20261019T1430'), [2, 'fuzzy']);
+  assert.equal(resolve('https://boards.example.com/examplelender'), null);
+  assert.deepEqual(match('https://example.com/news/rates'), [3, 'normalized']);
+});
+
+test('groundDigest keeps grounded items, corrects URLs, and drops or flags the rest', () => {
+  const digest = {
+    top_insights: [
+      { headline: 'UWM speeds up broker pricing', explanation: 'A portal lets brokers price loans instantly.', url: 'https://example.com/news/uwm-launches-broker-portal' },
+      { headline: 'Invented story', explanation: 'Nothing like this was in the feed.', url: 'https://example.com/made-up' },
+      { headline: 'Agency capital rules loosen', explanation: 'Capital requirements relaxed.', url: 'https://other.example.org/rates/weekly-rates' }
+    ],
+    competitive_signals: [
+      { competitor: 'UWM Holdings', signal: 'Launched an instant pricing portal for brokers', implication: 'x' },
+      { competitor: 'Rocket Companies', signal: 'Servicing costs climbed', implication: 'x', url: 'https://example.com/news/servicing-costs-rise?id=7' },
+      { competitor: 'Blend', signal: 'Launched a broker portal', implication: 'x', url: 'https://www.example.com/news/uwm-launches-broker-portal' },
+      { competitor: 'Better.com', signal: 'Cut staff', implication: 'x' }
+    ],
+    worth_reading: [{ title: 'Mortgage rates edge lower', reason: 'Weekly rates', url: 'https://other.example.org/rates/weekly-rates' }]
+  };
+
+  const report = groundDigest(digest, articles, entities);
+
+  assert.deepEqual(digest.top_insights.map(i => [i.url, i.article_id]), [
+    ['https://www.example.com/news/uwm-launches-broker-portal', 1],
+    ['https://other.example.org/rates/weekly-rates', 3]
+  ]);
+  assert.equal(digest.top_insights[0].has_full_content, true);
+  assert.deepEqual(digest.competitive_signals.map(s => [s.competitor, s.article_id]), [['UWM Holdings', 1], ['Rocket Companies', 2]]);
+  assert.equal(digest.competitive_signals[0].url, articles[0].link);
+  assert.equal(digest.worth_reading[0].article_id, 3);
+
+  assert.deepEqual({ checked: report.checked, grounded: report.grounded, corrected: report.corrected }, { checked: 8, grounded: 5, corrected: 2 });
+  assert.deepEqual(report.dropped.map(d => [d.section, d.reason]), [
+    ['top_insights', 'URL does not match any article'],
+    ['competitive_signals', 'Blend is not named in the cited article'],
+    ['competitive_signals', 'no article mentions this competitor']
+  ]);
+  assert.deepEqual(report.flagged.map(f => [f.item, f.reason]), [
+    ['Agency capital rules loosen', 'shares 0 significant words with the cited article']
+  ]);
+  assert.equal(digest.grounding, report);
+});
@@ -0,0 +1,70 @@
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import * as cheerio from 'cheerio';
+import { buildConfiguredParser } from '../newsroomScraper.js';
+import { parseFeed, buildArticleFromItem } from '../feedParser.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+export const FIXTURE_DIR = path.join(__dirname, 'fixtures');
+export const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+const SOURCES_PATH = path.join(__dirname, '..', 'sources.json');
+
+// RSS sources with saved feed fixtures (every `type: "scrape"` source has one too)
+export const FEED_FIXTURES = ['HousingWire', "Lenny's Podcast"];
+
+// Placeholder for pubDates that fell back to the time of the run
+export const FETCH_TIME = '<fetch time>';
+
+export function slugify(name) {
+  return name.toLowerCase().replace(/'/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Sources covered by fixtures, with their fixture and snapshot paths
+ * @returns {Promise<Array<{source: Object, kind: 'scrape'|'feed', fixturePath: string, snapshotPath: string}>>}
+ */
+export async function loadFixtureSources() {
+  const config = JSON.parse(await readFile(SOURCES_PATH, 'utf8'));
+  return config.sources
+    .filter(s => s.type === 'scrape' || FEED_FIXTURES.includes(s.name))
+    .map(source => {
+      const kind = source.type === 'scrape' ? 'scrape' : 'feed';
+      const slug = slugify(source.name);
+      return {
+        source,
+        kind,
+        fixturePath: path.join(FIXTURE_DIR, `${slug}.${kind === 'scrape' ? 'html' : 'xml'}`),
+        snapshotPath: path.join(SNAPSHOT_DIR, `${slug}.json`)
+      };
+    });
+}
+
+/**
+ * Replace pubDates generated during the run (no date on the page) with a stable placeholder
+ */
+function normalizeFetchTime(articles, before, after) {
+  return articles.map(article => {
+    const time = new Date(article.pubDate).getTime();
+    return time >= before && time <= after ? { ...article, pubDate: FETCH_TIME } : article;
+  });
+}
+
+/**
+ * Run a source's parser against its saved fixture, fully offline
+ * @returns {Promise<Array>} Extracted articles
+ */
+export async function parseFixture({ source, kind, fixturePath }) {
+  const raw = await readFile(fixturePath, 'utf8');
+  const before = Date.now();
+  let articles;
+
+  if (kind === 'scrape') {
+    articles = buildConfiguredParser(source.scrape)(cheerio.load(raw), 10);
+  } else {
+    const feed = await parseFeed(raw);
+    articles = feed.items.slice(0, 10).map(item => buildArticleFromItem(item, source));
+  }
+
+  return normalizeFetchTime(articles, before, Date.now());
+}
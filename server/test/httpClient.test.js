@@ -0,0 +1,110 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRobots, isPathAllowed, parseRetryAfter, createHttpClient } from '../httpClient.js';
+
+const ROBOTS = `# sample
+User-agent: *
+Disallow: /private/
+Disallow: /*.pdf$
+Allow: /private/press/
+
+User-agent: MortgageIntelBot
+User-agent: OtherBot
+Disallow: /search
+Crawl-delay: 5
+`;
+
+test('robots.txt groups naming our agent replace the * group', () => {
+  const ours = parseRobots(ROBOTS, 'MortgageIntelBot');
+  assert.equal(ours.crawlDelayMs, 5000);
+  assert.equal(isPathAllowed(ours, '/search?q=rates'), false);
+  assert.equal(isPathAllowed(ours, '/private/report'), true);
+
+  const generic = parseRobots(ROBOTS, 'SomeCrawler');
+  assert.equal(generic.crawlDelayMs, 0);
+  assert.equal(isPathAllowed(generic, '/private/report'), false);
+  assert.equal(isPathAllowed(generic, '/private/press/2026-release'), true);
+  assert.equal(isPathAllowed(generic, '/files/deck.pdf'), false);
+  assert.equal(isPathAllowed(generic, '/files/deck.pdf?download=1'), true);
+});
+
+test('empty or missing robots rules allow everything', () => {
+  assert.equal(isPathAllowed(parseRobots('', 'MortgageIntelBot'), '/anything'), true);
+  assert.equal(isPathAllowed(parseRobots('User-agent: *\nDisallow:\n', 'MortgageIntelBot'), '/anything'), true);
+});
+
+test('Retry-After accepts seconds and HTTP dates', () => {
+  const now = Date.parse('2026-02-10T12:00:00Z');
+  assert.equal(parseRetryAfter('120', now), 120000);
+  assert.equal(parseRetryAfter('Tue, 10 Feb 2026 12:01:30 GMT', now), 90000);
+  assert.equal(parseRetryAfter('soon', now), null);
+  assert.equal(parseRetryAfter(null, now), null);
+});
+
+const realFetch = globalThis.fetch;
+let handler;
+let requested;
+
+beforeEach(() => {
+  requested = [];
+  globalThis.fetch = async (url, init) => {
+    requested.push({ url, at: Date.now(), userAgent: init.headers['User-Agent'] });
+    return handler(url);
+  };
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('client honors robots.txt and spaces requests to the same host', async () => {
+  handler = (url) => url.endsWith('/robots.txt')
+    ? new Response('User-agent: *\nDisallow: /members/\n')
+    : new Response('ok');
+  const client = createHttpClient({ minDelayMs: 200 });
+
+  await assert.rejects(client.fetch('https://site.example.com/members/list'), error => error.code === 'ROBOTS_DISALLOWED' && error.retryable === false);
+  await Promise.all([client.fetch('https://site.example.com/a'), client.fetch('https://site.example.com/b')]);
+
+  const pages = requested.filter(r => !r.url.endsWith('/robots.txt'));
+  assert.equal(requested.filter(r => r.url.endsWith('/robots.txt')).length, 1);
+  assert.equal(pages.length, 2);
+  assert.ok(pages[1].at - pages[0].at >= 190);
+  // robots.txt takes its turn too: the first page waits the host delay after it
+  assert.ok(pages[0].at - requested[0].at >= 190);
+  assert.equal(client.getStats()[0].requests, 3);
+  assert.match(pages[0].userAgent, /MortgageIntelBot/);
+});
+
+test('robots: false skips robots.txt, and if-reachable only follows a robots.txt it could read', async () => {
+  handler = (url) => url.endsWith('/robots.txt')
+    ? new Response('User-agent: *\nDisallow: /api/\n')
+    : new Response('ok');
+  const client = createHttpClient({ minDelayMs: 0 });
+  assert.equal((await client.fetch('https://video.example.com/api/timedtext?v=1', { robots: false })).status, 200);
+  assert.equal(requested.filter(r => r.url.endsWith('/robots.txt')).length, 0);
+  await assert.rejects(client.fetch('https://video.example.com/api/timedtext?v=1', { robots: 'if-reachable' }), error => error.code === 'ROBOTS_DISALLOWED');
+
+  handler = (url) => url.endsWith('/robots.txt') ? new Response('', { status: 503 }) : new Response('ok');
+  const flaky = createHttpClient({ minDelayMs: 0 });
+  await assert.rejects(flaky.fetch('https://down.example.com/page'), error => error.code === 'ROBOTS_DISALLOWED' && /unreachable/.test(error.message));
+  assert.equal((await flaky.fetch('https://down.example.com/page', { robots: 'if-reachable' })).status, 200);
+});
+
+test('client backs off after 429 Retry-After and stops once the error budget is spent', async () => {
+  handler = (url) => url.endsWith('/robots.txt')
+    ? new Response('', { status: 404 })
+    : new Response('slow down', { status: 429, headers: { 'Retry-After': '3600' } });
+  const client = createHttpClient({ minDelayMs: 0, errorBudget: 2 });
+
+  const response = await client.fetch('https://busy.example.com/news');
+  assert.equal(response.status, 429);
+  await assert.rejects(client.fetch('https://busy.example.com/news'), error => error.code === 'HOST_BACKOFF');
+
+  handler = (url) => url.endsWith('/robots.txt') ? new Response('', { status: 404 }) : new Response('', { status: 500 });
+  const flaky = createHttpClient({ minDelayMs: 0, errorBudget: 2 });
+  await flaky.fetch('https://flaky.example.com/1');
+  await flaky.fetch('https://flaky.example.com/2');
+  await assert.rejects(flaky.fetch('https://flaky.example.com/3'), error => error.code === 'HOST_ERROR_BUDGET');
+  assert.equal(flaky.getStats()[0].refused, 1);
+});
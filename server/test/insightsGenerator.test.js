@@ -0,0 +1,233 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { generateInsights, estimateTokens, batchItems, parseCandidates } from '../insightsGenerator.js';
+import { PROFILES_DIR } from '../profile.js';
+
+const profile = JSON.parse(await readFile(path.join(PROFILES_DIR, 'digital-mortgage-pm.json'), 'utf8'));
+
+const makeArticles = (count, bodyLength = 1500) => Array.from({ length: count }, (_, i) => ({
+  id: i + 1,
+  title: `Story ${i + 1}`,
+  link: `https://example.com/story-${i + 1}`,
+  source: i % 2 ? 'Beta Wire' : 'Alpha News',
+  category: 'Industry',
+  type: 'article',
+  originalContent: `Story ${i + 1} body. ` + 'x'.repeat(bodyLength),
+  entityIds: []
+}));
+
+const digestResponse = (url) => JSON.stringify({
+  top_insights: [{ headline: 'Headline', explanation: 'Why', connection: 'How', source: 'Alpha News', url }],
+  competitive_signals: [],
+  worth_reading: [],
+  nothing_notable: false
+});
+
+/**
+ * Completion stub: records prompts, answers map prompts with `mapAnswer(prompt)` and the final prompt with a digest
+ */
+function stubClaude({ mapAnswer = () => '[]', finalUrl = 'https://example.com/story-1' } = {}) {
+  const calls = [];
+  const complete = async (prompt, options) => {
+    calls.push({ prompt, options });
+    if (prompt.startsWith('You are screening')) return { text: mapAnswer(prompt), model: 'stub' };
+    return { text: digestResponse(finalUrl), model: 'stub' };
+  };
+  return { calls, complete };
+}
+
+test('estimateTokens counts about four characters per token', () => {
+  assert.equal(estimateTokens('x'.repeat(400)), 100);
+  assert.equal(estimateTokens(''), 0);
+});
+
+test('a prompt under the token budget is sent in one pass', async () => {
+  const { calls, complete } = stubClaude();
+  const digest = await generateInsights(makeArticles(5), { profile, complete, tokenBudget: 60000 });
+
+  assert.equal(calls.length, 1);
+  assert.match(calls[0].prompt, /^You are a daily intelligence analyst for a digital product leader/);
+  assert.match(calls[0].prompt, /TODAY'S ARTICLES \(5 content stories/);
+  assert.equal(digest.strategy.mode, 'single');
+  assert.equal(digest.top_insights[0].headline, 'Headline');
+  assert.equal(digest.article_count, 5);
+});
+
+test('an oversized prompt switches to map-reduce: batches are screened, then the best candidates reduced', async () => {
+  const { calls, complete } = stubClaude({
+    mapAnswer: (prompt) => {
+      // Keep the first story of each batch, plus one URL that was never in the batch
+      const url = prompt.match(/URL: (\S+)/)[1];
+      return JSON.stringify([
+        { url, score: url.endsWith('-1') ? 9 : 6, kind: 'signal', competitor: 'UWM Holdings', summary: `Screened summary for ${url}` },
+        { url: 'https://invented.example.com/', score: 10, kind: 'insight', summary: 'Made up' }
+      ]);
+    }
+  });
+
+  const digest = await generateInsights(makeArticles(12), { profile, complete, tokenBudget: 3000, batchTokens: 1200 });
+
+  const mapCalls = calls.filter(c => c.prompt.startsWith('You are screening'));
+  const reduce = calls[calls.length - 1];
+  assert.ok(mapCalls.length > 1, 'articles are split across several map batches');
+  assert.equal(calls.length, mapCalls.length + 1);
+  assert.match(mapCalls[0].prompt, /ARTICLES \(batch 1 of \d+/);
+  assert.match(mapCalls[0].prompt, /FILTERING CRITERIA/);
+
+  assert.match(reduce.prompt, new RegExp(`SHORTLISTED CANDIDATES \\(${mapCalls.length} of 12 content stories`));
+  assert.match(reduce.prompt, /Screened summary for https:\/\/example\.com\/story-1\n/);
+  assert.match(reduce.prompt, /\[score 9, suggested: signal — UWM Holdings\]/);
+  assert.doesNotMatch(reduce.prompt, /invented\.example\.com/);
+  assert.doesNotMatch(reduce.prompt, /x{100}/, 'full article bodies stay out of the reduce prompt');
+  assert.ok(estimateTokens(reduce.prompt) <= 3000);
+
+  assert.deepEqual(
+    { mode: digest.strategy.mode, batches: digest.strategy.batches, failedBatches: digest.strategy.failedBatches, candidates: digest.strategy.candidates },
+    { mode: 'map-reduce', batches: mapCalls.length, failedBatches: 0, candidates: mapCalls.length }
+  );
+  assert.equal(digest.top_insights.length, 1);
+});
+
+test('the reduce prompt drops the weakest candidates until it fits the budget', async () => {
+  const { calls, complete } = stubClaude({
+    mapAnswer: (prompt) => JSON.stringify([...prompt.matchAll(/URL: (\S+)/g)].map(([, url], i) => ({
+      url, score: 10 - i, kind: 'insight', summary: 'y'.repeat(600)
+    })))
+  });
+
+  const digest = await generateInsights(makeArticles(20), { profile, complete, tokenBudget: 3000, batchTokens: 1500 });
+
+  assert.equal(digest.strategy.candidates, 20);
+  assert.ok(digest.strategy.shortlisted < 20);
+  assert.ok(estimateTokens(calls[calls.length - 1].prompt) <= 3000);
+});
+
+test('a failed map batch is skipped; when every batch fails the digest reports the error', async () => {
+  let mapCall = 0;
+  const partial = stubClaude({
+    mapAnswer: (prompt) => {
+      if (++mapCall === 1) throw new Error('overloaded');
+      return JSON.stringify([{ url: prompt.match(/URL: (\S+)/)[1], score: 7, kind: 'insight', summary: 'Kept' }]);
+    }
+  });
+  const digest = await generateInsights(makeArticles(12), { profile, complete: partial.complete, tokenBudget: 3000, batchTokens: 1200 });
+  assert.equal(digest.strategy.failedBatches, 1);
+  assert.equal(digest.error, undefined);
+  assert.match(partial.calls[partial.calls.length - 1].prompt, /batches, 1 of which failed/);
+
+  const failing = stubClaude({ mapAnswer: () => { throw new Error('overloaded'); } });
+  const failed = await generateInsights(makeArticles(12), { profile, complete: failing.complete, tokenBudget: 3000, batchTokens: 1200 });
+  assert.match(failed.error, /map batches failed/);
+  assert.equal(failed.nothing_notable, true);
+  assert.equal(failing.calls.every(c => c.prompt.startsWith('You are screening')), true);
+});
+
+test('the digest is requested through the submit_digest tool', async () => {
+  const { calls, complete } = stubClaude();
+  await generateInsights(makeArticles(3), { profile, complete });
+  assert.equal(calls[0].options.tool.name, 'submit_digest');
+  assert.equal(calls[0].options.tool.input_schema.properties.top_insights.maxItems, profile.sections.topInsights.max);
+});
+
+test('validation errors get one repair request that cites them, and the better answer is kept', async () => {
+  const calls = [];
+  const first = {
+    top_insights: [
+      { headline: 'Real', explanation: 'E', connection: 'C', source: 'Alpha News', url: 'https://example.com/story-1' },
+      { headline: 'Made up', explanation: 'E', connection: 'C', source: 'Alpha News', url: 'https://invented.example.com/' }
+    ],
+    competitive_signals: [{ competitor: 'Blend', signal: 'Launched' }],
+    worth_reading: [],
+    nothing_notable: false
+  };
+  const complete = async (prompt, options) => {
+    calls.push({ prompt, options });
+    if (calls.length === 1) return { input: first, toolUseId: 'toolu_1', model: 'stub' };
+    return {
+      input: { ...first, top_insights: [first.top_insights[0]], competitive_signals: [{ ...first.competitive_signals[0], implication: 'Watch it' }] },
+      toolUseId: 'toolu_2',
+      model: 'stub'
+    };
+  };
+
+  const digest = await generateInsights(makeArticles(3), { profile, complete });
+
+  assert.equal(calls.length, 2);
+  const [original, answer, feedback] = calls[1].prompt;
+  assert.equal(original.content, calls[0].prompt);
+  assert.deepEqual(answer.content, [{ type: 'tool_use', id: 'toolu_1', name: 'submit_digest', input: first }]);
+  assert.equal(feedback.content[0].type, 'tool_result');
+  assert.equal(feedback.content[0].tool_use_id, 'toolu_1');
+  assert.equal(feedback.content[0].is_error, true);
+  assert.match(feedback.content[0].content, /- top_insights\[1\]\.url "https:\/\/invented\.example\.com\/" is not one of the article URLs provided/);
+  assert.match(feedback.content[0].content, /- competitive_signals\[0\]\.implication is required/);
+
+  assert.equal(digest.error, undefined);
+  assert.deepEqual(digest.top_insights.map(i => i.headline), ['Real']);
+  assert.equal(digest.competitive_signals[0].implication, 'Watch it');
+  assert.deepEqual({ repaired: digest.validation.repaired, errors: digest.validation.errors.length, remaining: digest.validation.remainingErrors }, { repaired: true, errors: 2, remaining: [] });
+});
+
+test('when the repair fails, the valid part of the first answer is kept', async () => {
+  let call = 0;
+  const complete = async () => {
+    if (++call === 2) throw new Error('overloaded');
+    return {
+      text: JSON.stringify({
+        top_insights: [{ headline: 'Real', explanation: 'E', connection: 'C', source: 'Alpha News', url: 'https://example.com/story-2' }],
+        competitive_signals: 'none',
+        worth_reading: [{ title: 'No link', reason: 'R' }],
+        nothing_notable: false
+      }),
+      model: 'stub'
+    };
+  };
+
+  const digest = await generateInsights(makeArticles(3), { profile, complete });
+  assert.equal(call, 2);
+  assert.equal(digest.error, undefined);
+  assert.deepEqual(digest.top_insights.map(i => i.url), ['https://example.com/story-2']);
+  assert.deepEqual(digest.competitive_signals, []);
+  assert.deepEqual(digest.worth_reading, []);
+  assert.equal(digest.validation.repaired, false);
+  assert.deepEqual(digest.validation.remainingErrors, ['competitive_signals must be a list', 'worth_reading[0].url is required']);
+});
+
+test('a response with no digest in it, even after repair, is reported as a parse failure', async () => {
+  const calls = [];
+  const complete = async (prompt) => {
+    calls.push(prompt);
+    return { text: 'Sorry, I cannot help with that.', model: 'stub' };
+  };
+
+  const digest = await generateInsights(makeArticles(3), { profile, complete });
+  assert.equal(calls.length, 2);
+  assert.deepEqual(calls[1].map(m => m.role), ['user', 'assistant', 'user']);
+  assert.match(calls[1][2].content, /the digest must be a JSON object/);
+  assert.match(digest.error, /^Failed to parse Claude response/);
+  assert.equal(digest.nothing_notable, true);
+});
+
+test('batchItems keeps order and never leaves a batch empty', () => {
+  const item = (n, length) => ({ title: `T${n}`, source: 'S', link: `L${n}`, summary: 'z'.repeat(length), coveredBy: ['S'], label: '', entityNames: [] });
+  const batches = batchItems([item(1, 300), item(2, 300), item(3, 5000), item(4, 100)], 200);
+  assert.deepEqual(batches.map(b => b.map(i => i.title)), [['T1', 'T2'], ['T3'], ['T4']]);
+});
+
+test('parseCandidates accepts fenced JSON, drops unknown and repeated URLs and clamps scores', () => {
+  const batch = [{ link: 'https://a', summary: 'A body' }, { link: 'https://b', summary: 'B body' }];
+  const text = '```json\n' + JSON.stringify([
+    { url: 'https://b', score: 42, kind: 'reading' },
+    { url: 'https://b', score: 3, kind: 'insight', summary: 'again' },
+    { url: 'https://elsewhere', score: 9 },
+    { url: 'https://a', score: 'high', kind: 'gossip', summary: 'A summary' }
+  ]) + '\n```';
+
+  assert.deepEqual(parseCandidates(text, batch).map(c => [c.item.link, c.score, c.kind, c.summary]), [
+    ['https://b', 10, 'reading', 'B body'],
+    ['https://a', 1, 'insight', 'A summary']
+  ]);
+  assert.throws(() => parseCandidates('{"not": "an array"}', batch), /not a JSON array/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { FIXTURE_DIR } from './harness.js';
+import { parseSeries, computeWeeklyChange } from '../marketData.js';
+
+const PMMS_30 = { id: 'pmms-30yr', name: '30-yr fixed', date: 'date', dateFormat: 'M/D/YYYY', value: 'pmms30', unit: '%', threshold: 0.15 };
+const PMMS_15 = { ...PMMS_30, id: 'pmms-15yr', name: '15-yr fixed', value: 'pmms15' };
+
+test('parses CSV series columns into dated observations', async () => {
+  const csv = await readFile(`${FIXTURE_DIR}/sample-pmms.csv`, 'utf8');
+  const observations = parseSeries(csv, PMMS_30);
+
+  assert.equal(observations.length, 5);
+  assert.deepEqual(observations[0], { date: '2026-01-15', value: 6.06 });
+  assert.deepEqual(observations[4], { date: '2026-02-12', value: 6.31 });
+  assert.deepEqual(parseSeries(csv, PMMS_15)[4], { date: '2026-02-12', value: 5.52 });
+});
+
+test('skips missing values and rejects CSVs without the configured column', () => {
+  const fred = 'observation_date,DGS10\n2026-02-09,4.21\n2026-02-16,.\n2026-02-10,4.25\n';
+  const series = { date: 'observation_date', value: 'DGS10' };
+  assert.deepEqual(parseSeries(fred, series), [
+    { date: '2026-02-09', value: 4.21 },
+    { date: '2026-02-10', value: 4.25 }
+  ]);
+  assert.throws(() => parseSeries(fred, { date: 'observation_date', value: 'DGS30' }), /missing column "DGS30"/);
+});
+
+test('parses JSON series through itemsPath', () => {
+  const body = JSON.stringify({ data: { points: [{ week: '2026-02-06', index: 251.3 }, { week: '2026-02-13', index: 270.9 }] } });
+  const series = { format: 'json', itemsPath: 'data.points', date: 'week', value: 'index' };
+  assert.deepEqual(parseSeries(body, series).map(o => o.value), [251.3, 270.9]);
+});
+
+test('computes week-over-week change and flags moves past the threshold', () => {
+  const history = [
+    { date: '2026-02-12', value: 6.31 },
+    { date: '2026-02-05', value: 6.11 },
+    { date: '2026-01-29', value: 6.10 }
+  ];
+  const row = computeWeeklyChange(PMMS_30, history);
+  assert.equal(row.previousDate, '2026-02-05');
+  assert.equal(row.change, 0.2);
+  assert.equal(row.notable, true);
+
+  assert.equal(computeWeeklyChange(PMMS_30, history.slice(1)).notable, false);
+});
+
+test('daily series compare against the observation a week earlier', () => {
+  const daily = [
+    { date: '2026-02-13', value: 4.30 },
+    { date: '2026-02-12', value: 4.28 },
+    { date: '2026-02-09', value: 4.22 },
+    { date: '2026-02-06', value: 4.20 }
+  ];
+  const row = computeWeeklyChange({ id: 'ust-10yr', name: '10-yr Treasury', unit: '%', threshold: 0.2 }, daily);
+  assert.equal(row.previousDate, '2026-02-06');
+  assert.equal(row.change, 0.1);
+  assert.equal(row.notable, false);
+});
+
+test('percent thresholds apply to index series and single observations have no change', () => {
+  const series = { id: 'apps', name: 'Purchase index', unit: 'index', thresholdPct: 5 };
+  const row = computeWeeklyChange(series, [{ date: '2026-02-13', value: 270.9 }, { date: '2026-02-06', value: 251.3 }]);
+  assert.equal(row.changePct, 7.8);
+  assert.equal(row.notable, true);
+
+  const first = computeWeeklyChange(series, [{ date: '2026-02-13', value: 270.9 }]);
+  assert.equal(first.change, null);
+  assert.equal(first.notable, false);
+});
@@ -0,0 +1,103 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadMigrations, runMigrations, getMigrationStatus, MIGRATIONS_DIR } from '../migrator.js';
+
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'migrations-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const migration = (table) => `export async function up(client) { await client.query('CREATE TABLE ${table} (id INTEGER)'); }\n`;
+
+/**
+ * Pool stand-in that records SQL and keeps schema_migrations rows in memory
+ */
+function fakePool(applied = [], { failOn = null } = {}) {
+  const rows = applied.map(([version, name]) => ({ version, name, applied_at: new Date('2026-01-01T00:00:00Z') }));
+  const log = [];
+  let pending = null;
+  const client = {
+    released: false,
+    async query(sql, params = []) {
+      log.push(sql.trim().split('\n')[0]);
+      if (failOn && sql.includes(failOn)) throw new Error('boom');
+      if (sql.startsWith('SELECT version')) return { rows: [...rows] };
+      if (sql.startsWith('INSERT INTO schema_migrations')) pending = { version: params[0], name: params[1], applied_at: new Date() };
+      if (sql === 'COMMIT' && pending) { rows.push(pending); pending = null; }
+      if (sql === 'ROLLBACK') pending = null;
+      return { rows: [] };
+    },
+    release() { this.released = true; }
+  };
+  return { log, rows, client, connect: async () => client };
+}
+
+test('loadMigrations orders by version and rejects bad or duplicate names', async () => {
+  await writeFile(path.join(dir, '010_later.js'), migration('b'));
+  await writeFile(path.join(dir, '002_first.js'), migration('a'));
+  await writeFile(path.join(dir, 'README.md'), 'ignored');
+  assert.deepEqual((await loadMigrations(dir)).map(m => [m.version, m.name]), [[2, 'first'], [10, 'later']]);
+
+  await writeFile(path.join(dir, '2_again.js'), migration('c'));
+  await assert.rejects(loadMigrations(dir), /Duplicate migration version 2/);
+  await rm(path.join(dir, '2_again.js'));
+
+  await writeFile(path.join(dir, 'add-column.js'), migration('d'));
+  await assert.rejects(loadMigrations(dir), /Bad migration file name: add-column\.js/);
+});
+
+test('the bundled migrations load in order', async () => {
+  const migrations = await loadMigrations(MIGRATIONS_DIR);
+  assert.deepEqual(migrations.slice(0, 2).map(m => m.version), [1, 2]);
+  assert.equal(migrations[0].name, 'initial_schema');
+});
+
+test('runMigrations applies only pending migrations, each in a transaction, under the lock', async () => {
+  await writeFile(path.join(dir, '001_one.js'), migration('one'));
+  await writeFile(path.join(dir, '002_two.js'), migration('two'));
+  const pool = fakePool([[1, 'one']]);
+
+  const applied = await runMigrations({ pool, dir });
+
+  assert.deepEqual(applied.map(m => m.version), [2]);
+  assert.deepEqual(pool.log.filter(sql => !sql.startsWith('CREATE TABLE IF NOT EXISTS') && sql !== ''), [
+    'SELECT pg_advisory_lock($1)',
+    'SELECT version, name, applied_at FROM schema_migrations ORDER BY version',
+    'BEGIN',
+    'CREATE TABLE two (id INTEGER)',
+    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+    'COMMIT',
+    'SELECT pg_advisory_unlock($1)'
+  ]);
+  assert.equal(pool.client.released, true);
+});
+
+test('a failing migration rolls back, stops the run and still unlocks', async () => {
+  await writeFile(path.join(dir, '001_one.js'), migration('one'));
+  await writeFile(path.join(dir, '002_two.js'), migration('two'));
+  const pool = fakePool([], { failOn: 'CREATE TABLE one' });
+
+  await assert.rejects(runMigrations({ pool, dir }), /Migration 1_one failed: boom/);
+  assert.ok(pool.log.includes('ROLLBACK'));
+  assert.ok(!pool.log.includes('CREATE TABLE two (id INTEGER)'));
+  assert.equal(pool.log.at(-1), 'SELECT pg_advisory_unlock($1)');
+  assert.equal(pool.rows.length, 0);
+});
+
+test('getMigrationStatus reports pending and orphaned versions', async () => {
+  await writeFile(path.join(dir, '001_one.js'), migration('one'));
+  await writeFile(path.join(dir, '002_two.js'), migration('two'));
+  const pool = fakePool([[1, 'one'], [7, 'removed']]);
+
+  const { migrations, unknown } = await getMigrationStatus({ pool, dir });
+  assert.deepEqual(migrations.map(m => [m.version, Boolean(m.appliedAt)]), [[1, true], [2, false]]);
+  assert.deepEqual(unknown.map(m => m.version), [7]);
+});
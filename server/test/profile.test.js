@@ -0,0 +1,119 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { validateProfile, loadProfile, loadProfiles, buildReaderContext, buildFilteringCriteria, buildSectionRules, capSections, PROFILES_DIR } from '../profile.js';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'profile-'));
+const profile = JSON.parse(await readFile(path.join(PROFILES_DIR, 'digital-mortgage-pm.json'), 'utf8'));
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+test('every profile in profiles/ is valid and has a unique name', async () => {
+  const profiles = await loadProfiles(PROFILES_DIR);
+  assert.deepEqual([...profiles.keys()], ['digital-mortgage-pm', 'exec-sponsor', 'origination-pm', 'servicing-lead']);
+  for (const loaded of profiles.values()) {
+    const { stamp, ...raw } = loaded;
+    assert.deepEqual(validateProfile(raw), [], loaded.name);
+  }
+});
+
+test('loadProfiles rejects two files with the same profile name', async () => {
+  const shared = path.join(dir, 'shared');
+  await mkdir(shared);
+  await writeFile(path.join(shared, 'a.json'), JSON.stringify(profile));
+  await writeFile(path.join(shared, 'b.json'), JSON.stringify(profile));
+  await assert.rejects(loadProfiles(shared), /"digital-mortgage-pm" is used by more than one file/);
+});
+
+test('loadProfile stamps the profile with name, version and a content hash', async () => {
+  const file = path.join(dir, 'profile.json');
+  await writeFile(file, JSON.stringify(profile));
+  const first = await loadProfile(file);
+  assert.equal(first.stamp.name, 'digital-mortgage-pm');
+  assert.equal(first.stamp.version, profile.version);
+  assert.match(first.stamp.hash, /^[0-9a-f]{12}$/);
+
+  await writeFile(file, JSON.stringify({ ...profile, competitors: [...profile.competitors, 'Guild Mortgage'] }));
+  const edited = await loadProfile(file);
+  assert.notEqual(edited.stamp.hash, first.stamp.hash);
+});
+
+test('loadProfile rejects broken JSON and lists every validation problem', async () => {
+  const file = path.join(dir, 'broken.json');
+  await writeFile(file, '{ "name": ');
+  await assert.rejects(loadProfile(file), /is not valid JSON/);
+
+  await writeFile(file, JSON.stringify({ ...profile, persona: '', priorities: [], sections: { ...profile.sections, worthReading: { min: 6, max: 5 } } }));
+  await assert.rejects(loadProfile(file), (error) => {
+    assert.match(error.message, /persona must be a non-empty string/);
+    assert.match(error.message, /priorities must be a non-empty list/);
+    assert.match(error.message, /sections.worthReading.min must be a whole number no greater than max/);
+    return true;
+  });
+});
+
+test('validateProfile checks optional lists and preferred sources', () => {
+  assert.deepEqual(validateProfile(null), ['profile must be a JSON object']);
+  assert.deepEqual(validateProfile({ ...profile, competitors: 'Rocket' }), ['competitors must be a list of strings']);
+  assert.deepEqual(validateProfile({ ...profile, preferredSources: { label: 'PM', sources: ['SVPG'], minInWorthReading: 9 } }),
+    ['preferredSources.minInWorthReading must not exceed sections.worthReading.max']);
+  const { preferredSources, roadmapThemes, disruptors, ...minimal } = profile;
+  assert.deepEqual(validateProfile(minimal), []);
+});
+
+test('prompt blocks are built from the profile', () => {
+  assert.equal(buildReaderContext(profile), [
+    'CONTEXT:',
+    '- You report to someone who owns the digital mortgage experience: online applications, servicing portal, mobile app',
+    '- Current priorities: digital self-service, digital originations, mobile app engagement, AI-driven process automation',
+    '- Roadmap themes: servicing retention, loss mitigation automation, borrower communication',
+    '- Key competitors: Rocket Mortgage, United Wholesale Mortgage, loanDepot, PennyMac',
+    '- Fintech disruptors: Better, Blend, Figure, Beeline, Tomo, ICE Mortgage Technology'
+  ].join('\n'));
+
+  const criteria = buildFilteringCriteria(profile);
+  assert.match(criteria, /^FILTERING CRITERIA/);
+  assert.match(criteria, /\n4\. Provides actionable intelligence for a digital product roadmap\n/);
+  assert.match(criteria, /Skip: generic market commentary, rate predictions, .*no useful summary\.$/);
+
+  const [insights, signals, reading] = buildSectionRules(profile);
+  assert.match(insights, /^top_insights: Exactly 3 /);
+  assert.match(signals, /^competitive_signals: 0-3\./);
+  assert.match(reading, /^worth_reading: 3-5 links\. Always include at least 1 product management article \(from SVPG, Teresa Torres, Lenny's Newsletter, Ethan Mollick, or similar/);
+});
+
+test('a different profile changes the prompt without code changes', () => {
+  const servicing = {
+    ...profile,
+    persona: 'a servicing operations director at a regional bank',
+    reader: undefined,
+    competitors: ['Mr. Cooper'],
+    disruptors: [],
+    skip: undefined,
+    sections: { topInsights: { max: 5 }, competitiveSignals: { max: 2 }, worthReading: { max: 2 } },
+    preferredSources: undefined
+  };
+  assert.deepEqual(validateProfile(servicing), []);
+  assert.doesNotMatch(buildReaderContext(servicing), /You report to|Fintech disruptors/);
+  assert.match(buildReaderContext(servicing), /Key competitors: Mr\. Cooper$/);
+  assert.doesNotMatch(buildFilteringCriteria(servicing), /Skip:/);
+  assert.deepEqual(buildSectionRules(servicing).map(rule => rule.split('.')[0]), [
+    'top_insights: Exactly 5 (or fewer if truly nothing qualifies)',
+    'competitive_signals: 0-2',
+    'worth_reading: 2 links'
+  ]);
+});
+
+test('capSections trims each section to its maximum', () => {
+  const digest = {
+    top_insights: [1, 2, 3, 4],
+    competitive_signals: [1],
+    worth_reading: [1, 2, 3, 4, 5, 6, 7]
+  };
+  assert.equal(capSections(digest, profile), 3);
+  assert.deepEqual(digest, { top_insights: [1, 2, 3], competitive_signals: [1], worth_reading: [1, 2, 3, 4, 5] });
+});
@@ -0,0 +1,70 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { loadRecipients, validateRecipients, groupByProfile } from '../recipients.js';
+
+const dir = await mkdtemp(path.join(tmpdir(), 'recipients-'));
+
+after(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const profiles = new Map([
+  ['digital-mortgage-pm', { name: 'digital-mortgage-pm' }],
+  ['servicing-lead', { name: 'servicing-lead' }],
+  ['exec-sponsor', { name: 'exec-sponsor' }]
+]);
+
+test('loadRecipients reads recipients.json', async () => {
+  const file = path.join(dir, 'recipients.json');
+  await writeFile(file, JSON.stringify({ recipients: [
+    { email: 'lead@example.com', name: 'Servicing lead', profile: 'servicing-lead' },
+    { email: 'pm@example.com', profile: 'digital-mortgage-pm' }
+  ] }));
+
+  assert.deepEqual(await loadRecipients(profiles, { file, env: { DIGEST_EMAIL: 'ignored@example.com' } }), [
+    { email: 'lead@example.com', name: 'Servicing lead', profile: 'servicing-lead' },
+    { email: 'pm@example.com', name: null, profile: 'digital-mortgage-pm' }
+  ]);
+});
+
+test('without recipients.json, DIGEST_EMAIL gets the default or DIGEST_PROFILE profile', async () => {
+  const file = path.join(dir, 'missing.json');
+  assert.deepEqual(await loadRecipients(profiles, { file, env: { DIGEST_EMAIL: 'a@example.com, b@example.com' } }), [
+    { email: 'a@example.com', name: null, profile: 'digital-mortgage-pm' },
+    { email: 'b@example.com', name: null, profile: 'digital-mortgage-pm' }
+  ]);
+  assert.equal((await loadRecipients(profiles, { file, env: { DIGEST_EMAIL: 'a@example.com', DIGEST_PROFILE: 'exec-sponsor' } }))[0].profile, 'exec-sponsor');
+  await assert.rejects(loadRecipients(profiles, { file, env: {} }), /No recipients/);
+});
+
+test('loadRecipients rejects broken files and unknown profiles', async () => {
+  const file = path.join(dir, 'broken.json');
+  await writeFile(file, '{ "recipients": [');
+  await assert.rejects(loadRecipients(profiles, { file, env: {} }), /could not be read/);
+
+  await writeFile(file, JSON.stringify({ recipients: [{ email: 'cfo@example.com', profile: 'cfo' }] }));
+  await assert.rejects(loadRecipients(profiles, { file, env: {} }), /recipients\[0\]\.profile "cfo" is not a known profile/);
+});
+
+test('validateRecipients checks addresses and the list itself', () => {
+  assert.deepEqual(validateRecipients([], profiles.keys()), ['recipients must be a non-empty list']);
+  assert.deepEqual(validateRecipients([{ email: 'not-an-address', profile: 'exec-sponsor' }], profiles.keys()),
+    ['recipients[0].email is not an email address']);
+});
+
+test('groupByProfile makes one audience per subscribed profile, without duplicate addresses', () => {
+  const audiences = groupByProfile([
+    { email: 'lead@example.com', profile: 'servicing-lead' },
+    { email: 'pm@example.com', profile: 'digital-mortgage-pm' },
+    { email: 'Lead@example.com', profile: 'servicing-lead' },
+    { email: 'lead@example.com', profile: 'digital-mortgage-pm' }
+  ], profiles);
+
+  assert.deepEqual(audiences.map(a => [a.profile.name, a.recipients.map(r => r.email)]), [
+    ['digital-mortgage-pm', ['pm@example.com', 'lead@example.com']],
+    ['servicing-lead', ['lead@example.com']]
+  ]);
+});
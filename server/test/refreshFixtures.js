@@ -0,0 +1,46 @@
+/**
+ * Refresh scraper/feed fixtures from the live pages and regenerate snapshots
+ *
+ * Usage:
+ *   npm run fixtures:refresh                  # download live pages, then rewrite snapshots
+ *   npm run fixtures:refresh -- --snapshots   # rewrite snapshots from the saved fixtures only
+ *
+ * Review the snapshot diff before committing: a changed snapshot after a
+ * refresh means the site's markup changed under the scraper.
+ */
+
+import { writeFile, mkdir } from 'fs/promises';
+import { loadFixtureSources, parseFixture, FIXTURE_DIR, SNAPSHOT_DIR } from './harness.js';
+import { politeFetch } from '../httpClient.js';
+
+const snapshotsOnly = process.argv.includes('--snapshots');
+
+async function refresh() {
+  await mkdir(FIXTURE_DIR, { recursive: true });
+  await mkdir(SNAPSHOT_DIR, { recursive: true });
+
+  for (const fixture of await loadFixtureSources()) {
+    const { source, kind, fixturePath, snapshotPath } = fixture;
+
+    if (!snapshotsOnly) {
+      const url = kind === 'scrape' ? source.url : source.rss;
+      try {
+        const response = await politeFetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        await writeFile(fixturePath, await response.text(), 'utf8');
+        console.log(`[Fixtures] ${source.name}: saved ${url}`);
+      } catch (error) {
+        console.error(`[Fixtures] ${source.name}: keeping existing fixture (${error.message})`);
+      }
+    }
+
+    const articles = await parseFixture(fixture);
+    await writeFile(snapshotPath, JSON.stringify(articles, null, 2) + '\n', 'utf8');
+    console.log(`[Fixtures] ${source.name}: snapshot has ${articles.length} articles`);
+  }
+
+  // Exit explicitly once done, in case a pool or timer is still open
+  process.exit(0);
+}
+
+refresh();
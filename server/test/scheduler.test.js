@@ -0,0 +1,91 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Watermarks and articles live in a throwaway local store; a digest holds at most 3 articles here
+const tmp = await mkdtemp(path.join(tmpdir(), 'digest-window-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(tmp, 'store.json');
+process.env.DIGEST_MAX_ARTICLES = '3';
+delete process.env.DIGEST_MAX_WINDOW_DAYS;
+
+const { getDigestWindow, getWindowArticles, commitDigestWindow } = await import('../scheduler.js');
+const { saveArticle, getArticleById, getPipelineState, setPipelineState } = await import('../db.js');
+
+after(async () => {
+  await rm(tmp, { recursive: true, force: true });
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const END = new Date('2026-10-19T10:30:00.000Z');
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Saved one at a time so each has its own savedAt
+async function saveArticles(prefix, count) {
+  const saved = [];
+  for (let i = 1; i <= count; i++) {
+    saved.push(await saveArticle({ title: `${prefix} ${i}`, link: `https://example.com/${prefix}/${i}`, source: 'HousingWire', pubDate: new Date().toISOString() }));
+    await sleep(5);
+  }
+  return saved;
+}
+
+test('the first run with no watermark covers the last 24 hours', async () => {
+  const window = await getDigestWindow('first-run', END);
+  assert.deepEqual(window, { start: '2026-10-18T10:30:00.000Z', end: END.toISOString(), days: 1, capped: false });
+});
+
+test('a multi-day gap covers everything since the watermark', async () => {
+  await setPipelineState('digest_covered_through:weekend', new Date(END - 3 * DAY_MS).toISOString());
+  const window = await getDigestWindow('weekend', END);
+  assert.equal(window.start, '2026-10-16T10:30:00.000Z');
+  assert.equal(window.days, 3);
+  assert.equal(window.capped, false);
+});
+
+test('a window older than DIGEST_MAX_WINDOW_DAYS is capped at 7 days', async () => {
+  await setPipelineState('digest_covered_through:stale', new Date(END - 12 * DAY_MS).toISOString());
+  const window = await getDigestWindow('stale', END);
+  assert.equal(window.start, '2026-10-12T10:30:00.000Z');
+  assert.equal(window.days, 7);
+  assert.equal(window.capped, true);
+});
+
+test('a backlog past DIGEST_MAX_ARTICLES is cut at the last article included', async () => {
+  const start = new Date(Date.now() - 1000).toISOString();
+  const saved = await saveArticles('backlog', 5);
+  const end = new Date(Date.now() + 1000);
+
+  const first = await getWindowArticles({ start, end: end.toISOString(), days: 0, capped: false });
+  assert.deepEqual(first.articles.map(a => a.id), saved.slice(0, 3).map(a => a.id));
+  assert.equal(first.window.truncated, true);
+  assert.equal(first.window.end, first.articles[2].savedAt.toISOString());
+
+  // The next digest starts where this one stopped and picks up the rest
+  const next = await getWindowArticles({ start: first.window.end, end: end.toISOString(), days: 0, capped: false });
+  assert.deepEqual(next.articles.map(a => a.id), saved.slice(3).map(a => a.id));
+  assert.equal(next.window.truncated, undefined);
+});
+
+test('the watermark does not advance when an email fails', async () => {
+  const start = new Date().toISOString();
+  await setPipelineState('digest_covered_through:failing', start);
+  await sleep(5);
+  const undelivered = await saveArticles('undelivered', 2);
+  const { window } = await getWindowArticles(await getDigestWindow('failing', new Date()));
+
+  assert.equal(await commitDigestWindow('failing', window, undelivered, { failed: 1, error: null }), false);
+  assert.equal(await commitDigestWindow('failing', window, undelivered, { failed: 0, error: 'Claude API error' }), false);
+  assert.equal(await getPipelineState('digest_covered_through:failing'), start);
+  for (const { id } of undelivered) assert.equal((await getArticleById(id)).includedInDigestAt, null);
+
+  // The retry covers the same window again, and delivering it moves the watermark
+  const retry = await getDigestWindow('failing', new Date());
+  assert.equal(retry.start, start);
+  assert.deepEqual((await getWindowArticles(retry)).articles.map(a => a.id), undelivered.map(a => a.id));
+  assert.equal(await commitDigestWindow('failing', retry, undelivered, { failed: 0, error: null }), true);
+  assert.equal(await getPipelineState('digest_covered_through:failing'), retry.end);
+  for (const { id } of undelivered) assert.equal((await getArticleById(id)).includedInDigestAt.toISOString(), retry.end);
+});
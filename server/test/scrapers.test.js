@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { loadFixtureSources, parseFixture, FETCH_TIME } from './harness.js';
+import { parseScrapedDate } from '../newsroomScraper.js';
+
+const fixtures = (await loadFixtureSources()).filter(f => f.kind === 'scrape');
+
+for (const fixture of fixtures) {
+  test(`${fixture.source.name} matches snapshot`, async () => {
+    const articles = await parseFixture(fixture);
+    const snapshot = JSON.parse(await readFile(fixture.snapshotPath, 'utf8'));
+    assert.deepEqual(articles, snapshot);
+  });
+}
+
+test('Rocket scraper resolves relative links, reads dates and skips duplicates and index links', async () => {
+  const articles = await parseFixture(fixtures.find(f => f.source.name === 'Rocket Companies Newsroom'));
+
+  assert.deepEqual(articles.map(a => a.link), [
+    'https://rocketcompanies.com/press-release/rocket-companies-announces-fourth-quarter-2025-results/',
+    'https://rocketcompanies.com/press-release/rocket-mortgage-launches-bridge-loans/',
+    'https://rocketcompanies.com/press-release/mr-cooper-servicing-integration-milestone/'
+  ]);
+  assert.equal(articles[0].pubDate, '2026-02-12T00:00:00.000Z');
+  assert.equal(articles[2].pubDate, '2026-01-21T00:00:00.000Z');
+});
+
+test('Blend scraper keeps press and blog links and takes card headlines', async () => {
+  const articles = await parseFixture(fixtures.find(f => f.source.name === 'Blend Newsroom'));
+
+  assert.equal(articles.length, 3);
+  assert.equal(articles[0].title, 'Blend Launches Rapid Refi to Cut Refinance Cycle Times for Credit Unions');
+  assert.equal(articles[1].title, 'Blend and Regional Bank Expand Digital Mortgage Partnership');
+  assert.ok(articles.every(a => a.pubDate === FETCH_TIME));
+  assert.ok(!articles.some(a => a.link.includes('/company/about/')));
+});
+
+test('ICE scraper filters to mortgage rows and parses table dates', async () => {
+  const articles = await parseFixture(fixtures.find(f => f.source.name === 'ICE Mortgage Technology'));
+
+  assert.ok(articles.every(a => /mortgage/i.test(a.title)));
+  assert.ok(!articles.some(a => a.title.includes('Futures')));
+  assert.equal(articles[0].link, 'https://www.ice.com/news/2026/02/11/ice-mortgage-monitor-february');
+  assert.equal(articles[0].pubDate, '2026-02-11T00:00:00.000Z');
+});
+
+test('parseScrapedDate handles token formats and rejects garbage', () => {
+  assert.equal(parseScrapedDate('02/11/2026', 'MM/DD/YYYY'), '2026-02-11T00:00:00.000Z');
+  assert.equal(parseScrapedDate('Posted Feb. 3, 2026', 'MMM D, YYYY'), '2026-02-03T00:00:00.000Z');
+  assert.equal(parseScrapedDate('February 3, 2026', 'MMMM D, YYYY'), '2026-02-03T00:00:00.000Z');
+  assert.equal(parseScrapedDate('2026-02-03', 'YYYY-MM-DD'), '2026-02-03T00:00:00.000Z');
+  assert.equal(parseScrapedDate('not a date', 'MM/DD/YYYY'), null);
+  assert.equal(parseScrapedDate('', 'auto'), null);
+});
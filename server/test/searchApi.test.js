@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSearchParams } from '../searchApi.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+test('parseSearchParams applies defaults', () => {
+  assert.deepEqual(parseSearchParams({ q: '  servicing AI ' }, NOW), {
+    options: {
+      query: 'servicing AI',
+      entityIds: [],
+      source: null,
+      category: null,
+      startDate: null,
+      endDate: null,
+      includeFiltered: false,
+      sort: 'relevance',
+      page: 1,
+      pageSize: 20
+    }
+  });
+});
+
+test('parseSearchParams turns days into a start date and caps pageSize', () => {
+  const { options } = parseSearchParams({ q: 'rocket', days: '60', pageSize: '500', page: '3', sort: 'date', includeFiltered: 'true' }, NOW);
+  assert.equal(options.startDate, '2026-08-20T12:00:00.000Z');
+  assert.equal(options.pageSize, 100);
+  assert.equal(options.page, 3);
+  assert.equal(options.sort, 'date');
+  assert.equal(options.includeFiltered, true);
+
+  const explicit = parseSearchParams({ q: 'rocket', days: '60', from: '2026-01-01', to: '2026-02-01' }, NOW).options;
+  assert.equal(explicit.startDate, '2026-01-01');
+  assert.equal(explicit.endDate, '2026-02-01');
+});
+
+test('parseSearchParams rejects bad input', () => {
+  assert.deepEqual(parseSearchParams({}, NOW), { error: 'q or entity is required' });
+  assert.deepEqual(parseSearchParams({ q: 'x', from: '10/01/2026' }, NOW), { error: 'from must be YYYY-MM-DD' });
+  assert.deepEqual(parseSearchParams({ q: 'x', days: 'soon' }, NOW), { error: 'days must be a positive number' });
+  assert.deepEqual(parseSearchParams({ q: 'x', sort: 'newest' }, NOW), { error: 'sort must be relevance or date' });
+  assert.deepEqual(parseSearchParams({ q: 'x', page: '0' }, NOW), { error: 'page must be 1 or more' });
+});
+
+test('parseSearchParams expands an entity to its family unless children=false', () => {
+  const entities = [
+    { id: 'rocket-companies', name: 'Rocket Companies' },
+    { id: 'mr-cooper', name: 'Mr. Cooper', parent: 'rocket-companies' },
+    { id: 'loandepot', name: 'loanDepot' }
+  ];
+  const { options } = parseSearchParams({ entity: 'rocket-companies', from: '2026-10-01' }, NOW, entities);
+  assert.equal(options.query, null);
+  assert.deepEqual(options.entityIds, ['rocket-companies', 'mr-cooper']);
+  assert.deepEqual(parseSearchParams({ entity: 'rocket-companies', children: 'false' }, NOW, entities).options.entityIds, ['rocket-companies']);
+  assert.deepEqual(parseSearchParams({ entity: 'nobody' }, NOW, entities), { error: 'unknown entity: nobody' });
+});
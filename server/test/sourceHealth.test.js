@@ -0,0 +1,101 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+
+// Health records go to a throwaway local store; thresholds are the defaults (flag at 3, quarantine at 7 for 24h)
+const tmp = await mkdtemp(path.join(tmpdir(), 'source-health-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(tmp, 'store.json');
+delete process.env.SOURCE_FLAG_AFTER;
+delete process.env.SOURCE_QUARANTINE_AFTER;
+delete process.env.SOURCE_QUARANTINE_HOURS;
+
+const { recordSourceResult, isQuarantined, getSourceProblems } = await import('../sourceHealth.js');
+const { getSourceHealth, recordSourceRun } = await import('../db.js');
+
+after(async () => {
+  await rm(tmp, { recursive: true, force: true });
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+const failures = async (source, count, result = { httpStatus: 500, itemCount: 0, error: 'HTTP 500' }) => {
+  for (let i = 0; i < count; i++) await recordSourceResult(source, result);
+};
+
+test('a 304 counts as healthy and a run with zero items as a failure', async () => {
+  await recordSourceResult('Conditional', { httpStatus: 304, itemCount: 0 });
+  let health = await getSourceHealth('Conditional');
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(health.status, 'ok');
+  assert.ok(health.lastOkAt);
+
+  await recordSourceResult('Conditional', { httpStatus: 200, itemCount: 0 });
+  health = await getSourceHealth('Conditional');
+  assert.equal(health.consecutiveFailures, 1);
+  assert.equal(health.lastError, 'no items returned');
+});
+
+test('a source is flagged at SOURCE_FLAG_AFTER consecutive failures', async () => {
+  await failures('Flaky', 2);
+  assert.equal((await getSourceHealth('Flaky')).status, 'ok');
+
+  await failures('Flaky', 1);
+  const health = await getSourceHealth('Flaky');
+  assert.equal(health.status, 'flagged');
+  assert.equal(health.consecutiveFailures, 3);
+  assert.equal(health.quarantinedUntil, null);
+  assert.equal(await isQuarantined('Flaky'), false);
+  assert.deepEqual((await getSourceProblems()).find(p => p.source === 'Flaky'),
+    { source: 'Flaky', status: 'flagged', consecutiveFailures: 3, lastError: 'HTTP 500', lastOkAt: null });
+});
+
+test('a source is quarantined at SOURCE_QUARANTINE_AFTER failures until the expiry', async () => {
+  await failures('Broken', 6);
+  assert.equal(await isQuarantined('Broken'), false);
+
+  const before = Date.now();
+  await failures('Broken', 1);
+  const health = await getSourceHealth('Broken');
+  assert.equal(health.status, 'quarantined');
+  assert.equal(health.consecutiveFailures, 7);
+  const expiresIn = new Date(health.quarantinedUntil).getTime() - before;
+  assert.ok(expiresIn >= 24 * HOUR_MS && expiresIn < 24 * HOUR_MS + 60 * 1000, `expires in ${expiresIn}ms`);
+  assert.equal(await isQuarantined('Broken'), true);
+});
+
+test('a quarantined source is probed again once the quarantine expires', async () => {
+  await recordSourceRun(
+    { source: 'Expired', ok: false, error: 'HTTP 500' },
+    { consecutiveFailures: 7, status: 'quarantined', quarantinedUntil: new Date(Date.now() - HOUR_MS).toISOString() }
+  );
+  assert.equal(await isQuarantined('Expired'), false);
+
+  // The probe fails: straight back into quarantine with a fresh expiry
+  await failures('Expired', 1);
+  const health = await getSourceHealth('Expired');
+  assert.equal(health.consecutiveFailures, 8);
+  assert.equal(await isQuarantined('Expired'), true);
+});
+
+test('a successful run resets the counter and clears the quarantine', async () => {
+  await failures('Recovering', 7);
+  assert.equal(await isQuarantined('Recovering'), true);
+
+  await recordSourceResult('Recovering', { httpStatus: 200, itemCount: 5, latencyMs: 80 });
+  const health = await getSourceHealth('Recovering');
+  assert.equal(health.consecutiveFailures, 0);
+  assert.equal(health.status, 'ok');
+  assert.equal(health.quarantinedUntil, null);
+  assert.equal(health.lastError, null);
+  assert.equal(await isQuarantined('Recovering'), false);
+  assert.equal((await getSourceProblems()).some(p => p.source === 'Recovering'), false);
+
+  await failures('Recovering', 1);
+  assert.equal((await getSourceHealth('Recovering')).consecutiveFailures, 1);
+});
+
+test('unknown sources are not quarantined', async () => {
+  assert.equal(await isQuarantined('Never Run'), false);
+});
@@ -0,0 +1,325 @@
+import { describe, test, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import pkg from 'pg';
+import { createStore } from '../storage/index.js';
+import { createLocalStore } from '../storage/local.js';
+import { runMigrations } from '../migrator.js';
+import { readArticleArchive, archiveFileName } from '../articleArchive.js';
+
+const { Pool } = pkg;
+
+const tmp = await mkdtemp(path.join(tmpdir(), 'local-store-'));
+const pgPool = process.env.TEST_DATABASE_URL ? new Pool({ connectionString: process.env.TEST_DATABASE_URL }) : null;
+
+after(async () => {
+  await rm(tmp, { recursive: true, force: true });
+  if (pgPool) await pgPool.end();
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+const article = (overrides = {}) => ({
+  title: 'Lender expands servicing portfolio',
+  link: `https://example.com/${Math.random().toString(36).slice(2)}`,
+  pubDate: daysAgo(1).toISOString(),
+  source: 'Alpha News',
+  category: 'Industry',
+  summary: 'A summary',
+  originalContent: 'Full text about mortgage servicing rights.',
+  ...overrides
+});
+
+/**
+ * Behaviour every store must share. `open` returns a fresh, empty store.
+ */
+function storeContract(name, open, { skip = false } = {}) {
+  describe(`${name} store`, { skip }, () => {
+    let store;
+    let fileCount = 0;
+
+    beforeEach(async () => {
+      store = await open(++fileCount);
+    });
+
+    test('saveArticle assigns an id and getArticleById returns the stored article', async () => {
+      const input = article({ title: 'Rates fall', pubDate: '2026-10-01T12:00:00.000Z', imageUrl: undefined });
+      const saved = await store.saveArticle(input);
+      assert.equal(saved, input);
+      assert.ok(Number.isInteger(input.id));
+
+      const found = await store.getArticleById(input.id);
+      assert.equal(found.title, 'Rates fall');
+      assert.equal(found.link, input.link);
+      assert.equal(found.source, 'Alpha News');
+      assert.equal(found.type, 'article');
+      assert.equal(found.imageUrl, null);
+      assert.equal(found.hasFullContent, false);
+      assert.equal(found.filteredReason, null);
+      assert.equal(found.includedInDigestAt, null);
+      assert.ok(found.pubDate instanceof Date);
+      assert.equal(found.pubDate.toISOString(), '2026-10-01T12:00:00.000Z');
+      assert.ok(found.savedAt instanceof Date);
+    });
+
+    test('getArticleById returns null for an unknown id', async () => {
+      assert.equal(await store.getArticleById(999999), null);
+    });
+
+    test('saving a known link updates content but keeps id, source and pubDate', async () => {
+      const first = article({ pubDate: daysAgo(3).toISOString() });
+      await store.saveArticle(first);
+      const second = { ...article({ link: first.link, source: 'Other', pubDate: daysAgo(1).toISOString() }),
+        title: 'Updated title', hasFullContent: true, contentHtml: '<p>Full</p>', contentSource: 'readability' };
+      await store.saveArticle(second);
+
+      assert.equal(second.id, first.id);
+      const found = await store.getArticleById(first.id);
+      assert.equal(found.title, 'Updated title');
+      assert.equal(found.hasFullContent, true);
+      assert.equal(found.contentHtml, '<p>Full</p>');
+      assert.equal(found.source, 'Alpha News');
+      assert.equal(found.pubDate.toISOString(), new Date(first.pubDate).toISOString());
+      assert.equal((await store.getArticles()).length, 1);
+    });
+
+    test('saveArticle rejects an invalid publication date', async () => {
+      await assert.rejects(store.saveArticle(article({ pubDate: 'not a date' })));
+    });
+
+    test('getArticles returns newest first and applies filters', async () => {
+      await store.saveArticle(article({ title: 'Old', pubDate: '2026-09-01T08:00:00.000Z', source: 'Beta Wire', category: 'Rates' }));
+      await store.saveArticle(article({ title: 'Middle', pubDate: '2026-09-15T23:30:00.000Z', entities: [{ id: 'uwm', mentions: 2, inTitle: false }] }));
+      await store.saveArticle(article({ title: 'New', pubDate: '2026-09-20T08:00:00.000Z', filteredReason: 'keyword: webinar',
+        summary: 'Forbearance update', originalContent: 'Forbearance plans extended.' }));
+
+      const titles = (articles) => articles.map(a => a.title);
+      assert.deepEqual(titles(await store.getArticles()), ['New', 'Middle', 'Old']);
+      assert.deepEqual(titles(await store.getArticles({ source: 'Beta Wire' })), ['Old']);
+      assert.deepEqual(titles(await store.getArticles({ category: 'Industry' })), ['New', 'Middle']);
+      assert.deepEqual(titles(await store.getArticles({ startDate: '2026-09-10', endDate: '2026-09-15' })), ['Middle']);
+      assert.deepEqual(titles(await store.getArticles({ excludeFiltered: true })), ['Middle', 'Old']);
+      assert.deepEqual(titles(await store.getArticles({ notInDigest: true })), ['New', 'Middle', 'Old']);
+      assert.deepEqual(titles(await store.getArticles({ keyword: 'forbearance' })), ['New']);
+      assert.deepEqual(titles(await store.getArticles({ keyword: 'servicing rights' })), ['Middle', 'Old']);
+      assert.deepEqual(titles(await store.getArticles({ entityIds: ['uwm', 'blend'] })), ['Middle']);
+      assert.deepEqual((await store.getArticles({ entityIds: ['uwm'] }))[0].entityIds, ['uwm']);
+      assert.deepEqual(titles(await store.getArticles({ savedAfter: daysAgo(1).toISOString() })), ['New', 'Middle', 'Old']);
+      assert.deepEqual(titles(await store.getArticles({ savedBefore: daysAgo(1).toISOString() })), []);
+    });
+
+    test('getArticles returns at most 100 articles unless given a limit', async () => {
+      for (let i = 0; i < 105; i++) {
+        await store.saveArticle(article({ title: `Item ${i}`, pubDate: daysAgo(i + 1).toISOString() }));
+      }
+      const articles = await store.getArticles();
+      assert.equal(articles.length, 100);
+      assert.equal(articles[0].title, 'Item 0');
+      assert.equal((await store.getArticles({ limit: 500 })).length, 105);
+      assert.deepEqual((await store.getArticles({ limit: 2 })).map(a => a.title), ['Item 0', 'Item 1']);
+    });
+
+    test('getArticles with order: saved lists articles in the order they were first seen', async () => {
+      await store.saveArticle(article({ title: 'Seen first', pubDate: daysAgo(1).toISOString() }));
+      await store.saveArticle(article({ title: 'Seen second', pubDate: daysAgo(5).toISOString() }));
+      await store.saveArticle(article({ title: 'Seen third', pubDate: daysAgo(3).toISOString() }));
+      const titles = (articles) => articles.map(a => a.title);
+      assert.deepEqual(titles(await store.getArticles({ order: 'saved' })), ['Seen first', 'Seen second', 'Seen third']);
+      assert.deepEqual(titles(await store.getArticles({ order: 'saved', limit: 2 })), ['Seen first', 'Seen second']);
+    });
+
+    test('getSources lists each source once, sorted', async () => {
+      await store.saveArticle(article({ source: 'Beta Wire' }));
+      await store.saveArticle(article({ source: 'Alpha News' }));
+      await store.saveArticle(article({ source: 'Beta Wire' }));
+      assert.deepEqual(await store.getSources(), ['Alpha News', 'Beta Wire']);
+    });
+
+    test('cleanOldArticles trims full text, then archives and deletes the oldest articles', async () => {
+      const archiveDir = path.join(tmp, `archive-${name.replace(/\W+/g, '-')}-${fileCount}`);
+      const policy = { trimAfterDays: 90, archiveAfterDays: 365, archiveDir };
+      const recent = article({ pubDate: daysAgo(89).toISOString(), contentHtml: '<p>Recent</p>' });
+      const old = article({ pubDate: daysAgo(91).toISOString(), contentHtml: '<p>Old</p>', summary: 'Old summary' });
+      const expired = article({ title: 'Expired', pubDate: daysAgo(400).toISOString(), entities: [{ id: 'uwm', mentions: 3, inTitle: true }] });
+      for (const a of [recent, old, expired]) await store.saveArticle(a);
+
+      assert.deepEqual(await store.cleanOldArticles(policy), { trimmed: 2, archived: 1 });
+
+      const kept = await store.getArticleById(recent.id);
+      assert.equal(kept.contentHtml, '<p>Recent</p>');
+      assert.equal(kept.contentTrimmedAt, null);
+
+      const trimmed = await store.getArticleById(old.id);
+      assert.equal(trimmed.contentHtml, null);
+      assert.equal(trimmed.originalContent, null);
+      assert.equal(trimmed.summary, 'Old summary');
+      assert.ok(trimmed.contentTrimmedAt instanceof Date);
+
+      assert.equal(await store.getArticleById(expired.id), null);
+      const record = await store.getArchivedArticle(expired.id);
+      assert.equal(record.title, 'Expired');
+      assert.equal(record.link, expired.link);
+      assert.equal(record.source, 'Alpha News');
+      assert.equal(record.archiveFile, archiveFileName(expired.pubDate));
+
+      const archived = await readArticleArchive(record.archiveFile, archiveDir);
+      assert.deepEqual(archived.map(a => [a.id, a.title, a.entityIds]), [[expired.id, 'Expired', ['uwm']]]);
+      assert.equal(await store.getArchivedArticle(recent.id), null);
+
+      assert.deepEqual(await store.cleanOldArticles(policy), { trimmed: 0, archived: 0 });
+    });
+
+    test('saving a trimmed article again restores its full text', async () => {
+      const input = article({ pubDate: daysAgo(100).toISOString(), contentHtml: '<p>Body</p>' });
+      await store.saveArticle(input);
+      await store.cleanOldArticles({ trimAfterDays: 90, archiveAfterDays: 365, archiveDir: tmp });
+      await store.saveArticle({ ...input });
+
+      const found = await store.getArticleById(input.id);
+      assert.equal(found.contentHtml, '<p>Body</p>');
+      assert.equal(found.contentTrimmedAt, null);
+    });
+
+    test('a trimmed article still matches keywords in its title and summary', async () => {
+      const input = article({ pubDate: daysAgo(100).toISOString(), summary: 'Forbearance requests climb', originalContent: 'Escrow shortages widen.' });
+      await store.saveArticle(input);
+      await store.cleanOldArticles({ trimAfterDays: 90, archiveAfterDays: 365, archiveDir: tmp });
+
+      assert.deepEqual((await store.getArticles({ keyword: 'forbearance' })).map(a => a.id), [input.id]);
+      assert.deepEqual((await store.getArticles({ keyword: 'servicing portfolio' })).map(a => a.id), [input.id]);
+      assert.deepEqual(await store.getArticles({ keyword: 'escrow' }), []);
+      assert.deepEqual(await store.getArticles({ keyword: 'null' }), []);
+    });
+
+    test('fetch state is upserted per source', async () => {
+      assert.equal(await store.getFetchState('Alpha News'), null);
+      await store.saveFetchState('Alpha News', { etag: '"v1"', lastStatus: 200, lastItemDate: '2026-10-18T09:00:00.000Z', itemGuids: ['a', 'b'] });
+      await store.saveFetchState('Alpha News', { etag: '"v2"', lastStatus: 200, lastItemDate: '2026-10-19T09:00:00.000Z', itemGuids: ['c'] });
+
+      const state = await store.getFetchState('Alpha News');
+      assert.equal(state.etag, '"v2"');
+      assert.equal(state.lastModified, null);
+      assert.equal(new Date(state.lastItemDate).toISOString(), '2026-10-19T09:00:00.000Z');
+      assert.deepEqual(state.itemGuids, ['c']);
+      assert.equal(await store.getFetchState('Beta Wire'), null);
+    });
+
+    test('stories link their articles and pick the canonical one', async () => {
+      const first = article({ pubDate: daysAgo(2).toISOString(), originalContent: 'Twelve chars' });
+      const second = article({ source: 'Beta Wire', pubDate: daysAgo(1).toISOString() });
+      const filtered = article({ pubDate: daysAgo(1).toISOString(), filteredReason: 'keyword: webinar' });
+      for (const a of [first, second, filtered]) await store.saveArticle(a);
+
+      const candidates = await store.getClusterCandidates(daysAgo(3));
+      assert.deepEqual(candidates.map(c => c.id), [first.id, second.id]);
+      assert.equal(candidates[0].contentLength, 12);
+      assert.equal(candidates[0].storyId, null);
+
+      const storyId = await store.saveStory(null, second.id, [first.id, second.id]);
+      assert.ok(Number.isInteger(storyId));
+      assert.deepEqual((await store.getStoryArticles(storyId)).map(a => a.id), [first.id, second.id]);
+      assert.equal((await store.getArticleById(first.id)).isCanonical, false);
+      assert.equal((await store.getArticleById(second.id)).isCanonical, true);
+
+      assert.equal(await store.saveStory(storyId, first.id, [first.id, second.id]), storyId);
+      assert.equal((await store.getArticleById(first.id)).isCanonical, true);
+      assert.equal((await store.getClusterCandidates(daysAgo(3)))[1].storyId, storyId);
+    });
+
+    test('source runs update the rolling health record', async () => {
+      await store.recordSourceRun({ source: 'Beta Wire', ok: true, httpStatus: 200, itemCount: 4, latencyMs: 120 }, { consecutiveFailures: 0, status: 'ok' });
+      const until = new Date(Date.now() + 60 * 60 * 1000);
+      await store.recordSourceRun({ source: 'Alpha News', ok: false, httpStatus: 500, error: 'HTTP 500' }, { consecutiveFailures: 7, status: 'quarantined', quarantinedUntil: until.toISOString() });
+
+      const health = await store.getSourceHealth('Alpha News');
+      assert.equal(health.status, 'quarantined');
+      assert.equal(health.consecutiveFailures, 7);
+      assert.equal(new Date(health.quarantinedUntil).getTime(), until.getTime());
+      assert.equal(health.lastError, 'HTTP 500');
+      assert.equal(health.lastOkAt, null);
+      assert.deepEqual((await store.getAllSourceHealth()).map(h => h.source), ['Alpha News', 'Beta Wire']);
+
+      await store.recordSourceRun({ source: 'Beta Wire', ok: false, error: 'no items returned' }, { consecutiveFailures: 1, status: 'ok' });
+      const beta = await store.getSourceHealth('Beta Wire');
+      assert.ok(beta.lastOkAt, 'a failed run keeps the last success time');
+      assert.equal(beta.lastItemCount, 0);
+      assert.equal(await store.getSourceHealth('Gamma'), null);
+      assert.deepEqual(await store.pruneSourceRuns(30), { removed: 0 });
+    });
+
+    test('filtered article counts are grouped by source and reason', async () => {
+      await store.saveArticle(article({ filteredReason: 'keyword: webinar' }));
+      await store.saveArticle(article({ filteredReason: 'keyword: webinar' }));
+      await store.saveArticle(article({ filteredReason: 'keyword: podcast' }));
+      await store.saveArticle(article({ source: 'Beta Wire', filteredReason: 'keyword: webinar' }));
+      await store.saveArticle(article());
+
+      assert.deepEqual(await store.getFilterCounts(daysAgo(1)), [
+        { source: 'Alpha News', reason: 'keyword: webinar', count: 2 },
+        { source: 'Alpha News', reason: 'keyword: podcast', count: 1 },
+        { source: 'Beta Wire', reason: 'keyword: webinar', count: 1 }
+      ]);
+    });
+
+    test('digest marks and pipeline state persist', async () => {
+      const input = article();
+      await store.saveArticle(input);
+      assert.deepEqual(await store.markArticlesInDigest([input.id], '2026-10-19T10:30:00.000Z'), { marked: 1 });
+      assert.deepEqual(await store.markArticlesInDigest([]), { marked: 0 });
+      assert.deepEqual((await store.getArticles({ notInDigest: true })).map(a => a.id), []);
+      assert.equal(new Date((await store.getArticleById(input.id)).includedInDigestAt).toISOString(), '2026-10-19T10:30:00.000Z');
+
+      assert.equal(await store.getPipelineState('digest_covered_through'), null);
+      await store.setPipelineState('digest_covered_through', '2026-10-19T10:30:00.000Z');
+      await store.setPipelineState('digest_covered_through', '2026-10-20T10:30:00.000Z');
+      assert.equal(await store.getPipelineState('digest_covered_through'), '2026-10-20T10:30:00.000Z');
+    });
+
+    test('market series observations are upserted by date', async () => {
+      assert.equal(await store.getLatestSeriesDate('MORTGAGE30US'), null);
+      assert.deepEqual(await store.saveSeriesObservations('MORTGAGE30US', []), { saved: 0 });
+      await store.saveSeriesObservations('MORTGAGE30US', [{ date: '2026-10-09', value: 6.3 }, { date: '2026-10-16', value: 6.2 }]);
+      await store.saveSeriesObservations('MORTGAGE30US', [{ date: '2026-10-16', value: 6.25 }]);
+
+      assert.equal(await store.getLatestSeriesDate('MORTGAGE30US'), '2026-10-16');
+      assert.deepEqual(await store.getSeriesHistory('MORTGAGE30US'), [{ date: '2026-10-16', value: 6.25 }, { date: '2026-10-09', value: 6.3 }]);
+      assert.deepEqual(await store.getSeriesHistory('MORTGAGE30US', 1), [{ date: '2026-10-16', value: 6.25 }]);
+      assert.deepEqual(await store.getSeriesHistory('OTHER'), []);
+    });
+  });
+}
+
+storeContract('local (memory)', () => createLocalStore());
+
+storeContract('local (file)', (n) => createStore({ backend: 'local', file: path.join(tmp, `store-${n}.json`) }));
+
+storeContract('postgres', async () => {
+  await runMigrations({ pool: pgPool });
+  await pgPool.query(`TRUNCATE articles, archived_articles, stories, source_fetch_state, source_runs, source_health, pipeline_state, market_series
+    RESTART IDENTITY CASCADE`);
+  return createStore({ backend: 'postgres', pool: pgPool });
+}, { skip: !pgPool && 'set TEST_DATABASE_URL to run against Postgres' });
+
+test('local file store keeps articles across restarts', async () => {
+  const file = path.join(tmp, 'restart', 'store.json');
+  const saved = article({ entities: [{ id: 'blend', mentions: 1, inTitle: true }] });
+  await createLocalStore({ file }).saveArticle(saved);
+
+  const reopened = createLocalStore({ file });
+  assert.equal((await reopened.getArticleById(saved.id)).link, saved.link);
+  assert.deepEqual((await reopened.getArticles({ entityIds: ['blend'] })).map(a => a.id), [saved.id]);
+
+  const next = article();
+  await reopened.saveArticle(next);
+  assert.equal(next.id, saved.id + 1);
+});
+
+test('both backends provide the same functions', () => {
+  assert.deepEqual(Object.keys(createStore({ backend: 'postgres', pool: {} })).sort(), Object.keys(createLocalStore()).sort());
+});
+
+test('createStore rejects an unknown backend', () => {
+  assert.throws(() => createStore({ backend: 'sqlite' }), /Unknown storage backend "sqlite"/);
+});
@@ -0,0 +1,124 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { FIXTURE_DIR } from './harness.js';
+
+// Clustering runs against a throwaway local store seeded from cluster-articles.json
+const tmp = await mkdtemp(path.join(tmpdir(), 'story-cluster-'));
+process.env.STORAGE_BACKEND = 'local';
+process.env.LOCAL_STORE_PATH = path.join(tmp, 'store.json');
+
+const { clusterRecentArticles, pickCanonical, collapseStories } = await import('../storyClusterer.js');
+const { saveArticle, saveStory, getArticleById } = await import('../db.js');
+
+const HOUR_MS = 60 * 60 * 1000;
+const ids = {};
+let preexisting;
+
+before(async () => {
+  const fixtures = JSON.parse(await readFile(`${FIXTURE_DIR}/cluster-articles.json`, 'utf8'));
+  for (const { key, hoursAgo, ...article } of fixtures) {
+    const saved = await saveArticle({ ...article, pubDate: new Date(Date.now() - hoursAgo * HOUR_MS).toISOString() });
+    ids[key] = saved.id;
+  }
+
+  // Two earlier runs each put one Rocket article in its own story
+  preexisting = {
+    older: await saveStory(null, ids['rocket-nmn'], [ids['rocket-nmn']]),
+    newer: await saveStory(null, ids['rocket-hw'], [ids['rocket-hw']])
+  };
+
+  await clusterRecentArticles();
+});
+
+after(async () => {
+  await rm(tmp, { recursive: true, force: true });
+});
+
+const storyOf = async (key) => (await getArticleById(ids[key])).storyId;
+
+test('cross-source near-duplicate titles merge into one story', async () => {
+  const story = await storyOf('rocket-hw');
+  assert.ok(story);
+  assert.equal(await storyOf('rocket-nmn'), story);
+  assert.equal(await storyOf('rocket-press'), story);
+});
+
+test('the oldest existing story id is reused when groups merge', async () => {
+  assert.ok(preexisting.older < preexisting.newer);
+  assert.equal(await storyOf('rocket-hw'), preexisting.older);
+  assert.equal(await storyOf('rocket-nmn'), preexisting.older);
+});
+
+test('a moderate title match merges only when the summaries also match', async () => {
+  // Titles share 0.33 of their words (below 0.5); summaries are near-identical
+  const fannie = await storyOf('fannie-hw');
+  assert.ok(fannie);
+  assert.equal(await storyOf('fannie-mpa'), fannie);
+  assert.notEqual(fannie, await storyOf('rocket-hw'));
+
+  // Titles share 0.38 of their words but the summaries are about different events
+  assert.equal(await storyOf('cooper-hw'), null);
+  assert.equal(await storyOf('cooper-nmn'), null);
+});
+
+test('articles from the same source are never merged', async () => {
+  assert.equal(await storyOf('uwm-a'), null);
+  assert.equal(await storyOf('uwm-b'), null);
+});
+
+test('filtered articles and articles outside the window are left alone', async () => {
+  assert.equal(await storyOf('rocket-filtered'), null);
+  assert.equal(await storyOf('rocket-old'), null);
+});
+
+test('the full-content article becomes canonical, otherwise the earliest', async () => {
+  assert.equal((await getArticleById(ids['rocket-nmn'])).isCanonical, true);
+  assert.equal((await getArticleById(ids['rocket-hw'])).isCanonical, false);
+  assert.equal((await getArticleById(ids['rocket-press'])).isCanonical, false);
+
+  // Neither Fannie article has a body, so the earlier one wins
+  assert.equal((await getArticleById(ids['fannie-hw'])).isCanonical, true);
+  assert.equal((await getArticleById(ids['fannie-mpa'])).isCanonical, false);
+});
+
+test('pickCanonical prefers full content, then the longer body, then the earlier date', () => {
+  const early = { id: 1, pubDate: '2026-10-01T08:00:00Z', contentLength: 400 };
+  const late = { id: 2, pubDate: '2026-10-01T12:00:00Z', contentLength: 400 };
+  const longer = { id: 3, pubDate: '2026-10-01T18:00:00Z', originalContent: 'x'.repeat(900) };
+  const full = { id: 4, pubDate: '2026-10-02T00:00:00Z', contentLength: 100, hasFullContent: true };
+
+  assert.equal(pickCanonical([late, early]).id, 1);
+  assert.equal(pickCanonical([early, late, longer]).id, 3);
+  assert.equal(pickCanonical([early, late, longer, full]).id, 4);
+});
+
+test('collapseStories keeps the canonical article and lists every source', () => {
+  const collapsed = collapseStories([
+    { id: 1, storyId: 7, source: 'HousingWire', link: 'https://a.example/1', isCanonical: false },
+    { id: 2, storyId: 7, source: 'National Mortgage News', link: 'https://b.example/2', isCanonical: true },
+    { id: 3, storyId: 7, source: 'HousingWire', link: 'https://a.example/3', isCanonical: false },
+    { id: 4, storyId: null, source: 'Scotsman Guide', link: 'https://c.example/4', isCanonical: true }
+  ]);
+
+  assert.equal(collapsed.length, 2);
+  const story = collapsed.find(a => a.storyId === 7);
+  assert.equal(story.id, 2);
+  assert.deepEqual(story.coveredBy, ['HousingWire', 'National Mortgage News']);
+  assert.deepEqual(story.alternates, [
+    { id: 1, source: 'HousingWire', link: 'https://a.example/1' },
+    { id: 3, source: 'HousingWire', link: 'https://a.example/3' }
+  ]);
+  assert.deepEqual(collapsed.find(a => a.id === 4).coveredBy, ['Scotsman Guide']);
+});
+
+test('collapseStories picks the best member when the canonical is outside the batch', () => {
+  const [story] = collapseStories([
+    { id: 5, storyId: 9, source: 'HousingWire', pubDate: '2026-10-01T08:00:00Z', isCanonical: false },
+    { id: 6, storyId: 9, source: 'Mortgage News Daily', pubDate: '2026-10-01T09:00:00Z', hasFullContent: true, isCanonical: false }
+  ]);
+  assert.equal(story.id, 6);
+  assert.deepEqual(story.alternates.map(a => a.id), [5]);
+});